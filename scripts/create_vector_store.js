@@ -0,0 +1,236 @@
+// create_vector_store.js — bootstrap knowledge-base vector storea iz payload.json
+//
+// Usage: node scripts/create_vector_store.js <command> [options]
+//   create  [--payload payload.json]          kreiraj ili pronađi store (idempotentno) i zapiši ID u config
+//   list                                      svi storeovi s istim imenom (sve verzije)
+//   diff    [--from <version>] [--to <version>]  razlika u recordima između dvije verzije
+//   prune   [--keep N] [--delete-files] [--yes]  obriši stare verzije (bez --yes samo ispis)
+import 'dotenv/config';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import OpenAI from 'openai';
+import { readVectorStoreConfig, writeVectorStoreConfig, VECTOR_STORE_CONFIG_PATH } from '../sync/vector_store_config.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const { OPENAI_API_KEY } = process.env;
+
+if (!OPENAI_API_KEY) {
+  console.error('❗ Missing env vars: OPENAI_API_KEY');
+  process.exit(1);
+}
+
+const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+
+// -------------------------
+// Helpers
+// -------------------------
+function parseArgs(argv) {
+  const [command = 'create', ...rest] = argv;
+  const opts = {};
+  for (let i = 0; i < rest.length; i++) {
+    const a = rest[i];
+    if (!a.startsWith('--')) continue;
+    const key = a.slice(2);
+    const next = rest[i + 1];
+    if (next && !next.startsWith('--')) {
+      opts[key] = next;
+      i++;
+    } else {
+      opts[key] = true;
+    }
+  }
+  return { command, opts };
+}
+
+async function loadPayload(file) {
+  const raw = await fs.readFile(path.resolve(ROOT, file || 'payload.json'), 'utf8');
+  const payload = JSON.parse(raw);
+  if (!payload?.name) throw new Error('payload.json: missing "name"');
+  if (!payload?.metadata?.version) throw new Error('payload.json: missing "metadata.version"');
+  return payload;
+}
+
+const versionOf = vs => String(vs?.metadata?.version || '');
+
+async function listStoresByName(name) {
+  const out = [];
+  for await (const vs of openai.vectorStores.list({ limit: 100 })) {
+    if (vs.name === name) out.push(vs);
+  }
+  // najnovije prvo
+  return out.sort((a, b) => (b.created_at || 0) - (a.created_at || 0));
+}
+
+async function listStoreFiles(vectorStoreId) {
+  const out = [];
+  for await (const f of openai.vectorStores.files.list(vectorStoreId, { limit: 100 })) {
+    out.push(f);
+  }
+  return out;
+}
+
+function fileKey(f) {
+  const a = f.attributes || {};
+  return a.table && a.record_id ? `${a.table}:${a.record_id}` : `file:${f.id}`;
+}
+
+// -------------------------
+// Commands
+// -------------------------
+async function cmdCreate(opts) {
+  const payload = await loadPayload(opts.payload);
+  const version = payload.metadata.version;
+
+  // 1) config već pokazuje na ovu verziju i store postoji -> gotovo
+  const cfg = await readVectorStoreConfig();
+  if (cfg?.id && cfg.name === payload.name && cfg.version === version) {
+    try {
+      const vs = await openai.vectorStores.retrieve(cfg.id);
+      console.log(`✅ Vector store already configured: ${vs.id} (${version})`);
+      return vs;
+    } catch (e) {
+      if ((e?.status || e?.response?.status) !== 404) throw e;
+      console.warn(`⚠️  Configured store ${cfg.id} no longer exists — looking up by name`);
+    }
+  }
+
+  // 2) store s istim imenom i verzijom već postoji -> koristi njega
+  const existing = (await listStoresByName(payload.name)).find(vs => versionOf(vs) === version);
+
+  const vs = existing || await openai.vectorStores.create({
+    name: payload.name,
+    description: payload.description,
+    metadata: payload.metadata,
+  });
+
+  await writeVectorStoreConfig({
+    id: vs.id,
+    name: payload.name,
+    version,
+    metadata: payload.metadata,
+    previous: cfg?.id && cfg.id !== vs.id ? { id: cfg.id, version: cfg.version } : (cfg?.previous || null),
+    createdAt: new Date((vs.created_at || 0) * 1000).toISOString(),
+  });
+
+  console.log(`${existing ? '✅ Found' : '✅ Created'} vector store ${vs.id} (${version})`);
+  console.log(`   config: ${path.relative(ROOT, VECTOR_STORE_CONFIG_PATH)}`);
+  if (!existing) console.log('   next: npm run sync -- --full');
+  return vs;
+}
+
+async function cmdList(opts) {
+  const payload = await loadPayload(opts.payload);
+  const cfg = await readVectorStoreConfig();
+  const stores = await listStoresByName(payload.name);
+
+  if (!stores.length) {
+    console.log(`No vector stores named "${payload.name}".`);
+    return;
+  }
+
+  for (const vs of stores) {
+    const mark = vs.id === cfg?.id ? '*' : ' ';
+    const files = vs.file_counts?.completed ?? '-';
+    const created = new Date((vs.created_at || 0) * 1000).toISOString().slice(0, 10);
+    console.log(`${mark} ${vs.id}  ${versionOf(vs) || '(no version)'}  files=${files}  created=${created}  status=${vs.status}`);
+  }
+}
+
+async function cmdDiff(opts) {
+  const payload = await loadPayload(opts.payload);
+  const cfg = await readVectorStoreConfig();
+  const stores = await listStoresByName(payload.name);
+
+  const byVersion = v => stores.find(vs => versionOf(vs) === String(v));
+  const to = opts.to ? byVersion(opts.to) : (stores.find(vs => vs.id === cfg?.id) || stores[0]);
+  const from = opts.from ? byVersion(opts.from) : stores.find(vs => vs.id !== to?.id);
+
+  if (!from || !to) {
+    console.error('❗ Need two versions to diff (use --from <version> --to <version>)');
+    process.exitCode = 1;
+    return;
+  }
+
+  const [filesFrom, filesTo] = await Promise.all([listStoreFiles(from.id), listStoreFiles(to.id)]);
+  const mapFrom = new Map(filesFrom.map(f => [fileKey(f), f]));
+  const mapTo = new Map(filesTo.map(f => [fileKey(f), f]));
+
+  const added = [...mapTo.keys()].filter(k => !mapFrom.has(k));
+  const removed = [...mapFrom.keys()].filter(k => !mapTo.has(k));
+  const changed = [...mapTo.keys()].filter(k => {
+    const a = mapFrom.get(k)?.attributes;
+    const b = mapTo.get(k)?.attributes;
+    return a && b && a.content_hash !== b.content_hash;
+  });
+
+  console.log(`Diff ${versionOf(from)} (${from.id}) -> ${versionOf(to)} (${to.id})`);
+  console.log(`  files: ${filesFrom.length} -> ${filesTo.length}`);
+  console.log(`  added: ${added.length}, removed: ${removed.length}, changed: ${changed.length}`);
+
+  const show = (label, keys, map) => {
+    for (const k of keys.slice(0, 50)) {
+      const a = map.get(k)?.attributes || {};
+      console.log(`  ${label} ${k}  ${a.type || ''}  ${a.title || ''}`);
+    }
+    if (keys.length > 50) console.log(`  ... ${keys.length - 50} more`);
+  };
+  show('+', added, mapTo);
+  show('-', removed, mapFrom);
+  show('~', changed, mapTo);
+}
+
+async function cmdPrune(opts) {
+  const payload = await loadPayload(opts.payload);
+  const cfg = await readVectorStoreConfig();
+  const keep = Math.max(0, Number(opts.keep ?? 1) || 0);
+
+  // aktivni store se nikad ne briše; od ostalih ostavi `keep` najnovijih
+  const stores = await listStoresByName(payload.name);
+  const candidates = stores.filter(vs => vs.id !== cfg?.id && versionOf(vs) !== payload.metadata.version);
+  const toDelete = candidates.slice(keep);
+
+  if (!toDelete.length) {
+    console.log('Nothing to prune.');
+    return;
+  }
+
+  for (const vs of toDelete) {
+    if (!opts.yes) {
+      console.log(`  would delete ${vs.id} (${versionOf(vs) || 'no version'})`);
+      continue;
+    }
+
+    if (opts['delete-files']) {
+      // brisanje storea ne briše same fileove
+      const files = await listStoreFiles(vs.id);
+      for (const f of files) {
+        await openai.files.delete(f.id).catch(e => console.warn(`  ⚠️  file ${f.id}: ${e?.message || e}`));
+      }
+    }
+
+    await openai.vectorStores.delete(vs.id);
+    console.log(`  deleted ${vs.id} (${versionOf(vs) || 'no version'})`);
+  }
+
+  if (!opts.yes) console.log('Dry run — add --yes to delete.');
+}
+
+// -------------------------
+// CLI
+// -------------------------
+const COMMANDS = { create: cmdCreate, list: cmdList, diff: cmdDiff, prune: cmdPrune };
+
+const { command, opts } = parseArgs(process.argv.slice(2));
+const run = COMMANDS[command];
+
+if (!run) {
+  console.error(`❗ Unknown command "${command}" (use: ${Object.keys(COMMANDS).join(', ')})`);
+  process.exit(1);
+}
+
+run(opts).catch(e => {
+  console.error(`❗ ${command} failed:`, e?.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,219 @@
+// eval_router.js — offline evaluacija routinga (handoff -> intent router -> deterministička pravila)
+//
+// Usage: node scripts/eval_router.js [--cases <jsonl>] [--intents <json>] [--baseline <json>]
+//                                    [--lang HR|EN] [--llm null|error] [--tolerance 0.01]
+//                                    [--update-baseline] [--json]
+//   label = "deterministic:<rule id>" | "intent:<intent>" | "none" (isti redoslijed kao runWebAsk)
+//   pravila = ugrađena iz server/rules.js (samo okidači; podaci hotela i needs se ne provjeravaju)
+//   LLM je stub backend (LLM_PROVIDER=stub): null -> router pada na heuristiku (kao niska confidence), error -> kao pad OpenAI-a
+//   exit 1 ako accuracy padne ispod baselinea (minus tolerance) ili ako padne case koji je prolazio
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createIntentRouter } from '../server/router.js';
+import { firstMatchingRule } from '../server/rules.js';
+import { isHumanHandoffRequest } from '../server/handoff.js';
+import { createStubLlm } from '../server/llm/index.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const DEFAULT_CASES = 'eval/router/cases.jsonl';
+const DEFAULT_INTENTS = 'eval/router/intents.json';
+const DEFAULT_BASELINE = 'eval/router/baseline.json';
+
+// -------------------------
+// Helpers
+// -------------------------
+function parseArgs(argv) {
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next && !next.startsWith('--')) {
+      opts[key] = next;
+      i++;
+    } else {
+      opts[key] = true;
+    }
+  }
+  return opts;
+}
+
+async function readJsonl(file) {
+  const text = await fs.readFile(file, 'utf8');
+  return text.split('\n').map((line, i) => {
+    if (!line.trim()) return null;
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      throw new Error(`${path.relative(ROOT, file)}:${i + 1}: ${e.message}`);
+    }
+  }).filter(Boolean);
+}
+
+async function readJsonIfExists(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+// -------------------------
+// Pipeline (ogledalo runWebAsk, bez podataka hotela)
+// -------------------------
+async function routeCase(c, patterns, router) {
+  if (isHumanHandoffRequest(c.q)) return { label: 'deterministic:handoff_request', note: 'handoff' };
+
+  const pick = await router.chooseIntent(c.q, patterns, { previousIntent: c.previousIntent || null });
+  const rule = firstMatchingRule(c.q);
+  if (rule) return { label: `deterministic:${rule.id}`, note: pick.note || '' };
+  return { label: pick.intent ? `intent:${pick.intent}` : 'none', note: pick.note || '' };
+}
+
+function confusionMatrix(results) {
+  const labels = Array.from(new Set(results.flatMap(r => [r.expect, r.got]))).sort();
+  const idx = new Map(labels.map((l, i) => [l, i]));
+  const m = labels.map(() => labels.map(() => 0));
+  for (const r of results) m[idx.get(r.expect)][idx.get(r.got)] += 1;
+  return { labels, matrix: m };
+}
+
+function perLabel(results) {
+  const out = {};
+  for (const r of results) {
+    out[r.expect] ??= { total: 0, passed: 0 };
+    out[r.expect].total += 1;
+    if (r.pass) out[r.expect].passed += 1;
+  }
+  return out;
+}
+
+function printMatrix({ labels, matrix }) {
+  const w = Math.max(3, ...matrix.flat().map(n => String(n).length));
+  const nameW = Math.max(...labels.map(l => l.length));
+  const col = i => String(i + 1).padStart(w);
+
+  console.log('\nConfusion matrix (rows = expected, columns = predicted):');
+  console.log(`${' '.repeat(nameW + 6)}${labels.map((_, i) => col(i)).join(' ')}`);
+  labels.forEach((l, i) => {
+    const cells = matrix[i].map(n => (n === 0 ? '.' : String(n)).padStart(w));
+    console.log(`${String(i + 1).padStart(3)}. ${l.padEnd(nameW)} ${cells.join(' ')}`);
+  });
+}
+
+const pct = x => `${(x * 100).toFixed(1)}%`;
+
+// -------------------------
+// Main
+// -------------------------
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const casesFile = path.resolve(ROOT, typeof opts.cases === 'string' ? opts.cases : DEFAULT_CASES);
+  const intentsFile = path.resolve(ROOT, typeof opts.intents === 'string' ? opts.intents : DEFAULT_INTENTS);
+  const baselineFile = path.resolve(ROOT, typeof opts.baseline === 'string' ? opts.baseline : DEFAULT_BASELINE);
+  const llmMode = typeof opts.llm === 'string' ? opts.llm : 'null';
+  const tolerance = Number(opts.tolerance ?? 0) || 0;
+  const langFilter = typeof opts.lang === 'string' ? opts.lang.toUpperCase() : null;
+
+  if (!['null', 'error'].includes(llmMode)) throw new Error(`Unknown --llm "${llmMode}" (null | error)`);
+
+  const patterns = (JSON.parse(await fs.readFile(intentsFile, 'utf8')).intents || []);
+  const cases = (await readJsonl(casesFile)).filter(c => !langFilter || String(c.lang).toUpperCase() === langFilter);
+  if (!cases.length) throw new Error(`No cases in ${path.relative(ROOT, casesFile)}`);
+
+  // stub backend (llm/stub.js): null -> echo (intent null), error -> svaki poziv baca
+  const router = createIntentRouter({ llm: createStubLlm({ mode: llmMode === 'error' ? 'error' : 'echo' }), model: 'stub' });
+
+  // stub "error" mod -> chooseIntent logira svaku grešku; ovdje je to očekivano
+  const origError = console.error;
+  if (llmMode === 'error') console.error = () => {};
+  const results = [];
+  try {
+    for (const c of cases) {
+      const { label, note } = await routeCase(c, patterns, router);
+      results.push({ id: c.id, lang: c.lang, q: c.q, expect: c.expect, got: label, pass: label === c.expect, note });
+    }
+  } finally {
+    console.error = origError;
+  }
+
+  const passed = results.filter(r => r.pass).length;
+  const accuracy = passed / results.length;
+  const failing = results.filter(r => !r.pass).map(r => r.id);
+
+  // baseline se uspoređuje samo za puni set (bez --lang)
+  const baseline = langFilter ? null : await readJsonIfExists(baselineFile);
+  const baselineFailing = new Set(baseline?.failing || []);
+  const knownIds = new Set(baseline?.cases || []);
+  const regressions = baseline ? failing.filter(id => knownIds.has(id) && !baselineFailing.has(id)) : [];
+  const fixed = baseline ? [...baselineFailing].filter(id => results.some(r => r.id === id && r.pass)) : [];
+  // accuracy u baselineu je zaokružen -> usporedi s passed/total
+  const accuracyDrop = baseline ? accuracy < baseline.passed / baseline.total - tolerance : false;
+  const ok = !accuracyDrop && !regressions.length;
+
+  if (opts['update-baseline']) {
+    if (langFilter) throw new Error('--update-baseline needs the full set (drop --lang)');
+    const next = {
+      updatedAt: new Date().toISOString(),
+      llm: llmMode,
+      total: results.length,
+      passed,
+      accuracy: Math.round(accuracy * 10000) / 10000,
+      cases: results.map(r => r.id),
+      failing,
+    };
+    await fs.writeFile(baselineFile, `${JSON.stringify(next, null, 2)}\n`);
+  }
+
+  if (opts.json) {
+    console.log(JSON.stringify({
+      ok,
+      llm: llmMode,
+      total: results.length,
+      passed,
+      accuracy,
+      baselineAccuracy: baseline?.accuracy ?? null,
+      regressions,
+      fixed,
+      perLabel: perLabel(results),
+      confusion: confusionMatrix(results),
+      results,
+    }, null, 2));
+  } else {
+    console.log(`Router eval: ${path.relative(ROOT, casesFile)} (${results.length} cases${langFilter ? `, lang ${langFilter}` : ''}, LLM stub: ${llmMode})`);
+    printMatrix(confusionMatrix(results));
+
+    console.log('\nPer label:');
+    for (const [label, s] of Object.entries(perLabel(results)).sort()) {
+      console.log(`   ${s.passed === s.total ? '✅' : '⚠️ '} ${label}: ${s.passed}/${s.total}`);
+    }
+
+    const failed = results.filter(r => !r.pass);
+    if (failed.length) {
+      console.log('\nMisrouted:');
+      for (const r of failed) {
+        const tag = regressions.includes(r.id) ? '❗ REGRESSION' : '⚠️ ';
+        console.log(`   ${tag} ${r.id} [${r.lang}] "${r.q}" -> ${r.got} (expected ${r.expect}${r.note ? `; ${r.note}` : ''})`);
+      }
+    }
+    if (fixed.length) console.log(`\nℹ️  fixed since baseline: ${fixed.join(', ')} (npm run eval-router -- --update-baseline)`);
+
+    console.log(`\nAccuracy: ${pct(accuracy)} (${passed}/${results.length})${baseline ? ` — baseline ${pct(baseline.accuracy)}` : ''}`);
+    if (opts['update-baseline']) console.log(`✅ Baseline written: ${path.relative(ROOT, baselineFile)}`);
+    else if (!baseline && !langFilter) console.log('ℹ️  No baseline yet (npm run eval-router -- --update-baseline)');
+    if (accuracyDrop) console.log(`❗ Accuracy dropped below baseline (tolerance ${tolerance})`);
+    if (regressions.length) console.log(`❗ ${regressions.length} regression(s)`);
+    if (ok && baseline) console.log('✅ No regressions');
+  }
+
+  process.exitCode = ok || opts['update-baseline'] ? 0 : 1;
+}
+
+main().catch(e => {
+  console.error('❗ eval_router failed:', e?.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,133 @@
+// smoke_server.js — pokrene server offline (DATA_SOURCE=fixture, LLM_PROVIDER=stub) i prođe cijeli /api/web-ask tok
+//
+// Usage: node scripts/smoke_server.js [--verbose]
+//   Za razliku od eval-routera ide kroz fetchKnowledgeRows, pravila, retrieval i generateAnswer (stub LLM),
+//   pa hvata greške koje router eval ne vidi (npr. ReferenceError u fallback scoringu).
+//   Logovi (conversation / usage) su isključeni; exit 1 ako bilo koji korak padne ili server logira grešku.
+import { spawn } from 'node:child_process';
+import net from 'node:net';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SLUG = 'antique-split';
+
+// svaki korak: GET path ili POST /api/web-ask s pitanjem + provjera tijela odgovora
+const STEPS = [
+  { name: 'health', path: '/api/health', check: b => b.ok === true },
+  { name: 'debug (prazno pitanje -> fallback)', path: '/api/debug', check: b => b.ok === true && b.counts?.hotelRecordFound },
+  { name: 'intent s recordom', ask: 'Is there parking?', check: b => b.ok === true && Boolean(b.answer) },
+  { name: 'bez recorda (fallback scoring)', ask: 'Is there a gym in the hotel?', check: b => b.ok === true && Boolean(b.answer) },
+  { name: 'LLM odgovor (stub)', ask: 'Can I bring my dog?', check: b => b.ok === true && !b.meta?.cached },
+  { name: 'isto pitanje iz answer cachea', ask: 'can i bring my dog', check: b => b.ok === true && Boolean(b.meta?.cached) },
+  { name: 'hotel core (check-in)', ask: 'What time is check-in?', check: b => b.ok === true && Boolean(b.answer) },
+  { name: 'follow-up u istoj sesiji', ask: 'and breakfast?', followUp: true, check: b => b.ok === true && b.meta?.followUp === true },
+  { name: 'HR pitanje', ask: 'Imate li wifi?', check: b => b.ok === true && Boolean(b.answer) },
+];
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const s = net.createServer();
+    s.once('error', reject);
+    s.listen(0, () => {
+      const { port } = s.address();
+      s.close(() => resolve(port));
+    });
+  });
+}
+
+function startServer(port, verbose) {
+  const child = spawn(process.execPath, ['server/server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_SOURCE: 'fixture',
+      LLM_PROVIDER: 'stub',
+      RETRIEVAL_BACKEND: 'off',
+      CONVERSATION_LOG: 'off',
+      USAGE_LOG: 'off',
+      WIDGET_KEYS: 'off',
+      RATE_LIMIT_IP: 'off',
+      RATE_LIMIT_SESSION: 'off',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let log = '';
+  const onData = d => {
+    log += d;
+    if (verbose) process.stdout.write(d);
+  };
+  child.stdout.on('data', onData);
+  child.stderr.on('data', onData);
+
+  const ready = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start in 20s\n${log}`)), 20_000);
+    child.stdout.on('data', () => {
+      if (log.includes('server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`server exited (${code})\n${log}`));
+    });
+  });
+
+  return { child, ready, log: () => log };
+}
+
+async function runStep(base, step, state) {
+  const url = step.path
+    ? `${base}${step.path}${step.path.includes('?') ? '&' : '?'}slug=${SLUG}`
+    : `${base}/api/web-ask`;
+  const init = step.ask
+    ? {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ question: step.ask, slug: SLUG, sessionId: step.followUp ? state.sessionId : undefined }),
+    }
+    : {};
+
+  const res = await fetch(url, { ...init, signal: AbortSignal.timeout(10_000) });
+  const body = await res.json().catch(() => ({}));
+  if (body.sessionId) state.sessionId = body.sessionId;
+  return { status: res.status, body, pass: res.status === 200 && Boolean(step.check(body)) };
+}
+
+async function main() {
+  const verbose = process.argv.includes('--verbose');
+  const port = await freePort();
+  const server = startServer(port, verbose);
+  let failed = 0;
+
+  try {
+    await server.ready;
+    const state = { sessionId: null };
+    for (const step of STEPS) {
+      const r = await runStep(`http://127.0.0.1:${port}`, step, state);
+      if (!r.pass) failed += 1;
+      console.log(`   ${r.pass ? '✅' : '❗'} ${step.name}${r.pass ? '' : ` -> ${r.status} ${JSON.stringify(r.body).slice(0, 300)}`}`);
+    }
+  } finally {
+    server.child.kill();
+  }
+
+  // i greška koju server proguta (catch -> fallback) je pad smoke testa
+  const errors = server.log().split('\n').filter(l => /\berror:/i.test(l)).slice(0, 20);
+  if (errors.length) console.log(`\nServer log:\n${errors.join('\n')}`);
+
+  if (failed || errors.length) {
+    console.log(`\n❗ ${failed}/${STEPS.length} smoke step(s) failed, ${errors.length} server error(s) logged`);
+    process.exitCode = 1;
+  } else {
+    console.log(`\n✅ Smoke OK (${STEPS.length} steps)`);
+  }
+}
+
+main().catch(e => {
+  console.error('❗ smoke_server failed:', e?.message || e);
+  process.exit(1);
+});
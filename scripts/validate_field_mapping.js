@@ -0,0 +1,156 @@
+// validate_field_mapping.js — usporedi config/field_mapping.json sa stvarnom shemom Airtable baze
+//
+// Usage: node scripts/validate_field_mapping.js [--hotel <slug>] [--mapping <file>] [--json]
+//   missing  -> nijedan kandidat iz "from" ne postoji u tablici (required => exit 1)
+//   unmapped -> stupci u tablici koje mapping ne koristi (info)
+// Bez --hotel provjerava default mapping + svaki hotel iz "overrides".
+// `knowledge` (samo vector sync) se provjerava nad svakom KB tablicom (TABLE_KB_*).
+import 'dotenv/config';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { asArray } from '../server/utils.js';
+import { loadFieldMapping, resolveTableFields, TABLE_KEYS } from '../server/datasource/field_mapping.js';
+import { airtableKnowledgeTables, airtableTableNames, DEFAULT_FIELD_MAPPING_FILE } from '../server/datasource/index.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const { AIRTABLE_API_KEY, AIRTABLE_BASE_ID, FIELD_MAPPING_FILE = DEFAULT_FIELD_MAPPING_FILE } = process.env;
+
+if (!AIRTABLE_API_KEY || !AIRTABLE_BASE_ID) {
+  console.error('❗ Missing env vars: AIRTABLE_API_KEY, AIRTABLE_BASE_ID');
+  process.exit(1);
+}
+
+// -------------------------
+// Helpers
+// -------------------------
+function parseArgs(argv) {
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next && !next.startsWith('--')) {
+      opts[key] = next;
+      i++;
+    } else {
+      opts[key] = true;
+    }
+  }
+  return opts;
+}
+
+// Airtable meta API: imena tablica i stupaca (token treba scope schema.bases:read)
+async function fetchBaseSchema() {
+  const res = await fetch(`https://api.airtable.com/v0/meta/bases/${AIRTABLE_BASE_ID}/tables`, {
+    headers: { Authorization: `Bearer ${AIRTABLE_API_KEY}` },
+  });
+  if (!res.ok) {
+    const body = await res.text().catch(() => '');
+    throw new Error(`Airtable meta API ${res.status}: ${body.slice(0, 300)}`);
+  }
+  const data = await res.json();
+  const byName = new Map();
+  for (const tbl of data.tables || []) {
+    byName.set(tbl.name, new Set((tbl.fields || []).map(f => f.name)));
+  }
+  return byName;
+}
+
+function validateMapping(mapping, schema, tableNames, hotelSlug = null) {
+  const tables = [];
+
+  const pairs = TABLE_KEYS.flatMap(key => asArray(tableNames[key]).map(tableName => [key, tableName]));
+  for (const [key, tableName] of pairs) {
+    const columns = schema.get(tableName);
+    if (!columns) {
+      tables.push({ key, table: tableName, found: false, optional: mapping.tables[key].optional, fields: [], missing: [], unmapped: [], slugFilterMissing: [] });
+      continue;
+    }
+
+    const spec = resolveTableFields(mapping, key, hotelSlug);
+    const used = new Set();
+    const fields = [];
+
+    for (const [name, s] of Object.entries(spec)) {
+      s.from.forEach(c => used.add(c));
+      const present = s.from.filter(c => columns.has(c));
+      fields.push({ field: name, type: s.type, required: Boolean(s.required), column: present[0] || null, candidates: s.from });
+    }
+
+    mapping.tables[key].slugFilter.forEach(c => used.add(c));
+    const slugFilterMissing = mapping.tables[key].slugFilter.filter(c => !columns.has(c));
+
+    tables.push({
+      key,
+      table: tableName,
+      found: true,
+      fields,
+      missing: fields.filter(f => !f.column).map(f => ({ field: f.field, required: f.required, candidates: f.candidates })),
+      unmapped: [...columns].filter(c => !used.has(c)),
+      slugFilterMissing,
+    });
+  }
+
+  const errors = tables.reduce((n, t) => n + (t.found ? t.missing.filter(m => m.required).length : t.optional ? 0 : 1), 0);
+  return { hotelSlug, tables, errors };
+}
+
+function printReport(report) {
+  console.log(`\n=== ${report.hotelSlug ? `hotel "${report.hotelSlug}"` : 'default mapping'} ===`);
+
+  for (const t of report.tables) {
+    if (!t.found) {
+      console.log(t.optional ? `ℹ️  ${t.key} (${t.table}): optional table not in base` : `❗ ${t.key} (${t.table}): table not found in base`);
+      continue;
+    }
+
+    const ok = t.fields.length - t.missing.length;
+    console.log(`\n${t.missing.some(m => m.required) ? '❗' : t.missing.length ? '⚠️ ' : '✅'} ${t.key} (${t.table}): ${ok}/${t.fields.length} fields mapped`);
+
+    for (const m of t.missing) {
+      console.log(`   ${m.required ? '❗ missing (required)' : '⚠️  missing'}: ${m.field} — tried ${m.candidates.map(c => `"${c}"`).join(', ')}`);
+    }
+    if (t.slugFilterMissing.length) {
+      console.log(`   ⚠️  slugFilter column(s) not in table: ${t.slugFilterMissing.join(', ')}`);
+    }
+    if (t.unmapped.length) {
+      console.log(`   ℹ️  unmapped columns: ${t.unmapped.join(', ')}`);
+    }
+  }
+}
+
+// -------------------------
+// Main
+// -------------------------
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const mappingFile = path.resolve(ROOT, typeof opts.mapping === 'string' ? opts.mapping : FIELD_MAPPING_FILE);
+
+  const mapping = await loadFieldMapping(mappingFile);
+  const schema = await fetchBaseSchema();
+  const tableNames = { ...airtableTableNames(process.env), knowledge: Object.values(airtableKnowledgeTables(process.env)) };
+
+  const hotels = typeof opts.hotel === 'string'
+    ? [opts.hotel]
+    : [null, ...Object.keys(mapping.overrides)];
+
+  const reports = hotels.map(slug => validateMapping(mapping, schema, tableNames, slug));
+  const errors = reports.reduce((n, r) => n + r.errors, 0);
+
+  if (opts.json) {
+    console.log(JSON.stringify({ ok: errors === 0, mappingFile: path.relative(ROOT, mappingFile), reports }, null, 2));
+  } else {
+    console.log(`Field mapping: ${path.relative(ROOT, mappingFile)}`);
+    reports.forEach(printReport);
+    console.log(errors ? `\n❗ ${errors} error(s)` : '\n✅ Mapping OK');
+  }
+
+  process.exitCode = errors ? 1 : 0;
+}
+
+main().catch(e => {
+  console.error('❗ validate_field_mapping failed:', e?.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,350 @@
+// admin.js — admin API (cache inspekcija / invalidacija / warm-up) + Airtable webhook receiver
+//
+//   GET  /api/admin/cache                     lista cache entryja (state, ageMs, ttlMs) + statistika (i answer cache)
+//   POST /api/admin/cache/invalidate          { hotelSlug?, table? } — bez filtera invalidira sve (answer cache prati isti filter)
+//   POST /api/admin/cache/warm                { hotelSlug? | hotelSlugs? } — invalidira pa puni
+//   GET  /api/admin/analytics/summary         ?hotelSlug=&days=7 — top intenti, route-ovi, fallback / unanswered stope
+//   GET  /api/admin/analytics/unanswered      ?hotelSlug=&days=7&limit=50 — pitanja bez odgovora (grupirano)
+//   GET  /api/admin/feedback/report           ?hotelSlug=&days=30 — palac gore/dolje po intentu, route-u i recordu
+//   GET  /api/admin/usage/report              ?hotelSlug=&days=31 — OpenAI tokeni + trošak (USD) po hotelu: dnevno, mjesečno, po tipu / modelu
+//   GET  /api/admin/handoff                   ?hotelSlug=&status=open — handoff ticketi (s kontaktom i transkriptom)
+//   POST /api/admin/handoff/:id/reply         { text, by? } — odgovor recepcije (widget ga vidi na GET /api/handoff/:id)
+//   POST /api/admin/handoff/:id/status        { status } — open | sent | failed | answered | closed
+//   GET  /api/admin/bookings                  ?hotelSlug=&status=sent — booking zahtjevi (s kontaktom gosta)
+//   POST /api/admin/bookings/:id/status       { status, note?, by? } — confirmed | declined | cancelled (odluka recepcije)
+//   GET  /api/admin/widget-keys               ?hotelSlug= — widget ključevi (status active | expired | revoked) + origini
+//   POST /api/admin/widget-keys               { hotelSlug, label? } — novi ključ za hotel
+//   POST /api/admin/widget-keys/:key/rotate   { graceHours? = 24 } — novi ključ; stari radi još graceHours
+//   POST /api/admin/widget-keys/:key/revoke   odmah nevažeći
+//   POST /api/admin/widget-origins            { hotelSlug, origins: [...] } — allowlista origina hotela ([] = bez provjere)
+//   POST /api/airtable/webhook                header X-Webhook-Secret; body { table, hotelSlug?, recordId? } ili { changes: [...] }
+//
+// Admin rute traže `Authorization: Bearer <ADMIN_TOKEN>`; bez ADMIN_TOKEN-a su isključene (404).
+//
+// Webhook šalje Airtable automation ("When record updated" -> "Run script"), npr.:
+//   const { recordId, table, hotelSlug } = input.config();
+//   await fetch('https://<host>/api/airtable/webhook', {
+//     method: 'POST',
+//     headers: { 'Content-Type': 'application/json', 'X-Webhook-Secret': '<AIRTABLE_WEBHOOK_SECRET>' },
+//     body: JSON.stringify({ table, hotelSlug, recordId }),
+//   });
+import crypto from 'node:crypto';
+import express from 'express';
+import { asArray, pickFirstNonEmpty } from './utils.js';
+import { summarizeConversations, listUnanswered } from './conversation_log.js';
+import { summarizeFeedback } from './feedback.js';
+import { summarizeUsage } from './usage.js';
+import { TICKET_STATUSES } from './handoff.js';
+import { BOOKING_STATUSES } from './booking.js';
+import { normalizeOrigin } from './widget_keys.js';
+
+// tablice koje nisu vezane uz hotel (jedan ključ za sve)
+const GLOBAL_TABLES = new Set(['intents', 'outputRules', 'answerRules']);
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a || '')).digest();
+  const hb = crypto.createHash('sha256').update(String(b || '')).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function bearerToken(req) {
+  const h = String(req.get('authorization') || '');
+  return h.toLowerCase().startsWith('bearer ') ? h.slice(7).trim() : '';
+}
+
+export function createAdminRouter({ adminToken, webhookSecret, cache, tableNames, warmUp, defaultHotelSlug, conversationLog = null, feedbackStore = null, tickets = null, bookings = null, widgetKeys = null, answerCache = null, usageLog = null, costBudget = null }) {
+  const router = express.Router();
+
+  // ime tablice iz baze ("SOBE") ili logički ključ ("rooms") -> logički ključ
+  function resolveTable(name) {
+    const n = String(name || '').trim();
+    if (!n) return null;
+    if (tableNames[n]) return n;
+    return Object.keys(tableNames).find(k => tableNames[k] === n) || null;
+  }
+
+  function requireAdmin(req, res, next) {
+    if (!adminToken) return res.status(404).json({ ok: false, error: 'Not found' });
+    if (!safeEqual(bearerToken(req), adminToken)) return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    return next();
+  }
+
+  async function warmHotels(slugs) {
+    const out = [];
+    for (const hotelSlug of slugs) {
+      const t0 = Date.now();
+      try {
+        cache.invalidate({ hotelSlug });
+        const counts = await warmUp(hotelSlug);
+        out.push({ hotelSlug, ok: true, ms: Date.now() - t0, ...counts });
+      } catch (e) {
+        console.error(`cache warm error (${hotelSlug}):`, e);
+        out.push({ hotelSlug, ok: false, ms: Date.now() - t0, error: String(e?.message || e) });
+      }
+    }
+    return out;
+  }
+
+  // -------------------------
+  // Cache
+  // -------------------------
+  router.get('/api/admin/cache', requireAdmin, (req, res) => {
+    const entries = cache.list().sort((a, b) => a.key.localeCompare(b.key));
+    res.json({
+      ok: true,
+      ttlMs: cache.ttlMs,
+      ttlByTable: cache.ttlByTable,
+      staleMs: cache.staleMs,
+      stats: cache.stats(),
+      answerCache: answerCache ? { ttlMs: answerCache.ttlMs, minSimilarity: answerCache.minSimilarity, ...answerCache.stats() } : null,
+      count: entries.length,
+      entries,
+    });
+  });
+
+  router.post('/api/admin/cache/invalidate', requireAdmin, (req, res) => {
+    const hotelSlug = pickFirstNonEmpty(req.body?.hotelSlug) || null;
+    const tableRaw = pickFirstNonEmpty(req.body?.table);
+    const table = tableRaw ? resolveTable(tableRaw) : null;
+    if (tableRaw && !table) return res.status(400).json({ ok: false, error: `Unknown table "${tableRaw}"` });
+
+    const invalidated = cache.invalidate({ table, hotelSlug });
+    console.log(`ℹ️  cache invalidate table=${table || '*'} hotel=${hotelSlug || '*'} invalidated=${invalidated}`);
+    res.json({ ok: true, invalidated, table, hotelSlug });
+  });
+
+  router.post('/api/admin/cache/warm', requireAdmin, async (req, res) => {
+    const requested = [...asArray(req.body?.hotelSlugs), req.body?.hotelSlug]
+      .map(s => pickFirstNonEmpty(s))
+      .filter(Boolean);
+    const slugs = requested.length
+      ? Array.from(new Set(requested))
+      : Array.from(new Set([defaultHotelSlug, ...cache.hotelSlugs()].filter(Boolean)));
+
+    // globalne tablice se osvježe s prvim hotelom
+    cache.invalidate({ table: 'intents' });
+    cache.invalidate({ table: 'outputRules' });
+    cache.invalidate({ table: 'answerRules' });
+
+    const hotels = await warmHotels(slugs);
+    res.status(hotels.every(h => h.ok) ? 200 : 502).json({ ok: hotels.every(h => h.ok), hotels });
+  });
+
+  // -------------------------
+  // Analytics (conversation log)
+  // -------------------------
+  function analyticsFilter(req, defaultDays = 7) {
+    const days = Math.min(365, Math.max(1, Number(req.query?.days) || defaultDays));
+    return {
+      hotelSlug: pickFirstNonEmpty(req.query?.hotelSlug, req.query?.slug) || null,
+      days,
+      sinceMs: Date.now() - days * 24 * 60 * 60 * 1000,
+    };
+  }
+
+  router.get('/api/admin/analytics/summary', requireAdmin, async (req, res) => {
+    if (!conversationLog?.enabled) return res.status(503).json({ ok: false, error: 'Conversation log disabled' });
+    try {
+      const { hotelSlug, days, sinceMs } = analyticsFilter(req);
+      const entries = await conversationLog.read({ hotelSlug, sinceMs });
+      res.json({ ok: true, days, hotelSlug, total: entries.length, hotels: summarizeConversations(entries) });
+    } catch (e) {
+      console.error('analytics summary error:', e);
+      res.status(500).json({ ok: false, error: 'Analytics error' });
+    }
+  });
+
+  router.get('/api/admin/analytics/unanswered', requireAdmin, async (req, res) => {
+    if (!conversationLog?.enabled) return res.status(503).json({ ok: false, error: 'Conversation log disabled' });
+    try {
+      const { hotelSlug, days, sinceMs } = analyticsFilter(req);
+      const limit = Math.min(500, Math.max(1, Number(req.query?.limit) || 50));
+      const entries = await conversationLog.read({ hotelSlug, sinceMs });
+      res.json({ ok: true, days, hotelSlug, questions: listUnanswered(entries, { limit }) });
+    } catch (e) {
+      console.error('analytics unanswered error:', e);
+      res.status(500).json({ ok: false, error: 'Analytics error' });
+    }
+  });
+
+  router.get('/api/admin/feedback/report', requireAdmin, async (req, res) => {
+    if (!feedbackStore) return res.status(503).json({ ok: false, error: 'Feedback store disabled' });
+    try {
+      const { hotelSlug, days, sinceMs } = analyticsFilter(req, 30);
+      const entries = await feedbackStore.read({ hotelSlug, sinceMs });
+      res.json({ ok: true, days, hotelSlug, ...summarizeFeedback(entries) });
+    } catch (e) {
+      console.error('feedback report error:', e);
+      res.status(500).json({ ok: false, error: 'Feedback report error' });
+    }
+  });
+
+  // uz svaki hotel i trenutno stanje budžeta troška (dnevni / mjesečni; exceeded -> heuristički routing)
+  router.get('/api/admin/usage/report', requireAdmin, async (req, res) => {
+    if (!usageLog?.enabled) return res.status(503).json({ ok: false, error: 'Usage log disabled' });
+    try {
+      const { hotelSlug, days, sinceMs } = analyticsFilter(req, 31);
+      const entries = await usageLog.read({ hotelSlug, sinceMs });
+      const hotels = summarizeUsage(entries);
+      if (costBudget) {
+        for (const h of hotels) h.budget = await costBudget.status(h.hotelSlug);
+      }
+      res.json({ ok: true, days, hotelSlug, total: entries.length, hotels });
+    } catch (e) {
+      console.error('usage report error:', e);
+      res.status(500).json({ ok: false, error: 'Usage report error' });
+    }
+  });
+
+  // -------------------------
+  // Handoff tickets
+  // -------------------------
+  function requireTickets(req, res, next) {
+    if (!tickets) return res.status(503).json({ ok: false, error: 'Handoff disabled' });
+    return next();
+  }
+
+  router.get('/api/admin/handoff', requireAdmin, requireTickets, async (req, res) => {
+    const status = pickFirstNonEmpty(req.query?.status) || null;
+    if (status && !TICKET_STATUSES.includes(status)) return res.status(400).json({ ok: false, error: `Unknown status "${status}"` });
+    const list = await tickets.list({
+      hotelSlug: pickFirstNonEmpty(req.query?.hotelSlug, req.query?.slug) || null,
+      status,
+      limit: Math.min(500, Math.max(1, Number(req.query?.limit) || 100)),
+    });
+    res.json({ ok: true, count: list.length, tickets: list });
+  });
+
+  router.post('/api/admin/handoff/:id/reply', requireAdmin, requireTickets, async (req, res) => {
+    const text = pickFirstNonEmpty(req.body?.text);
+    if (!text) return res.status(400).json({ ok: false, error: 'Missing text' });
+    const ticket = await tickets.update(req.params.id, {
+      status: 'answered',
+      reply: { text: text.slice(0, 4000), at: new Date().toISOString(), by: pickFirstNonEmpty(req.body?.by) || 'reception' },
+    });
+    if (!ticket) return res.status(404).json({ ok: false, error: 'Unknown ticket' });
+    res.json({ ok: true, ticket });
+  });
+
+  router.post('/api/admin/handoff/:id/status', requireAdmin, requireTickets, async (req, res) => {
+    const status = pickFirstNonEmpty(req.body?.status);
+    if (!TICKET_STATUSES.includes(status)) return res.status(400).json({ ok: false, error: `status must be one of ${TICKET_STATUSES.join(', ')}` });
+    const ticket = await tickets.update(req.params.id, { status });
+    if (!ticket) return res.status(404).json({ ok: false, error: 'Unknown ticket' });
+    res.json({ ok: true, ticket });
+  });
+
+  // -------------------------
+  // Booking zahtjevi
+  // -------------------------
+  const BOOKING_DECISIONS = ['confirmed', 'declined', 'cancelled'];
+
+  function requireBookings(req, res, next) {
+    if (!bookings) return res.status(503).json({ ok: false, error: 'Bookings disabled' });
+    return next();
+  }
+
+  router.get('/api/admin/bookings', requireAdmin, requireBookings, async (req, res) => {
+    const status = pickFirstNonEmpty(req.query?.status) || null;
+    if (status && !BOOKING_STATUSES.includes(status)) return res.status(400).json({ ok: false, error: `Unknown status "${status}"` });
+    const list = await bookings.list({
+      hotelSlug: pickFirstNonEmpty(req.query?.hotelSlug, req.query?.slug) || null,
+      status,
+      limit: Math.min(500, Math.max(1, Number(req.query?.limit) || 100)),
+    });
+    res.json({ ok: true, count: list.length, bookings: list });
+  });
+
+  router.post('/api/admin/bookings/:id/status', requireAdmin, requireBookings, async (req, res) => {
+    const status = pickFirstNonEmpty(req.body?.status);
+    if (!BOOKING_DECISIONS.includes(status)) return res.status(400).json({ ok: false, error: `status must be one of ${BOOKING_DECISIONS.join(', ')}` });
+    const booking = await bookings.update(req.params.id, {
+      status,
+      decision: { at: new Date().toISOString(), by: pickFirstNonEmpty(req.body?.by) || 'reception', note: pickFirstNonEmpty(req.body?.note).slice(0, 2000) || null },
+    });
+    if (!booking) return res.status(404).json({ ok: false, error: 'Unknown booking' });
+    res.json({ ok: true, booking });
+  });
+
+  // -------------------------
+  // Widget ključevi + origini
+  // -------------------------
+  function requireWidgetKeys(req, res, next) {
+    if (!widgetKeys) return res.status(503).json({ ok: false, error: 'Widget keys disabled' });
+    return next();
+  }
+
+  router.get('/api/admin/widget-keys', requireAdmin, requireWidgetKeys, async (req, res) => {
+    const hotelSlug = pickFirstNonEmpty(req.query?.hotelSlug, req.query?.slug) || null;
+    const keys = await widgetKeys.list({ hotelSlug });
+    const slugs = hotelSlug ? [hotelSlug] : [...new Set(keys.map(k => k.hotelSlug))];
+    const origins = Object.fromEntries(await Promise.all(slugs.map(async s => [s, await widgetKeys.getOrigins(s)])));
+    res.json({ ok: true, count: keys.length, keys, origins });
+  });
+
+  router.post('/api/admin/widget-keys', requireAdmin, requireWidgetKeys, async (req, res) => {
+    const hotelSlug = pickFirstNonEmpty(req.body?.hotelSlug, req.body?.slug);
+    if (!hotelSlug) return res.status(400).json({ ok: false, error: 'Missing hotelSlug' });
+    const key = await widgetKeys.create({ hotelSlug, label: pickFirstNonEmpty(req.body?.label) || null });
+    res.json({ ok: true, key });
+  });
+
+  router.post('/api/admin/widget-keys/:key/rotate', requireAdmin, requireWidgetKeys, async (req, res) => {
+    const graceHours = Number(req.body?.graceHours ?? 24);
+    if (!Number.isFinite(graceHours) || graceHours < 0) return res.status(400).json({ ok: false, error: 'graceHours must be >= 0' });
+    const out = await widgetKeys.rotate(req.params.key, { graceMs: graceHours * 60 * 60 * 1000 });
+    if (!out) return res.status(404).json({ ok: false, error: 'Unknown or inactive key' });
+    res.json({ ok: true, key: out.key, previous: { key: out.previous.key, expiresAt: out.previous.expiresAt } });
+  });
+
+  router.post('/api/admin/widget-keys/:key/revoke', requireAdmin, requireWidgetKeys, async (req, res) => {
+    const key = await widgetKeys.revoke(req.params.key);
+    if (!key) return res.status(404).json({ ok: false, error: 'Unknown key' });
+    res.json({ ok: true, key });
+  });
+
+  router.post('/api/admin/widget-origins', requireAdmin, requireWidgetKeys, async (req, res) => {
+    const hotelSlug = pickFirstNonEmpty(req.body?.hotelSlug, req.body?.slug);
+    if (!hotelSlug) return res.status(400).json({ ok: false, error: 'Missing hotelSlug' });
+    const raw = asArray(req.body?.origins);
+    const invalid = raw.filter(o => !normalizeOrigin(o));
+    if (invalid.length) return res.status(400).json({ ok: false, error: 'Invalid origin (expected e.g. https://hotel.com)', invalid });
+    const origins = await widgetKeys.setOrigins(hotelSlug, raw);
+    res.json({ ok: true, hotelSlug, origins });
+  });
+
+  // -------------------------
+  // Airtable webhook (automation script)
+  // -------------------------
+  router.post('/api/airtable/webhook', (req, res) => {
+    if (!webhookSecret) return res.status(404).json({ ok: false, error: 'Not found' });
+    if (!safeEqual(req.get('x-webhook-secret'), webhookSecret)) {
+      return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+
+    const changes = Array.isArray(req.body?.changes) ? req.body.changes : [req.body || {}];
+    const applied = [];
+
+    for (const c of changes) {
+      const table = resolveTable(c?.table);
+      const hotelSlug = pickFirstNonEmpty(...asArray(c?.hotelSlug).map(String)) || null;
+
+      if (!table) {
+        applied.push({ table: c?.table ?? null, hotelSlug, invalidated: 0, ignored: true });
+        continue;
+      }
+
+      // promjena hotela / usluge / sobe -> svi entryji tog hotela; bez sluga -> cijela tablica
+      const invalidated = GLOBAL_TABLES.has(table)
+        ? cache.invalidate({ table })
+        : hotelSlug ? cache.invalidate({ hotelSlug }) : cache.invalidate({ table });
+
+      applied.push({ table, hotelSlug, recordId: c?.recordId ?? null, invalidated });
+    }
+
+    console.log(`ℹ️  airtable webhook: ${applied.map(a => `${a.table || '?'}/${a.hotelSlug || '*'}:${a.invalidated}`).join(', ')}`);
+    res.json({ ok: true, applied });
+  });
+
+  return router;
+}
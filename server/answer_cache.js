@@ -0,0 +1,138 @@
+// answer_cache.js — cache gotovih LLM odgovora za ponovljena pitanja (bez routera i GPT-a)
+//
+// Ključ = hotelSlug + jezik + normalizirano pitanje ("What time is check-in?" == "what time is check in").
+// minSimilarity > 0 uključuje near-duplicate: cosine nad trigramima znakova unutar istog hotela i jezika
+// ("chek in time?" ~ "check in time"); pitanja s različitim brojevima se nikad ne spajaju.
+// Invalidacija prati data cache (cache.onChange): promjena hotela / usluge / sobe -> odgovori tog hotela;
+// intenti / output pravila / answer pravila (globalne tablice) ili promjena bez hotela -> sve.
+// Uz to svaki entry pamti `source` (otisak data cache redova iz kojih je nastao): get({ source }) s drukčijim
+// otiskom = miss — odgovor nikad nije stariji od podataka koje bi pročitao i ne-cachirani put.
+import { normalizeText } from './utils.js';
+
+const GLOBAL_TABLES = new Set(['intents', 'outputRules', 'answerRules']);
+
+export const normalizeQuestion = q => normalizeText(q).replace(/\s+/g, ' ');
+
+const bucketOf = (hotelSlug, lang) => `${hotelSlug}|${lang}`;
+const numbersOf = s => (s.match(/\d+/g) || []).join(' ');
+
+function trigrams(s) {
+  const vec = new Map();
+  const padded = ` ${s} `;
+  for (let i = 0; i < padded.length - 2; i++) {
+    const g = padded.slice(i, i + 3);
+    vec.set(g, (vec.get(g) || 0) + 1);
+  }
+  let norm = 0;
+  for (const v of vec.values()) norm += v * v;
+  return { vec, norm: Math.sqrt(norm) };
+}
+
+function cosine(a, b) {
+  if (!a.norm || !b.norm) return 0;
+  let dot = 0;
+  for (const [g, v] of a.vec) dot += v * (b.vec.get(g) || 0);
+  return dot / (a.norm * b.norm);
+}
+
+export function createAnswerCache({ ttlMs = 60 * 60 * 1000, maxEntries = 2000, minSimilarity = 0 } = {}) {
+  const map = new Map(); // key -> { hotelSlug, lang, norm, value, ts, hits, tri }
+  const buckets = new Map(); // hotelSlug|lang -> Set<key>
+  const stats = { hits: 0, similarHits: 0, misses: 0, sets: 0, invalidated: 0, sourceChanged: 0 };
+
+  function remove(key) {
+    const e = map.get(key);
+    if (!e) return;
+    map.delete(key);
+    buckets.get(bucketOf(e.hotelSlug, e.lang))?.delete(key);
+  }
+
+  const expired = e => Date.now() - e.ts >= ttlMs;
+
+  // najbliže pitanje u istom hotelu / jeziku (iznad praga)
+  function findSimilar(hotelSlug, lang, norm) {
+    const q = trigrams(norm);
+    let best = null;
+    for (const key of buckets.get(bucketOf(hotelSlug, lang)) || []) {
+      const e = map.get(key);
+      if (!e || expired(e) || numbersOf(e.norm) !== numbersOf(norm)) continue;
+      e.tri ??= trigrams(e.norm);
+      const similarity = cosine(q, e.tri);
+      if (similarity >= minSimilarity && (!best || similarity > best.similarity)) best = { key, similarity };
+    }
+    return best;
+  }
+
+  // -> { value, match: 'exact' | 'similar', similarity, cachedAt } | null
+  function get({ hotelSlug, lang, question, source = null }) {
+    const norm = normalizeQuestion(question);
+    if (!norm) return null;
+    let key = `${bucketOf(hotelSlug, lang)}|${norm}`;
+    let similarity = 1;
+
+    let e = map.get(key);
+    if (e && expired(e)) {
+      remove(key);
+      e = null;
+    }
+    if (!e && minSimilarity > 0) {
+      const near = findSimilar(hotelSlug, lang, norm);
+      if (near) ({ key, similarity } = near);
+      e = near ? map.get(key) : null;
+    }
+    if (e && e.source !== source) {
+      remove(key);
+      stats.sourceChanged += 1;
+      e = null;
+    }
+    if (!e) {
+      stats.misses += 1;
+      return null;
+    }
+
+    // LRU: pogodak ide na kraj
+    map.delete(key);
+    map.set(key, e);
+    e.hits += 1;
+    stats.hits += 1;
+    if (similarity < 1) stats.similarHits += 1;
+    return { value: e.value, match: similarity < 1 ? 'similar' : 'exact', similarity: Math.round(similarity * 1000) / 1000, cachedAt: new Date(e.ts).toISOString() };
+  }
+
+  function set({ hotelSlug, lang, question, source = null }, value) {
+    const norm = normalizeQuestion(question);
+    if (!norm || !source) return;
+    const key = `${bucketOf(hotelSlug, lang)}|${norm}`;
+    remove(key);
+    map.set(key, { hotelSlug, lang, norm, value, source, ts: Date.now(), hits: 0, tri: null });
+    const b = bucketOf(hotelSlug, lang);
+    if (!buckets.has(b)) buckets.set(b, new Set());
+    buckets.get(b).add(key);
+    stats.sets += 1;
+    // cap: najdulje nekorišteni van
+    while (map.size > maxEntries) remove(map.keys().next().value);
+  }
+
+  // isti filter kao data cache ({ table, hotelSlug }); vraća broj obrisanih odgovora
+  function invalidate({ table = null, hotelSlug = null } = {}) {
+    const all = !hotelSlug || GLOBAL_TABLES.has(table);
+    let count = 0;
+    for (const [key, e] of [...map]) {
+      if (!all && e.hotelSlug !== hotelSlug) continue;
+      remove(key);
+      count += 1;
+    }
+    stats.invalidated += count;
+    return count;
+  }
+
+  return {
+    ttlMs,
+    minSimilarity,
+    get,
+    set,
+    invalidate,
+    stats: () => ({ ...stats, entries: map.size }),
+    size: () => map.size,
+  };
+}
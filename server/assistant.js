@@ -0,0 +1,97 @@
+// assistant.js — konfiguracija asistenta po hotelu (ime, pozdrav, ton, duljina odgovora, teme, fallback kontakt)
+//
+// Izvor: HOTELI stupci (field_mapping.json -> hotels: assistantName, assistantTone, answerLength,
+// allowedTopics, greetingHR..ES, fallbackContactHR..ES). Prazno polje = default ponašanje
+// (AI Olly, friendly, medium = 1–4 rečenice, sve teme, bez dodatnog kontakt teksta).
+// Konfiguracija ide u system prompt, determinističke predloške (noInfo / noPriceInfo / offTopic)
+// i widget bootstrap (GET /api/widget/bootstrap).
+import { t, normalizeLang, SUPPORTED_LANGS } from './i18n.js';
+import { asArray, normalizeText } from './utils.js';
+
+export const DEFAULT_ASSISTANT_NAME = 'AI Olly';
+
+export const ASSISTANT_TONES = {
+  friendly: 'Warm and friendly, like helpful reception staff.',
+  formal: 'Formal and polite; use the formal form of address where the language has one.',
+  concise: 'Neutral and to the point; no small talk.',
+  luxury: 'Refined and gracious, as in a five-star hotel; never pushy.',
+};
+
+export const ANSWER_LENGTHS = {
+  short: '1–2 sentences',
+  medium: '1–4 sentences',
+  detailed: 'up to 8 sentences',
+};
+
+const pickKey = (value, table, fallback) => {
+  const k = normalizeText(value).replace(/ /g, '_');
+  return Object.hasOwn(table, k) ? k : fallback;
+};
+
+// { HR: '...', EN: '...' } iz <prefix>HR..ES polja
+function perLang(hotelRec, prefix) {
+  const out = {};
+  for (const lang of SUPPORTED_LANGS) {
+    const v = String(hotelRec?.[`${prefix}${lang}`] ?? '').trim();
+    if (v) out[lang] = v;
+  }
+  return out;
+}
+
+// traženi jezik -> EN -> bilo koji koji postoji
+function inLang(map, lang) {
+  const code = normalizeLang(lang) || 'EN';
+  return map[code] || map.EN || Object.values(map)[0] || '';
+}
+
+export function resolveAssistant(hotelRec) {
+  return {
+    name: String(hotelRec?.assistantName || '').trim() || DEFAULT_ASSISTANT_NAME,
+    tone: pickKey(hotelRec?.assistantTone, ASSISTANT_TONES, 'friendly'),
+    answerLength: pickKey(hotelRec?.answerLength, ANSWER_LENGTHS, 'medium'),
+    // imena intenta ili AI_INTENT_PATTERNS record ID-jevi (linked record); prazno = sve teme
+    allowedTopics: asArray(hotelRec?.allowedTopics).map(x => String(x).trim()).filter(Boolean),
+    greeting: perLang(hotelRec, 'greeting'),
+    fallbackContact: perLang(hotelRec, 'fallbackContact'),
+  };
+}
+
+export const assistantGreeting = (assistant, lang) => inLang(assistant.greeting, lang) || t(lang, 'assistant.greeting', { name: assistant.name });
+
+export const assistantFallback = (assistant, lang) => (assistant ? inLang(assistant.fallbackContact, lang) : '');
+
+// intent bez liste / bez intenta (opća pitanja o hotelu) je uvijek dopušten
+export function isTopicAllowed(assistant, intent, patterns = []) {
+  if (!assistant?.allowedTopics.length || !intent) return true;
+  const p = patterns.find(x => String(x.intent) === String(intent));
+  const keys = new Set([intent, p?.id].filter(Boolean).map(x => normalizeText(x)));
+  return assistant.allowedTopics.some(x => keys.has(normalizeText(x)));
+}
+
+// dio system prompta koji ovisi o hotelu
+export function assistantPrompt(assistant, lang, { patterns = [] } = {}) {
+  const topics = assistant.allowedTopics
+    .map(x => patterns.find(p => String(p.id) === x)?.intent || x);
+  const fallback = assistantFallback(assistant, lang);
+
+  return {
+    persona: `You are "${assistant.name}" — a hotel web assistant for website visitors.`,
+    rules: [
+      `- Tone: ${ASSISTANT_TONES[assistant.tone]}`,
+      `- Keep answers short (${ANSWER_LENGTHS[assistant.answerLength]}) unless user asks for details.`,
+      ...(topics.length ? [`- Only help with these topics: ${topics.join(', ')}, plus general hotel facts from HOTEL CORE. Politely decline anything else.`] : []),
+      ...(fallback ? [`- When you suggest contacting reception, use exactly this contact text: "${fallback}"`] : []),
+    ].join('\n'),
+  };
+}
+
+// widget bootstrap (bez internih polja)
+export function publicAssistant(assistant, lang) {
+  return {
+    name: assistant.name,
+    greeting: assistantGreeting(assistant, lang),
+    tone: assistant.tone,
+    answerLength: assistant.answerLength,
+    fallbackContact: assistantFallback(assistant, lang) || null,
+  };
+}
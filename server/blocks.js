@@ -0,0 +1,250 @@
+// blocks.js — strukturirani odgovor za widget (`blocks` uz `answer`)
+//
+// `answer` ostaje potpun plain-text odgovor (stari widget, SSE tokeni, session history);
+// widget koji zna block tip prikaže block, nepoznate tipove preskoči.
+//
+//   list              { type, title?, items: [string] }
+//   room_card         { type, id?, title, subtitle?, facts: [{ label, value }], amenities?: [string] }
+//   comparison_table  { type, columns: [string], rows: [{ label, values: [string], differs }] }
+//   contact_card      { type, title?, phone?: { text, url }, email?: { text, url }, address?, checkIn?, checkOut?,
+//                       links: [{ label, url }] }
+//   link_button       { type, label, url }          url: https | http | tel | mailto
+//   quick_replies     { type, options: [{ label, question }] }  tap -> question ide na /api/web-ask
+//
+// Deterministički rendereri grade blockove iz recorda; LLM ih smije vratiti u JSON modu
+// (ANSWER_BLOCKS=json) i tada prolaze kroz sanitizeBlocks.
+import { asArray } from './utils.js';
+import { t } from './i18n.js';
+
+export const BLOCK_TYPES = ['list', 'room_card', 'comparison_table', 'contact_card', 'link_button', 'quick_replies'];
+
+const MAX_BLOCKS = 8;
+const MAX_ITEMS = 20;
+const MAX_TEXT = 300;
+
+// SOBE polja za karticu / usporedbu (isti redoslijed kao renderRoomDifference)
+export const ROOM_FIELDS = [
+  { key: 'tipSobe', label: 'field.roomType' },
+  { key: 'kvadratura', label: 'field.size' },
+  { key: 'kapacitet', label: 'field.capacity' },
+  { key: 'kat', label: 'field.floor' },
+  { key: 'pogled', label: 'field.view' },
+  { key: 'kreveti', label: 'field.beds' },
+];
+
+const clip = (s, n = MAX_TEXT) => String(s ?? '').trim().slice(0, n);
+
+function valueText(v) {
+  if (v == null) return '';
+  if (Array.isArray(v)) return v.map(x => String(x).trim()).filter(Boolean).join(', ');
+  return String(v).trim();
+}
+
+const roomTitle = (room, lang) => room.naziv || room.tipSobe || room.slug || t(lang, 'room.fallbackName');
+
+// -------------------------
+// Linkovi
+// -------------------------
+export function safeUrl(url) {
+  const s = String(url || '').trim();
+  if (!s || s.length > 2000) return null;
+  if (/^(tel|mailto):/i.test(s)) return s;
+  try {
+    const u = new URL(s);
+    return u.protocol === 'https:' || u.protocol === 'http:' ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+export function telUrl(phone) {
+  const p = String(phone || '').trim();
+  const digits = p.replace(/\D/g, '');
+  if (digits.length < 6 || digits.length > 15) return null;
+  return `tel:${p.startsWith('+') ? '+' : ''}${digits}`;
+}
+
+export function mailtoUrl(email) {
+  const e = String(email || '').trim();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(e) ? `mailto:${e}` : null;
+}
+
+export function mapsUrl(address) {
+  const a = String(address || '').trim();
+  return a ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(a)}` : null;
+}
+
+// -------------------------
+// Builderi (null kad nema podataka)
+// -------------------------
+export function listBlock(items, title = null) {
+  const list = asArray(items).map(x => clip(x)).filter(Boolean).slice(0, MAX_ITEMS);
+  if (!list.length) return null;
+  return { type: 'list', ...(title ? { title: clip(title) } : {}), items: list };
+}
+
+export function linkButton(label, url) {
+  const href = safeUrl(url);
+  const text = clip(label, 80);
+  return href && text ? { type: 'link_button', label: text, url: href } : null;
+}
+
+export function quickReplies(options) {
+  const list = asArray(options)
+    .map(o => (typeof o === 'string' ? { label: o, question: o } : o))
+    .map(o => ({ label: clip(o?.label, 80), question: clip(o?.question || o?.label) }))
+    .filter(o => o.label && o.question)
+    .slice(0, 6);
+  return list.length ? { type: 'quick_replies', options: list } : null;
+}
+
+export function roomCard(room, lang = 'HR', { amenities = false } = {}) {
+  if (!room) return null;
+  const facts = ROOM_FIELDS
+    .map(f => ({ label: t(lang, f.label), value: valueText(room[f.key]) }))
+    .filter(f => f.value);
+  const am = amenities ? asArray(room.roomAmenities).map(x => clip(x)).filter(Boolean).slice(0, MAX_ITEMS) : [];
+
+  return {
+    type: 'room_card',
+    id: room.id || null,
+    title: clip(roomTitle(room, lang)),
+    ...(room.tipSobe && room.tipSobe !== room.naziv ? { subtitle: clip(room.tipSobe) } : {}),
+    facts,
+    ...(am.length ? { amenities: am } : {}),
+  };
+}
+
+export function comparisonTable(roomA, roomB, lang = 'HR') {
+  if (!roomA || !roomB) return null;
+  const rows = ROOM_FIELDS
+    .map(f => {
+      const a = valueText(roomA[f.key]);
+      const b = valueText(roomB[f.key]);
+      if (!a && !b) return null;
+      const missing = t(lang, 'diff.notListed');
+      return { label: t(lang, f.label), values: [a || missing, b || missing], differs: a !== b };
+    })
+    .filter(Boolean);
+  if (!rows.length) return null;
+  return { type: 'comparison_table', columns: [roomTitle(roomA, lang), roomTitle(roomB, lang)].map(s => clip(s)), rows };
+}
+
+export function contactCard(hotelRec, lang = 'HR') {
+  if (!hotelRec) return null;
+  const links = [
+    { label: t(lang, 'core.googleMaps'), url: hotelRec.googleMaps || mapsUrl(hotelRec.adresa) },
+    { label: t(lang, 'core.website'), url: hotelRec.web },
+    { label: t(lang, 'core.googleReviews'), url: hotelRec.googleReview },
+    { label: t(lang, 'core.instagram'), url: hotelRec.instagram },
+  ]
+    .map(l => ({ label: l.label, url: safeUrl(l.url) }))
+    .filter(l => l.url);
+
+  const card = {
+    type: 'contact_card',
+    title: clip(hotelRec.hotelNaziv) || undefined,
+    phone: hotelRec.telefon ? { text: clip(hotelRec.telefon, 40), url: telUrl(hotelRec.telefon) } : undefined,
+    email: mailtoUrl(hotelRec.email) ? { text: clip(hotelRec.email, 120), url: mailtoUrl(hotelRec.email) } : undefined,
+    address: clip(hotelRec.adresa) || undefined,
+    checkIn: clip(hotelRec.checkIn, 60) || undefined,
+    checkOut: clip(hotelRec.checkOut, 60) || undefined,
+    links,
+  };
+  const hasData = card.phone || card.email || card.address || card.checkIn || card.checkOut || links.length;
+  return hasData ? JSON.parse(JSON.stringify(card)) : null;
+}
+
+export const compactBlocks = blocks => asArray(blocks).filter(Boolean).slice(0, MAX_BLOCKS);
+
+// -------------------------
+// LLM JSON mod -> samo poznati tipovi, kratki stringovi, sigurni linkovi
+// allowUrl(url): link mora postojati u HOTEL CORE / RECORDS / KB (nema izmišljenih telefona i URL-ova)
+// allowText(text): isto za slobodan tekst koji gost čita kao činjenicu (adresa u contact_card)
+// -------------------------
+export const BLOCKS_PROMPT = `Reply with a JSON object: {"answer": "<the full answer as plain text>", "blocks": [...]}.
+"answer" must be complete on its own. "blocks" is optional structured UI for the same content (max ${MAX_BLOCKS}):
+- {"type":"list","title"?:string,"items":[string]}
+- {"type":"room_card","title":string,"subtitle"?:string,"facts":[{"label":string,"value":string}],"amenities"?:[string]}
+- {"type":"comparison_table","columns":[string,string],"rows":[{"label":string,"values":[string,string]}]}
+- {"type":"contact_card","title"?:string,"phone"?:string,"email"?:string,"address"?:string}
+- {"type":"link_button","label":string,"url":string}
+- {"type":"quick_replies","options":[string]}
+Blocks follow the same ABSOLUTE RULES: only facts, phone numbers, emails and URLs that appear verbatim in HOTEL CORE, RECORDS or KB. Use [] when no block fits.`;
+
+function sanitizeBlock(b, allowUrl, allowText) {
+  const okUrl = url => {
+    const href = safeUrl(url);
+    return href && allowUrl(href) ? href : null;
+  };
+  const okText = s => {
+    const text = clip(s);
+    return text && allowText(text) ? text : null;
+  };
+
+  switch (b?.type) {
+    case 'list':
+      return listBlock(b.items, b.title);
+    case 'room_card': {
+      const facts = asArray(b.facts)
+        .map(f => ({ label: clip(f?.label, 80), value: clip(valueText(f?.value)) }))
+        .filter(f => f.label && f.value)
+        .slice(0, MAX_ITEMS);
+      const title = clip(b.title);
+      if (!title) return null;
+      const am = asArray(b.amenities).map(x => clip(x)).filter(Boolean).slice(0, MAX_ITEMS);
+      return { type: 'room_card', title, ...(b.subtitle ? { subtitle: clip(b.subtitle) } : {}), facts, ...(am.length ? { amenities: am } : {}) };
+    }
+    case 'comparison_table': {
+      const columns = asArray(b.columns).map(c => clip(c, 120)).slice(0, 4);
+      const rows = asArray(b.rows)
+        .map(r => ({ label: clip(r?.label, 80), values: columns.map((_, i) => clip(valueText(asArray(r?.values)[i]))) }))
+        .filter(r => r.label)
+        .map(r => ({ ...r, differs: new Set(r.values).size > 1 }))
+        .slice(0, MAX_ITEMS);
+      return columns.length >= 2 && rows.length ? { type: 'comparison_table', columns, rows } : null;
+    }
+    case 'contact_card': {
+      const tel = okUrl(telUrl(b.phone?.text ?? b.phone));
+      const mail = okUrl(mailtoUrl(b.email?.text ?? b.email));
+      const links = asArray(b.links)
+        .map(l => ({ label: clip(l?.label, 80), url: okUrl(l?.url) }))
+        .filter(l => l.label && l.url)
+        .slice(0, 6);
+      const card = {
+        type: 'contact_card',
+        title: clip(b.title) || undefined,
+        phone: tel ? { text: clip(b.phone?.text ?? b.phone, 40), url: tel } : undefined,
+        email: mail ? { text: mail.slice('mailto:'.length), url: mail } : undefined,
+        address: okText(b.address) || undefined,
+        links,
+      };
+      return card.phone || card.email || card.address || links.length ? JSON.parse(JSON.stringify(card)) : null;
+    }
+    case 'link_button': {
+      const url = okUrl(b.url);
+      return url ? linkButton(b.label, url) : null;
+    }
+    case 'quick_replies':
+      return quickReplies(b.options);
+    default:
+      return null;
+  }
+}
+
+export function sanitizeBlocks(raw, { allowUrl = () => true, allowText = () => true } = {}) {
+  return compactBlocks(asArray(raw).map(b => sanitizeBlock(b, allowUrl, allowText)));
+}
+
+// sav tekst iz blockova (price guard gleda i njih)
+export function blocksText(blocks) {
+  const out = [];
+  const walk = v => {
+    if (v == null) return;
+    if (Array.isArray(v)) v.forEach(walk);
+    else if (typeof v === 'object') Object.values(v).forEach(walk);
+    else out.push(String(v));
+  };
+  walk(blocks);
+  return out.join('\n');
+}
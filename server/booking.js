@@ -0,0 +1,338 @@
+// booking.js — zahtjev za rezervaciju kroz chat (vođeni koraci -> strukturirani zahtjev recepciji)
+//
+// Tok: gost piše "I'd like to book the Deluxe" -> meta.booking.offered (+ prefill iz pitanja)
+// -> widget: POST /api/booking/start -> koraci dates -> guests -> room -> name -> contact -> confirm
+// -> POST /api/booking/:id/submit -> zahtjev ide recepciji (notify.js) i ostaje u data/booking_requests.json.
+// Draft je vezan uz bookingId (widget ga čuva) i sessionId; gost koji napusti stranicu nastavlja
+// gdje je stao (GET /api/booking/:id ili start s istim sessionId-jem) dok draft ne istekne.
+// Ovo je ZAHTJEV — recepcija potvrđuje dostupnost i cijenu (admin status confirmed / declined).
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { asArray, normalizeText } from './utils.js';
+import { normalizeContact } from './handoff.js';
+import { extractStay, isoDate, nightsBetween, MAX_NIGHTS } from './pms/dates.js';
+
+const BOOKING_ID_RE = /^bkg_[A-Za-z0-9-]{8,64}$/;
+
+export const BOOKING_STEPS = ['dates', 'guests', 'room', 'name', 'contact', 'confirm'];
+// sending = submit čeka notifier (drugi submit istog bookinga dobije 409)
+// logged = notifier samo logira (BOOKING_NOTIFIER / HANDOFF_NOTIFIER=log), kao kod handoff ticketa
+export const BOOKING_STATUSES = ['draft', 'sending', 'sent', 'logged', 'failed', 'confirmed', 'declined', 'cancelled'];
+export const isBookingId = id => BOOKING_ID_RE.test(String(id || ''));
+
+const MAX_ADULTS = 10;
+const MAX_CHILDREN = 10;
+
+// -------------------------
+// "Želim rezervirati" (ne "book a taxi" — fraze su vezane uz sobu / rezervaciju)
+// -------------------------
+const BOOKING_PHRASES = [
+  // EN
+  'i want to book', 'i would like to book', 'i d like to book', 'id like to book', 'book a room', 'book this room',
+  'make a reservation', 'reserve a room', 'booking request',
+  // HR
+  'želim rezervirati', 'zelim rezervirati', 'rezervirati sobu', 'rezervirao bih', 'rezervirala bih', 'rezervacija sobe', 'htio bih rezervirati', 'htjela bih rezervirati',
+  // DE
+  'zimmer buchen', 'zimmer reservieren', 'ich möchte buchen', 'ich mochte buchen', 'ich möchte reservieren', 'ich mochte reservieren',
+  // IT
+  'vorrei prenotare', 'prenotare una camera', 'prenotare la camera',
+  // FR
+  'je voudrais réserver', 'je voudrais reserver', 'réserver une chambre', 'reserver une chambre',
+  // ES
+  'quiero reservar', 'quisiera reservar', 'reservar una habitación', 'reservar una habitacion',
+].map(normalizeText);
+
+export function isBookingRequest(question) {
+  const q = normalizeText(question);
+  if (!q) return false;
+  return BOOKING_PHRASES.some(p => q.includes(p));
+}
+
+// -------------------------
+// Koraci (svaki vraća { ok, patch } ili { ok: false, error, vars? })
+// -------------------------
+const intIn = (v, min, max) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+};
+
+function stepDates(value, { now }) {
+  const today = isoDate(now);
+  let { checkIn = null, checkOut = null } = typeof value === 'object' && value ? value : {};
+  if (typeof value === 'string') ({ checkIn, checkOut } = extractStay(value, { now }));
+
+  const iso = /^\d{4}-\d{2}-\d{2}$/;
+  if (!iso.test(String(checkIn)) || !iso.test(String(checkOut)) || Number.isNaN(Date.parse(checkIn)) || Number.isNaN(Date.parse(checkOut))) {
+    return { ok: false, error: 'dates' };
+  }
+  const nights = nightsBetween(checkIn, checkOut);
+  if (checkIn < today || nights < 1 || nights > MAX_NIGHTS) return { ok: false, error: 'dates' };
+  return { ok: true, patch: { stay: { checkIn, checkOut, nights } } };
+}
+
+function stepGuests(value) {
+  let adults = null;
+  let children = 0;
+  if (typeof value === 'object' && value) {
+    adults = intIn(value.adults, 1, MAX_ADULTS);
+    children = value.children == null || value.children === '' ? 0 : intIn(value.children, 0, MAX_CHILDREN);
+  } else if (/^\s*\d{1,2}\s*$/.test(String(value ?? ''))) {
+    adults = intIn(String(value).trim(), 1, MAX_ADULTS);
+  } else {
+    const s = extractStay(String(value || ''));
+    adults = s.assumed.includes('adults') ? null : intIn(s.adults, 1, MAX_ADULTS);
+    children = intIn(s.children, 0, MAX_CHILDREN);
+  }
+  if (adults == null || children == null) return { ok: false, error: 'guests' };
+  return { ok: true, patch: { guests: { adults, children } } };
+}
+
+// soba iz SOBE (id / slug / naziv); kapacitet i PMS dostupnost ako su poznati
+export function findBookingRoom(value, rooms = []) {
+  const v = String((typeof value === 'object' && value ? value.id || value.slug || value.naziv : value) || '').trim();
+  if (!v) return null;
+  const exact = rooms.find(r => String(r.id) === v || String(r.slug || '') === v);
+  if (exact) return exact;
+  const n = normalizeText(v);
+  return rooms.find(r => [r.naziv, r.tipSobe, r.slug].some(x => x && normalizeText(x) === n))
+    || rooms.find(r => [r.naziv, r.tipSobe].some(x => x && (normalizeText(x).includes(n) || n.includes(normalizeText(x)))))
+    || null;
+}
+
+function stepRoom(value, booking, { rooms = [], quote = null }) {
+  const room = findBookingRoom(value, rooms);
+  const name = room ? room.naziv || room.tipSobe || room.slug : null;
+  if (!room) return { ok: false, error: 'room' };
+
+  const guests = (booking.guests?.adults || 0) + (booking.guests?.children || 0);
+  const max = Number(room.kapacitet);
+  if (Number.isFinite(max) && max > 0 && guests > max) return { ok: false, error: 'capacity', vars: { room: name, max } };
+
+  const q = quote?.rooms?.find(r => (r.roomId && String(r.roomId) === String(room.id)) || r.roomType === String(room.slug || ''));
+  if (q && !q.available) return { ok: false, error: 'soldOut', vars: { room: name } };
+
+  return {
+    ok: true,
+    patch: {
+      room: {
+        id: room.id,
+        slug: room.slug || null,
+        naziv: name,
+        quote: q?.available ? { total: q.total, currency: quote.currency } : null,
+      },
+    },
+  };
+}
+
+function stepName(value, booking) {
+  const name = String((typeof value === 'object' && value ? value.name : value) || '').replace(/\s+/g, ' ').trim();
+  if (name.length < 2 || name.length > 120 || !/\p{L}/u.test(name)) return { ok: false, error: 'name' };
+  // ispravak imena nakon kontakt koraka ne briše email / telefon
+  return { ok: true, patch: { guest: { ...booking.guest, name } } };
+}
+
+function stepContact(value, booking) {
+  const raw = typeof value === 'object' && value ? value : String(value || '').includes('@') ? { email: value } : { phone: value };
+  const contact = normalizeContact(raw);
+  if (!contact.email && !contact.phone) return { ok: false, error: 'contact' };
+  const note = String(raw.note || raw.message || '').trim().slice(0, 1000) || null;
+  return { ok: true, patch: { guest: { ...booking.guest, email: contact.email, phone: contact.phone }, note } };
+}
+
+const STEP_HANDLERS = {
+  dates: (value, booking, ctx) => stepDates(value, ctx),
+  guests: value => stepGuests(value),
+  room: (value, booking, ctx) => stepRoom(value, booking, ctx),
+  name: (value, booking) => stepName(value, booking),
+  contact: (value, booking) => stepContact(value, booking),
+};
+
+// prvi korak koji nije popunjen
+export function nextBookingStep(b) {
+  if (!b.stay) return 'dates';
+  if (!b.guests) return 'guests';
+  if (!b.room) return 'room';
+  if (!b.guest?.name) return 'name';
+  if (!b.guest?.email && !b.guest?.phone) return 'contact';
+  return 'confirm';
+}
+
+// step = trenutni (ili raniji, za ispravak); promjena datuma / gostiju poništava sobu (kapacitet / PMS)
+export function applyBookingStep(booking, step, value, ctx = {}) {
+  const handler = STEP_HANDLERS[step];
+  if (!handler) return { ok: false, error: 'step' };
+  const out = handler(value, booking, { now: new Date(), ...ctx });
+  if (!out.ok) return out;
+  const resetRoom = (step === 'dates' || step === 'guests') && booking.room ? { room: null } : {};
+  return { ok: true, patch: { ...out.patch, ...resetRoom } };
+}
+
+// prefill iz pitanja ("book the deluxe 3-5 August for 2 adults") — samo ono što prolazi validaciju
+export function bookingPrefill(question, { rooms = [], room = null, now = new Date() } = {}) {
+  const stay = extractStay(question, { now });
+  const out = {};
+  if (stay.checkIn && !stay.assumed.includes('nights')) out.dates = { checkIn: stay.checkIn, checkOut: stay.checkOut };
+  if (!stay.assumed.includes('adults')) out.guests = { adults: stay.adults, children: stay.children };
+  if (room && rooms.some(r => r.id === room.id)) out.room = room.id;
+  return out;
+}
+
+// -------------------------
+// Store (JSON datoteka, kao handoff ticketi)
+// -------------------------
+export function createBookingStore({ file, maxBookings = 5000, draftTtlMs = 72 * 60 * 60 * 1000 } = {}) {
+  let bookings = null; // Map id -> booking
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (bookings) return bookings;
+    try {
+      const parsed = JSON.parse(await fs.readFile(file, 'utf8'));
+      bookings = new Map((parsed.bookings || []).map(b => [b.id, b]));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      bookings = new Map();
+    }
+    return bookings;
+  }
+
+  // tmp + rename; ispadaju najstariji draftovi pa zatvoreni zahtjevi
+  function persist() {
+    writing = writing.catch(() => {}).then(async () => {
+      if (bookings.size > maxBookings) {
+        const rank = b => (b.status === 'draft' ? 0 : ['cancelled', 'declined', 'confirmed'].includes(b.status) ? 1 : 2);
+        const drop = [...bookings.values()]
+          .filter(b => rank(b) < 2)
+          .sort((a, b) => rank(a) - rank(b) || String(a.updatedAt).localeCompare(String(b.updatedAt)));
+        for (const b of drop.slice(0, bookings.size - maxBookings)) bookings.delete(b.id);
+      }
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ updatedAt: new Date().toISOString(), bookings: [...bookings.values()] }, null, 2));
+      await fs.rename(tmp, file);
+    });
+    return writing;
+  }
+
+  const isExpired = b => b.status === 'draft' && Date.now() - Date.parse(b.updatedAt) > draftTtlMs;
+
+  async function create(fields) {
+    await load();
+    const now = new Date().toISOString();
+    const booking = {
+      id: `bkg_${crypto.randomUUID()}`,
+      status: 'draft',
+      createdAt: now,
+      updatedAt: now,
+      stay: null,
+      guests: null,
+      room: null,
+      guest: null,
+      note: null,
+      ...fields,
+    };
+    bookings.set(booking.id, booking);
+    await persist();
+    return booking;
+  }
+
+  async function get(id) {
+    await load();
+    return bookings.get(String(id)) || null;
+  }
+
+  async function update(id, patch) {
+    await load();
+    const b = bookings.get(String(id));
+    if (!b) return null;
+    Object.assign(b, patch, { updatedAt: new Date().toISOString() });
+    await persist();
+    return b;
+  }
+
+  // update samo iz zadanog statusa; provjera i upis u istom koraku (bez await između) -> paralelni
+  // submit istog bookinga ne prolazi dvaput. null = booking ne postoji ili je u međuvremenu promijenio status
+  async function transition(id, from, patch) {
+    await load();
+    const b = bookings.get(String(id));
+    if (!b || !asArray(from).includes(b.status)) return null;
+    Object.assign(b, patch, { updatedAt: new Date().toISOString() });
+    await persist();
+    return b;
+  }
+
+  // nastavak: zadnji neistekli draft ove sesije za hotel
+  async function findOpen({ hotelSlug, sessionId }) {
+    await load();
+    if (!sessionId) return null;
+    return [...bookings.values()]
+      .filter(b => b.status === 'draft' && b.hotelSlug === hotelSlug && b.sessionId === sessionId && !isExpired(b))
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))[0] || null;
+  }
+
+  async function list({ hotelSlug = null, status = null, limit = 100 } = {}) {
+    await load();
+    return [...bookings.values()]
+      .filter(b => !hotelSlug || b.hotelSlug === hotelSlug)
+      .filter(b => !status || b.status === status)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, limit);
+  }
+
+  return { file, create, get, update, transition, findOpen, list, isExpired };
+}
+
+// javni prikaz za widget (gostovi vlastiti podaci; bez sessionId / delivery detalja)
+export function publicBooking(b) {
+  return {
+    id: b.id,
+    status: b.status,
+    hotelSlug: b.hotelSlug,
+    stay: b.stay,
+    guests: b.guests,
+    room: b.room ? { id: b.room.id, naziv: b.room.naziv, quote: b.room.quote } : null,
+    guest: b.guest,
+    note: b.note,
+    createdAt: b.createdAt,
+    updatedAt: b.updatedAt,
+    submittedAt: b.submittedAt || null,
+  };
+}
+
+// -------------------------
+// Poruka recepciji (notify.js)
+// -------------------------
+function renderBookingText(b, hotel) {
+  const q = b.room?.quote;
+  return [
+    `Hotel: ${hotel?.hotelNaziv || b.hotelSlug}`,
+    `Booking request: ${b.id}`,
+    `Jezik / Language: ${b.lang || '-'}`,
+    '',
+    `Dolazak / Arrival: ${b.stay.checkIn}`,
+    `Odlazak / Departure: ${b.stay.checkOut} (${b.stay.nights} noći / nights)`,
+    `Gosti / Guests: ${b.guests.adults} odraslih / adults, ${b.guests.children} djece / children`,
+    `Soba / Room: ${b.room.naziv}${b.room.slug ? ` (${b.room.slug})` : ''}`,
+    ...(q ? [`PMS ponuda / quote: ${q.total} ${q.currency}`] : []),
+    '',
+    `Gost / Guest: ${b.guest.name}`,
+    `Email: ${b.guest.email || '-'}`,
+    `Telefon / Phone: ${b.guest.phone || '-'}`,
+    ...(b.note ? [`Napomena / Note: ${b.note}`] : []),
+  ].join('\n');
+}
+
+export function bookingMessage(b, hotel) {
+  const { status, ...booking } = publicBooking(b); // status je u trenutku slanja još draft
+  return {
+    type: 'booking.request',
+    hotelSlug: b.hotelSlug,
+    subject: `[AI Olly] ${hotel?.hotelNaziv || b.hotelSlug}: booking request ${b.stay.checkIn} – ${b.stay.checkOut}, ${b.room.naziv}`,
+    text: renderBookingText(b, hotel),
+    replyTo: b.guest.email || null,
+    payload: { booking },
+  };
+}
+
+export const bookingContactText = b => [b.guest?.email, b.guest?.phone].filter(Boolean).join(', ');
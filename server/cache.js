@@ -0,0 +1,205 @@
+// cache.js — in-memory cache za Airtable/data-source redove (stale-while-revalidate)
+//
+// Ključ = `<table>` (globalne tablice: intents, outputRules, answerRules) ili `<table>:<hotelSlug>`
+// (hotels, services, rooms). Admin API ga lista i invalidira po hotelu / tablici.
+//
+// getOrLoad(key, loader):
+//   fresh (age < ttl)               -> iz cachea
+//   stale (age < ttl + staleMs)     -> iz cachea + refresh u pozadini
+//   expired / invalidated / miss    -> čeka loader; ako loader pukne, a imamo stari value -> last-known-good
+// Istovremeni missevi za isti ključ dijele jedan fetch (in-flight promise).
+//
+// onChange(fn) -> fn({ table, hotelSlug, reason }) nakon invalidate ('invalidate') ili kad refresh donese
+// drukčije podatke nego prije ('refresh') — npr. answer cache briše odgovore izvedene iz tih redova.
+// signatureOf(keys) -> otisak trenutnih vrijednosti tih ključeva (null ako nitko ne sluša ili ključ nije učitan).
+import crypto from 'node:crypto';
+
+export function cacheKey(table, hotelSlug = null) {
+  return hotelSlug ? `${table}:${hotelSlug}` : String(table);
+}
+
+function parseKey(key) {
+  const i = key.indexOf(':');
+  return i === -1
+    ? { table: key, hotelSlug: null }
+    : { table: key.slice(0, i), hotelSlug: key.slice(i + 1) };
+}
+
+const asArrayOfKeys = keys => (Array.isArray(keys) ? keys : [keys]);
+
+const sizeOf = v => (Array.isArray(v) ? v.length : v == null ? 0 : 1);
+
+// "services=30,rooms=300" -> { services: 30000, rooms: 300000 }
+export function parseTtlByTable(s) {
+  const out = {};
+  for (const part of String(s || '').split(',')) {
+    const [table, sec] = part.split('=').map(x => String(x || '').trim());
+    const n = Number(sec);
+    if (table && Number.isFinite(n) && n >= 0) out[table] = n * 1000;
+  }
+  return out;
+}
+
+export function createCache({ ttlMs = 60 * 1000, ttlByTable = {}, staleMs = 10 * 60 * 1000 } = {}) {
+  const map = new Map(); // key -> { value, ts, invalidated, lastError, lastErrorAt }
+  const inflight = new Map(); // key -> Promise
+  const stats = { hits: 0, staleHits: 0, misses: 0, shared: 0, lastKnownGood: 0, refreshErrors: 0 };
+  const listeners = new Set();
+
+  function emit(change) {
+    for (const fn of listeners) {
+      try {
+        fn(change);
+      } catch (e) {
+        console.error('cache listener error:', e?.message || e);
+      }
+    }
+  }
+
+  // otisak sadržaja (samo kad netko sluša promjene)
+  const signature = value => (listeners.size ? crypto.createHash('sha1').update(JSON.stringify(value ?? null)).digest('hex') : null);
+
+  const ttlFor = key => ttlByTable[parseKey(key).table] ?? ttlMs;
+
+  function stateOf(key, hit, now = Date.now()) {
+    if (hit.invalidated) return 'invalidated';
+    const age = now - hit.ts;
+    const ttl = ttlFor(key);
+    if (age < ttl) return 'fresh';
+    if (age < ttl + staleMs) return 'stale';
+    return 'expired';
+  }
+
+  function set(key, value) {
+    const prev = map.get(key);
+    const sig = signature(value);
+    map.set(key, { value, ts: Date.now(), invalidated: false, lastError: null, lastErrorAt: null, sig });
+    if (prev && sig && prev.sig && prev.sig !== sig) emit({ ...parseKey(key), reason: 'refresh' });
+    return value;
+  }
+
+  // jedan fetch po ključu; rezultat se upisuje samo ako ga invalidate u međuvremenu nije "otkazao"
+  function refresh(key, loader) {
+    const running = inflight.get(key);
+    if (running) {
+      stats.shared += 1;
+      return running;
+    }
+
+    const p = (async () => {
+      const value = await loader();
+      if (inflight.get(key) === p) set(key, value);
+      return value;
+    })();
+
+    inflight.set(key, p);
+    p.finally(() => {
+      if (inflight.get(key) === p) inflight.delete(key);
+    }).catch(() => {});
+    return p;
+  }
+
+  function noteError(key, e) {
+    const hit = map.get(key);
+    if (!hit) return;
+    hit.lastError = String(e?.message || e);
+    hit.lastErrorAt = Date.now();
+  }
+
+  async function getOrLoad(key, loader) {
+    const hit = map.get(key);
+    const state = hit ? stateOf(key, hit) : 'miss';
+
+    if (state === 'fresh') {
+      stats.hits += 1;
+      return hit.value;
+    }
+
+    if (state === 'stale') {
+      stats.staleHits += 1;
+      refresh(key, loader).catch(e => {
+        stats.refreshErrors += 1;
+        noteError(key, e);
+        console.warn(`⚠️  cache background refresh failed (${key}):`, e?.message || e);
+      });
+      return hit.value;
+    }
+
+    stats.misses += 1;
+    try {
+      return await refresh(key, loader);
+    } catch (e) {
+      if (!hit) throw e;
+      // ✅ izvor pao -> posluži zadnje dobre podatke umjesto greške
+      stats.lastKnownGood += 1;
+      noteError(key, e);
+      console.warn(`⚠️  cache serving last-known-good (${key}, age ${Math.round((Date.now() - hit.ts) / 1000)}s):`, e?.message || e);
+      return hit.value;
+    }
+  }
+
+  function list() {
+    const now = Date.now();
+    return [...map.entries()].map(([key, hit]) => ({
+      key,
+      ...parseKey(key),
+      state: stateOf(key, hit, now),
+      ageMs: now - hit.ts,
+      ttlMs: ttlFor(key),
+      refreshing: inflight.has(key),
+      size: sizeOf(hit.value),
+      cachedAt: new Date(hit.ts).toISOString(),
+      lastError: hit.lastError,
+      lastErrorAt: hit.lastErrorAt ? new Date(hit.lastErrorAt).toISOString() : null,
+    }));
+  }
+
+  // bez filtera -> sve; table i/ili hotelSlug sužavaju.
+  // Entry ostaje kao last-known-good, ali sljedeći read čeka svježi fetch.
+  function invalidate({ table = null, hotelSlug = null } = {}) {
+    let count = 0;
+    const keys = new Set([...map.keys(), ...inflight.keys()]);
+    for (const key of keys) {
+      const k = parseKey(key);
+      if (table && k.table !== table) continue;
+      if (hotelSlug && k.hotelSlug !== hotelSlug) continue;
+      inflight.delete(key);
+      const hit = map.get(key);
+      if (hit && !hit.invalidated) {
+        hit.invalidated = true;
+        count += 1;
+      }
+    }
+    emit({ table, hotelSlug, reason: 'invalidate' });
+    return count;
+  }
+
+  function signatureOf(keys) {
+    const sigs = asArrayOfKeys(keys).map(key => map.get(key)?.sig || null);
+    return sigs.every(Boolean) ? sigs.join('.') : null;
+  }
+
+  function onChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  function hotelSlugs() {
+    return Array.from(new Set([...map.keys()].map(k => parseKey(k).hotelSlug).filter(Boolean)));
+  }
+
+  return {
+    ttlMs,
+    ttlByTable,
+    staleMs,
+    getOrLoad,
+    set,
+    list,
+    invalidate,
+    onChange,
+    signatureOf,
+    hotelSlugs,
+    stats: () => ({ ...stats, entries: map.size, inflight: inflight.size }),
+    size: () => map.size,
+  };
+}
@@ -0,0 +1,172 @@
+// conversation_log.js — lokalni log razgovora (JSONL) + analitika za admin API
+//
+// Jedna linija = jedna razmjena (pitanje + odgovor + route/meta). Tekst prolazi PII redakciju
+// PRIJE upisa (email, telefon, kartica, IBAN) — u datoteku nikad ne ide sirovi unos gosta.
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import readline from 'node:readline';
+
+// -------------------------
+// PII redakcija
+// -------------------------
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const IBAN_RE = /\b[A-Z]{2}\d{2}(?:[ ]?[A-Z0-9]{4}){3,7}(?:[ ]?[A-Z0-9]{1,3})?\b/g;
+const DIGIT_RUN_RE = /\+?\d[\d ().\/-]{7,}\d/g;
+const DATE_LIKE_RE = /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}\.?$/;
+
+function luhnOk(digits) {
+  let sum = 0;
+  let dbl = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let d = Number(digits[i]);
+    if (dbl) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    dbl = !dbl;
+  }
+  return sum % 10 === 0;
+}
+
+export function redactPII(text) {
+  return String(text || '')
+    .replace(EMAIL_RE, '[email]')
+    .replace(IBAN_RE, '[iban]')
+    .replace(DIGIT_RUN_RE, m => {
+      if (DATE_LIKE_RE.test(m.trim())) return m;
+      const digits = m.replace(/\D/g, '');
+      if (digits.length >= 13 && digits.length <= 19 && luhnOk(digits)) return '[card]';
+      if (digits.length >= 8 && digits.length <= 15) return '[phone]';
+      return m;
+    });
+}
+
+// -------------------------
+// Store (append-only JSONL)
+// -------------------------
+export function createConversationLog({ file, enabled = true, maxChars = 1000 } = {}) {
+  let queue = Promise.resolve();
+  let dirReady = null;
+
+  const clip = s => {
+    const t = redactPII(s).trim();
+    return t.length > maxChars ? `${t.slice(0, maxChars)}…` : t;
+  };
+
+  // upisi se serijaliziraju (jedan appendFile u isto vrijeme); greška loga nikad ne ruši request
+  function record(entry) {
+    if (!enabled) return queue;
+    const line = JSON.stringify({
+      ...entry,
+      ts: entry.ts || new Date().toISOString(),
+      question: clip(entry.question),
+      routingQuestion: entry.routingQuestion ? clip(entry.routingQuestion) : undefined,
+      answer: clip(entry.answer),
+    });
+
+    queue = queue
+      .then(async () => {
+        dirReady ??= fsp.mkdir(path.dirname(file), { recursive: true });
+        await dirReady;
+        await fsp.appendFile(file, `${line}\n`, 'utf8');
+      })
+      .catch(e => console.error('conversation log write error:', e?.message || e));
+    return queue;
+  }
+
+  // čita redak po redak (bez učitavanja cijele datoteke u string)
+  async function read({ hotelSlug = null, sinceMs = 0, answerId = null } = {}) {
+    await queue;
+    if (!fs.existsSync(file)) return [];
+
+    const out = [];
+    const rl = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      let e;
+      try {
+        e = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (answerId && e.answerId !== answerId) continue;
+      if (hotelSlug && e.hotelSlug !== hotelSlug) continue;
+      if (sinceMs && Date.parse(e.ts) < sinceMs) continue;
+      out.push(e);
+    }
+    return out;
+  }
+
+  return { file, enabled, record, read };
+}
+
+// -------------------------
+// Analitika
+// -------------------------
+const rate = (n, d) => (d ? Math.round((n / d) * 1000) / 1000 : 0);
+
+function countBy(items, keyFn) {
+  const m = new Map();
+  for (const it of items) {
+    const k = keyFn(it);
+    if (k == null || k === '') continue;
+    m.set(k, (m.get(k) || 0) + 1);
+  }
+  return [...m.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// po hotelu: top intenti, route-ovi, fallback / unanswered stope, latencija
+export function summarizeConversations(entries, { top = 10 } = {}) {
+  const byHotel = new Map();
+  for (const e of entries) {
+    const k = e.hotelSlug || '-';
+    if (!byHotel.has(k)) byHotel.set(k, []);
+    byHotel.get(k).push(e);
+  }
+
+  return [...byHotel.entries()].map(([hotelSlug, list]) => {
+    const llm = list.filter(e => e.route === 'llm');
+    const ms = list.map(e => Number(e.ms) || 0).sort((a, b) => a - b);
+
+    return {
+      hotelSlug,
+      total: list.length,
+      topIntents: countBy(list, e => e.intent).slice(0, top).map(([intent, count]) => ({ intent, count })),
+      routes: Object.fromEntries(countBy(list, e => e.route)),
+      langs: Object.fromEntries(countBy(list, e => e.lang)),
+      noIntentRate: rate(list.filter(e => !e.intent).length, list.length),
+      fallbackRate: rate(llm.filter(e => e.usedFallback).length, llm.length),
+      unansweredRate: rate(list.filter(e => e.unanswered).length, list.length),
+      followUpRate: rate(list.filter(e => e.followUp).length, list.length),
+      latencyMs: { avg: Math.round(ms.reduce((a, b) => a + b, 0) / (ms.length || 1)), p50: percentile(ms, 0.5), p95: percentile(ms, 0.95) },
+    };
+  }).sort((a, b) => b.total - a.total);
+}
+
+// neodgovorena pitanja, grupirana po (normaliziranom) tekstu
+export function listUnanswered(entries, { limit = 50 } = {}) {
+  const groups = new Map();
+  for (const e of entries) {
+    if (!e.unanswered) continue;
+    const q = e.routingQuestion || e.question || '';
+    const key = `${e.hotelSlug}|${q.toLowerCase().replace(/\s+/g, ' ').trim()}`;
+    const g = groups.get(key) || { hotelSlug: e.hotelSlug, question: q, count: 0, intents: new Set(), routes: new Set(), lastTs: e.ts };
+    g.count += 1;
+    if (e.intent) g.intents.add(e.intent);
+    g.routes.add(e.route);
+    if (e.ts > g.lastTs) g.lastTs = e.ts;
+    groups.set(key, g);
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => b.count - a.count || String(b.lastTs).localeCompare(String(a.lastTs)))
+    .slice(0, limit)
+    .map(g => ({ ...g, intents: [...g.intents], routes: [...g.routes] }));
+}
@@ -0,0 +1,152 @@
+// datasource/airtable.js — Airtable backend (produkcija)
+// Ovdje živi sve što zna za Airtable: SDK pozivi, filterByFormula.
+// Nazivi stupaca dolaze iz config/field_mapping.json (vidi field_mapping.js).
+import Airtable from 'airtable';
+import { asArray } from '../utils.js';
+import { createRecordMapper } from './field_mapping.js';
+
+// -------------------------
+// Helpers
+// -------------------------
+function clampPageSize(n) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return 50;
+  if (x < 1) return 1;
+  if (x > 100) return 100;
+  return Math.floor(x);
+}
+
+function escapeAirtableFormulaString(s) {
+  return String(s ?? '').replace(/'/g, "''");
+}
+
+// -------------------------
+// Adapter
+// -------------------------
+export function createAirtableDataSource({ apiKey, baseId, tables, fieldMapping }) {
+  if (!apiKey || !baseId) throw new Error('Missing env vars: AIRTABLE_API_KEY, AIRTABLE_BASE_ID');
+  if (!fieldMapping) throw new Error('Airtable data source requires fieldMapping');
+
+  Airtable.configure({ apiKey });
+  const base = Airtable.base(baseId);
+  const mapper = createRecordMapper(fieldMapping);
+
+  const ROW_TYPE = { services: 'SERVICE', rooms: 'ROOM' };
+  const mapRow = (table, rec, hotelSlug = null) =>
+    mapper.map(table, rec, { hotelSlug, extra: ROW_TYPE[table] ? { type: ROW_TYPE[table] } : {} });
+
+  // linked recordi (po ID-ju): hotel se zna tek iz samog recorda -> re-map s njegovim overrideom
+  function mapLinkedRow(table, rec) {
+    const row = mapRow(table, rec);
+    const slug = asArray(row.hotelSlugRaw).map(x => String(x).trim()).filter(Boolean)[0];
+    return mapper.hasOverrides(slug) ? mapRow(table, rec, slug) : row;
+  }
+
+  async function airtableSelectAll(tableName, options = {}) {
+    const records = [];
+    const safe = { ...options };
+    safe.pageSize = clampPageSize(safe.pageSize ?? 50);
+
+    await base(tableName).select(safe).eachPage((pageRecords, fetchNextPage) => {
+      records.push(...pageRecords);
+      fetchNextPage();
+    });
+
+    return records;
+  }
+
+  async function airtableSelectFirst(tableName, options = {}) {
+    const safe = { ...options };
+    safe.pageSize = clampPageSize(safe.pageSize ?? 1);
+    safe.maxRecords = 1;
+
+    const recs = await airtableSelectAll(tableName, safe);
+    return recs[0] || null;
+  }
+
+  // ✅ čitanje linked recorda po ID (ne ovisi o filterima i slugovima)
+  async function airtableFindByIds(tableName, ids = [], limit = 30) {
+    const uniq = Array.from(new Set(asArray(ids).map(String).filter(Boolean))).slice(0, limit);
+    if (!uniq.length) return [];
+
+    const out = await Promise.allSettled(
+      uniq.map(id => base(tableName).find(id))
+    );
+
+    return out
+      .filter(x => x.status === 'fulfilled' && x.value)
+      .map(x => x.value);
+  }
+
+  // ✅ “siguran select”: prvo pokušaj s filterByFormula, ako puca ili vrati 0 — uzmi sve
+  async function airtableSelectAllSafe(tableName, tryOptions = [], fallbackOptions = {}) {
+    for (const opt of tryOptions) {
+      try {
+        const recs = await airtableSelectAll(tableName, opt);
+        if (Array.isArray(recs) && recs.length) return recs;
+      } catch (e) {
+        // ignore and try next
+      }
+    }
+    return airtableSelectAll(tableName, fallbackOptions);
+  }
+
+  // pokušaj redom sa slugFilter stupcima iz mappinga, pa fallback na all
+  function selectForHotel(table, hotelSlug) {
+    const slugEsc = escapeAirtableFormulaString(hotelSlug);
+    return airtableSelectAllSafe(
+      tables[table],
+      mapper.slugFilterFields(table).map(col => ({ pageSize: 100, filterByFormula: `{${col}}='${slugEsc}'` })),
+      { pageSize: 100 }
+    );
+  }
+
+  // opcionalna tablica (npr. AI_ANSWER_RULES) koja ne postoji u bazi -> []
+  async function selectOptional(table) {
+    try {
+      return await airtableSelectAll(tables[table], { pageSize: 100 });
+    } catch (e) {
+      const notFound = e?.statusCode === 404 || /NOT_FOUND/.test(String(e?.error || ''));
+      if (!notFound || !fieldMapping.tables[table]?.optional) throw e;
+      console.warn(`⚠️  Airtable table "${tables[table]}" not found — ${table} disabled`);
+      return [];
+    }
+  }
+
+  async function getHotel(hotelSlug) {
+    const slugEsc = escapeAirtableFormulaString(hotelSlug);
+
+    for (const col of mapper.slugFilterFields('hotels')) {
+      let rec = null;
+      try {
+        rec = await airtableSelectFirst(tables.hotels, {
+          pageSize: 1,
+          maxRecords: 1,
+          filterByFormula: `{${col}}='${slugEsc}'`,
+        });
+      } catch (e) {
+        // nepostojeći stupac -> probaj sljedeći / fallback
+      }
+      if (rec) return mapRow('hotels', rec, hotelSlug);
+    }
+
+    const all = await airtableSelectAll(tables.hotels, { pageSize: 100 });
+    const rec = all.find(r => mapRow('hotels', r).slug === String(hotelSlug)) || null;
+
+    return rec ? mapRow('hotels', rec, hotelSlug) : null;
+  }
+
+  return {
+    name: 'airtable',
+
+    getHotel,
+    listServices: async hotelSlug => (await selectForHotel('services', hotelSlug)).map(r => mapRow('services', r, hotelSlug)),
+    listRooms: async hotelSlug => (await selectForHotel('rooms', hotelSlug)).map(r => mapRow('rooms', r, hotelSlug)),
+    listIntents: async () => (await airtableSelectAll(tables.intents, { pageSize: 100 })).map(r => mapRow('intents', r)),
+    listOutputRules: async () => (await airtableSelectAll(tables.outputRules, { pageSize: 100 })).map(r => mapRow('outputRules', r)),
+    listAnswerRules: async () => (await selectOptional('answerRules')).map(r => mapRow('answerRules', r)),
+
+    findServicesByIds: async (ids, limit = 30) => (await airtableFindByIds(tables.services, ids, limit)).map(r => mapLinkedRow('services', r)),
+    findRoomsByIds: async (ids, limit = 30) => (await airtableFindByIds(tables.rooms, ids, limit)).map(r => mapLinkedRow('rooms', r)),
+  };
+}
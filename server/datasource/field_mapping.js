@@ -0,0 +1,111 @@
+// datasource/field_mapping.js — deklarativno mapiranje Airtable stupaca (config/field_mapping.json)
+//
+// Spec polja: { type, from: [kandidati...], default?, required? }
+//   string -> prvi neprazan string          text  -> kao string, ali brojeve/datume pretvara u tekst
+//   array  -> asArray(prva ne-null vrijednost) value -> prva ne-null vrijednost (ili null)
+//   number -> Number(prva ?? default ?? 0)     bool  -> (prva ?? default ?? true) === true
+// Per-hotel overrides (`overrides.<slug>.<table>.<field>: [kandidati]`) idu ISPRED defaulta.
+// `optional: true` na tablici -> tablica smije nedostajati u bazi (adapter vraća [], validate samo upozori).
+// `knowledge` čita samo vector sync (sync/airtable_fetch.js) — jedan spec za sve KB tablice.
+import fs from 'node:fs/promises';
+import { pickFirstNonEmpty, asArray } from '../utils.js';
+
+export const TABLE_KEYS = ['hotels', 'services', 'rooms', 'intents', 'outputRules', 'answerRules', 'knowledge'];
+const FIELD_TYPES = new Set(['string', 'text', 'array', 'value', 'number', 'bool']);
+
+function normalizeFieldSpec(spec, where) {
+  const s = Array.isArray(spec) ? { from: spec } : { ...(spec || {}) };
+  s.type = s.type || 'string';
+  s.from = asArray(s.from).map(String).filter(Boolean);
+  if (!FIELD_TYPES.has(s.type)) throw new Error(`field_mapping: ${where} has unknown type "${s.type}"`);
+  if (!s.from.length) throw new Error(`field_mapping: ${where} has no "from" columns`);
+  return s;
+}
+
+export function normalizeFieldMapping(raw) {
+  const tables = {};
+  for (const key of TABLE_KEYS) {
+    const t = raw?.tables?.[key];
+    if (!t?.fields) throw new Error(`field_mapping: missing tables.${key}.fields`);
+    const fields = {};
+    for (const [name, spec] of Object.entries(t.fields)) {
+      fields[name] = normalizeFieldSpec(spec, `tables.${key}.fields.${name}`);
+    }
+    tables[key] = { slugFilter: asArray(t.slugFilter).map(String), optional: t.optional === true, fields };
+  }
+
+  // overrides: { slug: { table: { field: [kandidati] } } } — tip i default ostaju iz defaulta
+  const overrides = {};
+  for (const [slug, perTable] of Object.entries(raw?.overrides || {})) {
+    overrides[slug] = {};
+    for (const [key, fieldsOv] of Object.entries(perTable || {})) {
+      if (!tables[key]) throw new Error(`field_mapping: overrides.${slug}.${key} — unknown table`);
+      overrides[slug][key] = {};
+      for (const [name, cols] of Object.entries(fieldsOv || {})) {
+        if (!tables[key].fields[name]) throw new Error(`field_mapping: overrides.${slug}.${key}.${name} — unknown field`);
+        overrides[slug][key][name] = asArray(Array.isArray(cols) ? cols : cols?.from).map(String).filter(Boolean);
+      }
+    }
+  }
+
+  return { tables, overrides };
+}
+
+export async function loadFieldMapping(file) {
+  const raw = JSON.parse(await fs.readFile(file, 'utf8'));
+  return normalizeFieldMapping(raw);
+}
+
+// efektivni spec za tablicu (+ hotel override ako postoji)
+export function resolveTableFields(mapping, table, hotelSlug = null) {
+  const base = mapping.tables[table].fields;
+  const ov = hotelSlug ? mapping.overrides[String(hotelSlug)]?.[table] : null;
+  if (!ov) return base;
+
+  const out = {};
+  for (const [name, spec] of Object.entries(base)) {
+    const extra = ov[name];
+    out[name] = extra ? { ...spec, from: Array.from(new Set([...extra, ...spec.from])) } : spec;
+  }
+  return out;
+}
+
+function readField(f, spec) {
+  const vals = spec.from.map(col => f[col]);
+  const first = vals.find(v => v !== undefined && v !== null);
+
+  switch (spec.type) {
+    case 'string': return pickFirstNonEmpty(...vals);
+    case 'text': return pickFirstNonEmpty(...vals.map(v => String(v ?? '')));
+    case 'array': return asArray(first);
+    case 'number': return Number(first ?? spec.default ?? 0);
+    case 'bool': return (first ?? spec.default ?? true) === true;
+    default: return first ?? spec.default ?? null;
+  }
+}
+
+export function createRecordMapper(mapping) {
+  const memo = new Map(); // `${table}|${slug}` -> fields
+
+  function fieldsFor(table, hotelSlug) {
+    const key = `${table}|${hotelSlug || ''}`;
+    if (!memo.has(key)) memo.set(key, resolveTableFields(mapping, table, hotelSlug));
+    return memo.get(key);
+  }
+
+  // Airtable record -> row ({ ...extra, id, <mapirana polja> })
+  function map(table, rec, { hotelSlug = null, extra = {} } = {}) {
+    const f = rec?.fields || {};
+    const row = { ...extra, id: rec.id };
+    for (const [name, spec] of Object.entries(fieldsFor(table, hotelSlug))) {
+      row[name] = readField(f, spec);
+    }
+    return row;
+  }
+
+  return {
+    map,
+    slugFilterFields: table => mapping.tables[table].slugFilter,
+    hasOverrides: hotelSlug => Boolean(hotelSlug && mapping.overrides[String(hotelSlug)]),
+  };
+}
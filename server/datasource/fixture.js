@@ -0,0 +1,98 @@
+// datasource/fixture.js — JSON fixture backend (lokalni dev, demo, offline)
+//
+// Format datoteke (sve liste opcionalne):
+//   { hotels: [...], services: [...], rooms: [...], intents: [...], outputRules: [...], answerRules: [...] }
+// Redovi su već u "mapiranom" obliku (isti ključevi kao Airtable adapter vraća),
+// samo se `hotelSlug` prepisuje u `hotelSlugRaw` i nadopunjuju defaulti.
+import fs from 'node:fs/promises';
+import { asArray } from '../utils.js';
+
+const withDefaults = (row, type) => ({
+  ...(type ? { type } : {}),
+  ...row,
+  id: String(row.id || ''),
+  aiIntent: asArray(row.aiIntent),
+  aiSource: asArray(row.aiSource),
+  hotelSlugRaw: row.hotelSlugRaw ?? row.hotelSlug ?? null,
+  active: row.active ?? true,
+});
+
+function normalizeFixture(raw) {
+  const src = raw || {};
+  return {
+    hotels: asArray(src.hotels).map(h => ({ ...h, id: String(h.id || ''), allowedTopics: asArray(h.allowedTopics), active: h.active ?? true })),
+    services: asArray(src.services).map(r => ({
+      ...withDefaults(r, 'SERVICE'),
+      kategorija: asArray(r.kategorija),
+    })),
+    rooms: asArray(src.rooms).map(r => ({
+      ...withDefaults(r, 'ROOM'),
+      kreveti: asArray(r.kreveti),
+      roomAmenities: asArray(r.roomAmenities),
+    })),
+    intents: asArray(src.intents).map(p => ({
+      ...p,
+      id: String(p.id || ''),
+      appliesTo: asArray(p.appliesTo ?? 'WEB'),
+      servicesLink: asArray(p.servicesLink),
+      roomsLink: asArray(p.roomsLink),
+      related: asArray(p.related),
+      active: p.active ?? true,
+    })),
+    outputRules: asArray(src.outputRules).map(r => ({
+      ...r,
+      id: String(r.id || ''),
+      priority: Number(r.priority ?? 0),
+      isActive: r.isActive ?? r.active ?? true,
+      aiSource: asArray(r.aiSource),
+    })),
+    answerRules: asArray(src.answerRules).map(r => ({
+      ...r,
+      id: String(r.id || ''),
+      hotelSlugRaw: r.hotelSlugRaw ?? r.hotelSlug ?? null,
+      disabled: r.disabled ?? null,
+      needs: asArray(r.needs),
+      serviceLink: asArray(r.serviceLink),
+    })),
+  };
+}
+
+export async function loadFixture(file) {
+  const raw = JSON.parse(await fs.readFile(file, 'utf8'));
+  return normalizeFixture(raw);
+}
+
+// Kopije redova, da server (cache, filteri) ne mutira fixture u memoriji
+const clone = rows => rows.map(r => structuredClone(r));
+
+export function createFixtureDataSource({ data }) {
+  const db = normalizeFixture(data);
+
+  function byHotel(rows, hotelSlug) {
+    const target = String(hotelSlug || '');
+    return rows.filter(r => asArray(r.hotelSlugRaw).map(String).includes(target));
+  }
+
+  function byIds(rows, ids, limit) {
+    const uniq = Array.from(new Set(asArray(ids).map(String).filter(Boolean))).slice(0, limit);
+    const index = new Map(rows.map(r => [r.id, r]));
+    return uniq.map(id => index.get(id)).filter(Boolean);
+  }
+
+  return {
+    name: 'fixture',
+
+    async getHotel(hotelSlug) {
+      const h = db.hotels.find(x => String(x.slug || '') === String(hotelSlug));
+      return h ? structuredClone(h) : null;
+    },
+    listServices: async hotelSlug => clone(byHotel(db.services, hotelSlug)),
+    listRooms: async hotelSlug => clone(byHotel(db.rooms, hotelSlug)),
+    listIntents: async () => clone(db.intents),
+    listOutputRules: async () => clone(db.outputRules),
+    listAnswerRules: async () => clone(db.answerRules),
+
+    findServicesByIds: async (ids, limit = 30) => clone(byIds(db.services, ids, limit)),
+    findRoomsByIds: async (ids, limit = 30) => clone(byIds(db.rooms, ids, limit)),
+  };
+}
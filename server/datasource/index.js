@@ -0,0 +1,65 @@
+// datasource/index.js — repository sloj za hotele, usluge, sobe, intente i output pravila
+//
+// Interface (svi backendi):
+//   name
+//   getHotel(slug) -> hotel | null
+//   listServices(slug) / listRooms(slug) -> rows (prije active/WEB filtera)
+//   listIntents() / listOutputRules() -> rows
+//   listAnswerRules() -> rows (svi hoteli; tablica je opcionalna -> [])
+//   findServicesByIds(ids, limit) / findRoomsByIds(ids, limit) -> rows (linked recordi)
+//
+// Cache, active/slug/WEB filtriranje ostaju u serveru — backend samo čita i mapira.
+import path from 'node:path';
+import { createFixtureDataSource, loadFixture } from './fixture.js';
+import { loadFieldMapping } from './field_mapping.js';
+
+export { createFixtureDataSource, loadFixture, loadFieldMapping };
+
+export const DEFAULT_FIELD_MAPPING_FILE = 'config/field_mapping.json';
+
+// logički ključ tablice -> stvarno ime tablice u bazi
+export function airtableTableNames(env = process.env) {
+  return {
+    hotels: env.TABLE_HOTELS || 'HOTELI',
+    services: env.TABLE_SERVICES || 'SERVICES',
+    rooms: env.TABLE_ROOMS || 'SOBE',
+    intents: env.TABLE_INTENTS || 'AI_INTENT_PATTERNS',
+    outputRules: env.TABLE_OUTPUT_RULES || 'AI_OUTPUT_RULES',
+    answerRules: env.TABLE_ANSWER_RULES || 'AI_ANSWER_RULES',
+  };
+}
+
+// vector sync: KB tablice (mapping: knowledge) -> tip dokumenta => ime tablice
+export function airtableKnowledgeTables(env = process.env) {
+  return {
+    poi_long: env.TABLE_KB_POI || 'POI',
+    route_long: env.TABLE_KB_ROUTES || 'ROUTES',
+    room_guide: env.TABLE_KB_ROOM_GUIDE || 'ROOM_GUIDE',
+    info_article: env.TABLE_KB_INFO || 'INFO',
+  };
+}
+
+export async function createDataSourceFromEnv(kind = 'airtable', { root = process.cwd(), env = process.env } = {}) {
+  const k = String(kind || 'airtable').toLowerCase();
+
+  if (k === 'airtable') {
+    // lazy import: fixture mod radi i bez instaliranog airtable SDK-a
+    const { createAirtableDataSource } = await import('./airtable.js');
+    const fieldMapping = await loadFieldMapping(path.resolve(root, env.FIELD_MAPPING_FILE || DEFAULT_FIELD_MAPPING_FILE));
+    return createAirtableDataSource({
+      apiKey: env.AIRTABLE_API_KEY,
+      baseId: env.AIRTABLE_BASE_ID,
+      tables: airtableTableNames(env),
+      fieldMapping,
+    });
+  }
+
+  if (k === 'fixture') {
+    const file = path.resolve(root, env.FIXTURE_FILE || 'fixtures/demo.json');
+    const data = await loadFixture(file);
+    console.log(`ℹ️  Fixture data source: ${data.hotels.length} hotels, ${data.services.length} services, ${data.rooms.length} rooms (${path.relative(root, file)})`);
+    return createFixtureDataSource({ data });
+  }
+
+  throw new Error(`Unknown DATA_SOURCE "${kind}"`);
+}
@@ -0,0 +1,150 @@
+// feedback.js — palac gore/dolje od gosta za konkretan odgovor (answerId) + izvještaj za osoblje
+//
+// Svaki odgovor /api/web-ask nosi `answerId`; kontekst odgovora (intent, route, recordi)
+// drži se u malom LRU indexu da feedback ne ovisi o tome što widget pošalje natrag.
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import readline from 'node:readline';
+import { redactPII } from './conversation_log.js';
+
+const ANSWER_ID_RE = /^ans_[A-Za-z0-9-]{8,64}$/;
+
+export const newAnswerId = () => `ans_${crypto.randomUUID()}`;
+export const isAnswerId = id => ANSWER_ID_RE.test(String(id || ''));
+
+// 'up' | 'down' | 1 | -1 | true | false | '👍' | '👎' -> 'up' | 'down' | null
+export function normalizeRating(v) {
+  const s = String(v ?? '').trim().toLowerCase();
+  if (['up', '1', '+1', 'true', 'yes', 'like', '👍'].includes(s)) return 'up';
+  if (['down', '-1', 'false', 'no', 'dislike', '👎'].includes(s)) return 'down';
+  return null;
+}
+
+// -------------------------
+// Answer index (LRU, answerId -> kontekst)
+// -------------------------
+export function createAnswerIndex({ maxEntries = 10000, ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+  const map = new Map(); // id -> { ctx, expiresAt }
+
+  return {
+    remember(answerId, ctx) {
+      map.delete(answerId);
+      map.set(answerId, { ctx, expiresAt: Date.now() + ttlMs });
+      while (map.size > maxEntries) map.delete(map.keys().next().value);
+    },
+    get(answerId) {
+      const hit = map.get(answerId);
+      if (!hit) return null;
+      if (hit.expiresAt <= Date.now()) {
+        map.delete(answerId);
+        return null;
+      }
+      return hit.ctx;
+    },
+    size: () => map.size,
+  };
+}
+
+// -------------------------
+// Feedback store (append-only JSONL)
+// -------------------------
+export function createFeedbackStore({ file, maxCommentChars = 1000 } = {}) {
+  let queue = Promise.resolve();
+  let dirReady = null;
+
+  function record(entry) {
+    const comment = redactPII(entry.comment || '').trim().slice(0, maxCommentChars);
+    const line = JSON.stringify({
+      ...entry,
+      ts: entry.ts || new Date().toISOString(),
+      question: redactPII(entry.question || '').trim().slice(0, maxCommentChars),
+      comment: comment || undefined,
+    });
+
+    queue = queue.then(async () => {
+      dirReady ??= fsp.mkdir(path.dirname(file), { recursive: true });
+      await dirReady;
+      await fsp.appendFile(file, `${line}\n`, 'utf8');
+    });
+    // za razliku od conversation loga, ovdje greška ide pozivatelju (gost dobije 500)
+    const p = queue;
+    queue = queue.catch(() => {});
+    return p;
+  }
+
+  async function read({ hotelSlug = null, sinceMs = 0 } = {}) {
+    await queue;
+    if (!fs.existsSync(file)) return [];
+
+    const out = [];
+    const rl = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      let e;
+      try {
+        e = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (hotelSlug && e.hotelSlug !== hotelSlug) continue;
+      if (sinceMs && Date.parse(e.ts) < sinceMs) continue;
+      out.push(e);
+    }
+    return out;
+  }
+
+  return { file, record, read };
+}
+
+// -------------------------
+// Report (po intentu i po recordu)
+// -------------------------
+export function summarizeFeedback(entries, { comments = 5 } = {}) {
+  // gost može promijeniti ocjenu -> vrijedi zadnja po answerId
+  const latest = new Map();
+  for (const e of entries) latest.set(e.answerId, e);
+  const list = [...latest.values()];
+
+  const bucket = () => ({ up: 0, down: 0, total: 0, score: 0, comments: [] });
+  const add = (b, e) => {
+    b[e.rating] += 1;
+    b.total += 1;
+    if (e.comment && b.comments.length < comments) b.comments.push({ ts: e.ts, rating: e.rating, comment: e.comment, question: e.question });
+  };
+  const finish = b => ({ ...b, score: b.total ? Math.round(((b.up - b.down) / b.total) * 100) / 100 : 0 });
+
+  const byIntent = new Map();
+  const byRecord = new Map();
+  const byRoute = new Map();
+  const totals = bucket();
+
+  for (const e of list.sort((a, b) => String(b.ts).localeCompare(String(a.ts)))) {
+    if (e.rating !== 'up' && e.rating !== 'down') continue;
+    add(totals, e);
+
+    const ik = e.intent || '(none)';
+    if (!byIntent.has(ik)) byIntent.set(ik, { intent: ik, ...bucket() });
+    add(byIntent.get(ik), e);
+
+    const rk = e.route || 'llm';
+    if (!byRoute.has(rk)) byRoute.set(rk, { route: rk, ...bucket() });
+    add(byRoute.get(rk), e);
+
+    for (const r of e.usedRecords || []) {
+      if (!r?.id) continue;
+      if (!byRecord.has(r.id)) byRecord.set(r.id, { id: r.id, type: r.type || null, naziv: r.naziv || null, ...bucket() });
+      add(byRecord.get(r.id), e);
+    }
+  }
+
+  // najgori prvi: to su recordi koje osoblje treba popraviti u Airtableu
+  const worstFirst = (a, b) => b.down - a.down || a.score - b.score;
+  return {
+    totals: finish(totals),
+    byIntent: [...byIntent.values()].map(finish).sort(worstFirst),
+    byRoute: [...byRoute.values()].map(finish).sort(worstFirst),
+    byRecord: [...byRecord.values()].map(finish).sort(worstFirst),
+  };
+}
@@ -0,0 +1,177 @@
+// handoff.js — prosljeđivanje pitanja recepciji (ticket + notifier)
+//
+// Tok: bot nema odgovor (noInfo / hard stop) ili gost traži čovjeka -> meta.handoff.offered
+// -> widget pošalje kontakt na POST /api/handoff -> ticket + obavijest recepciji
+// -> widget polla GET /api/handoff/:id dok recepcija ne odgovori (admin API).
+//
+// Obavijest recepciji ide kroz notify.js (log | webhook | smtp): send({ to, hotel, ...ticketMessage(ticket, hotel) })
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { normalizeText } from './utils.js';
+
+const TICKET_ID_RE = /^tkt_[A-Za-z0-9-]{8,64}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// logged = notifier samo logira (HANDOFF_NOTIFIER=log), recepcija ticket vidi tek u admin API-ju
+export const TICKET_STATUSES = ['open', 'sent', 'logged', 'failed', 'answered', 'closed'];
+export const isTicketId = id => TICKET_ID_RE.test(String(id || ''));
+
+// -------------------------
+// "Želim razgovarati s osobom" (ne "kontakt recepcije" — to je hotel_core, vidi router.js)
+// -------------------------
+const HANDOFF_PHRASES = [
+  // EN
+  'talk to a human', 'speak to a human', 'talk to a person', 'speak to a person', 'real person', 'human agent',
+  'talk to someone', 'speak to someone', 'talk to reception', 'speak to reception', 'live agent',
+  // HR
+  'razgovarati s osobom', 'razgovarati sa osobom', 'živa osoba', 'ziva osoba', 'pravom osobom', 'stvarnom osobom',
+  'razgovarati s recepcijom', 'spoji me s recepcijom', 'operater',
+  // DE
+  'mit einem menschen', 'mit einer person sprechen', 'mit der rezeption sprechen', 'echten menschen',
+  // IT
+  'parlare con una persona', 'parlare con qualcuno', 'parlare con la reception', 'persona reale', 'operatore',
+  // FR
+  'parler à quelqu', 'parler a quelqu', 'parler à une personne', 'parler a une personne', 'parler à la réception', 'vraie personne',
+  // ES
+  'hablar con una persona', 'hablar con alguien', 'hablar con recepción', 'hablar con recepcion', 'persona real',
+].map(normalizeText);
+
+export function isHumanHandoffRequest(question) {
+  const q = normalizeText(question);
+  if (!q) return false;
+  return HANDOFF_PHRASES.some(p => q.includes(p));
+}
+
+// -------------------------
+// Kontakt gosta
+// -------------------------
+export function normalizeContact({ email, phone, name } = {}) {
+  const e = String(email || '').trim().toLowerCase();
+  const p = String(phone || '').trim();
+  const digits = p.replace(/\D/g, '');
+  return {
+    email: EMAIL_RE.test(e) ? e : null,
+    phone: digits.length >= 6 && digits.length <= 15 ? p.replace(/[^\d+ ()-]/g, '') : null,
+    name: String(name || '').trim().slice(0, 120) || null,
+  };
+}
+
+// -------------------------
+// Ticket store (JSON datoteka; mali volumen, status se mijenja)
+// -------------------------
+export function createTicketStore({ file, maxTickets = 5000 } = {}) {
+  let tickets = null; // Map id -> ticket
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (tickets) return tickets;
+    try {
+      const parsed = JSON.parse(await fs.readFile(file, 'utf8'));
+      tickets = new Map((parsed.tickets || []).map(t => [t.id, t]));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      tickets = new Map();
+    }
+    return tickets;
+  }
+
+  // tmp + rename (kao sync state) — zapisi serijalizirani
+  function persist() {
+    writing = writing.catch(() => {}).then(async () => {
+      // najstariji zatvoreni/odgovoreni ticketi ispadaju prvi
+      if (tickets.size > maxTickets) {
+        const done = [...tickets.values()]
+          .filter(t => t.status === 'closed' || t.status === 'answered')
+          .sort((a, b) => String(a.updatedAt).localeCompare(String(b.updatedAt)));
+        for (const t of done.slice(0, tickets.size - maxTickets)) tickets.delete(t.id);
+      }
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ updatedAt: new Date().toISOString(), tickets: [...tickets.values()] }, null, 2));
+      await fs.rename(tmp, file);
+    });
+    return writing;
+  }
+
+  async function create(fields) {
+    await load();
+    const now = new Date().toISOString();
+    const ticket = { id: `tkt_${crypto.randomUUID()}`, status: 'open', createdAt: now, updatedAt: now, reply: null, ...fields };
+    tickets.set(ticket.id, ticket);
+    await persist();
+    return ticket;
+  }
+
+  async function get(id) {
+    await load();
+    return tickets.get(String(id)) || null;
+  }
+
+  async function update(id, patch) {
+    await load();
+    const t = tickets.get(String(id));
+    if (!t) return null;
+    Object.assign(t, patch, { updatedAt: new Date().toISOString() });
+    await persist();
+    return t;
+  }
+
+  async function list({ hotelSlug = null, status = null, limit = 100 } = {}) {
+    await load();
+    return [...tickets.values()]
+      .filter(t => !hotelSlug || t.hotelSlug === hotelSlug)
+      .filter(t => !status || t.status === status)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, limit);
+  }
+
+  return { file, create, get, update, list };
+}
+
+// javni prikaz za widget (bez kontakta i transkripta)
+export function publicTicket(t) {
+  return {
+    id: t.id,
+    status: t.status,
+    createdAt: t.createdAt,
+    updatedAt: t.updatedAt,
+    reply: t.reply ? { text: t.reply.text, at: t.reply.at } : null,
+  };
+}
+
+// -------------------------
+// Obavijest recepciji
+// -------------------------
+function renderTicketText(ticket, hotel) {
+  const lines = [
+    `Hotel: ${hotel?.hotelNaziv || ticket.hotelSlug}`,
+    `Ticket: ${ticket.id}`,
+    `Jezik / Language: ${ticket.lang || '-'}`,
+    `Gost / Guest: ${ticket.contact.name || '-'}`,
+    `Email: ${ticket.contact.email || '-'}`,
+    `Telefon / Phone: ${ticket.contact.phone || '-'}`,
+    '',
+    `Pitanje / Question: ${ticket.question}`,
+  ];
+  if (ticket.message) lines.push(`Poruka / Message: ${ticket.message}`);
+  if (ticket.transcript?.length) {
+    lines.push('', '--- Transcript ---');
+    for (const turn of ticket.transcript) {
+      lines.push(`Guest: ${turn.q}`, `AI Olly: ${turn.a}`, '');
+    }
+  }
+  return lines.join('\n');
+}
+
+// poruka za notifier (notify.js)
+export function ticketMessage(ticket, hotel) {
+  return {
+    type: 'handoff.ticket',
+    hotelSlug: ticket.hotelSlug,
+    subject: `[AI Olly] ${hotel?.hotelNaziv || ticket.hotelSlug}: ${String(ticket.question).slice(0, 80)}`,
+    text: renderTicketText(ticket, hotel),
+    replyTo: ticket.contact.email || null,
+    payload: { ticket },
+  };
+}
@@ -0,0 +1,546 @@
+// i18n.js — detekcija jezika + message katalozi za determinističke odgovore
+// Podržano: HR, EN, DE, IT, FR, ES. Ključ koji nedostaje u katalogu -> EN.
+
+export const SUPPORTED_LANGS = ['HR', 'EN', 'DE', 'IT', 'FR', 'ES'];
+
+export const LANG_NAMES = {
+  HR: 'Croatian',
+  EN: 'English',
+  DE: 'German',
+  IT: 'Italian',
+  FR: 'French',
+  ES: 'Spanish',
+};
+
+// -------------------------
+// Katalozi
+// -------------------------
+const MESSAGES = {
+  EN: {
+    'wait': 'Too many requests in a short time. Please wait {seconds} seconds and try again.',
+    'noInfo': 'I don’t have that information in the system. Please contact reception for exact details.',
+    'noPriceInfo': 'The price is not available in the system. Please contact reception for a quote and availability.',
+    'assistant.greeting': 'Hi! I’m {name}, the hotel’s virtual assistant. How can I help you?',
+    'assistant.offTopic': 'I can only help with questions about the hotel and your stay.',
+    'pms.needDates': 'I can check availability and prices for you. Which dates (arrival and departure) and how many guests?',
+    'handoff.offer': 'I can forward your question to reception. Leave your email or phone number and they will get back to you.',
+    'handoff.requested': 'Of course — I can connect you with reception. Leave your email or phone number and your question will be forwarded to them.',
+    'handoff.created': 'Thank you! Your question has been forwarded to reception. They will reply to you as soon as possible.',
+    'handoff.logged': 'Thank you! Your question has been saved for reception, but they are not notified automatically. If it’s urgent, please contact reception directly.',
+    'booking.offer': 'I can send a booking request to reception. I’ll ask for your dates, guests, room and contact — reception then confirms availability and price.',
+    'booking.dates': 'What are your arrival and departure dates?',
+    'booking.guests': 'How many adults and children?',
+    'booking.room': 'Which room would you like?',
+    'booking.name': 'What name should the request be under?',
+    'booking.contact': 'What email address or phone number can reception reach you at?',
+    'booking.confirm': 'Please confirm: {room}, {checkIn} – {checkOut} ({nights} nights), {adults} adults, {children} children, {name}, {contact}.',
+    'booking.sent': 'Thank you! Your booking request has been sent to reception. They will confirm availability and price as soon as possible.',
+    'booking.logged': 'Thank you! Your booking request has been saved for reception, but they are not notified automatically. To be sure of your booking, please contact reception directly.',
+    'booking.cancelled': 'Your booking request has been cancelled.',
+    'booking.bookRoom': 'I’d like to book {name}',
+    'booking.err.dates': 'Please enter valid arrival and departure dates (not in the past, up to 30 nights).',
+    'booking.err.guests': 'Please enter the number of adults (1–10) and children (0–10).',
+    'booking.err.room': 'Please choose one of the offered rooms.',
+    'booking.err.capacity': '{room} accommodates up to {max} guests. Please choose another room.',
+    'booking.err.soldOut': '{room} is not available for these dates. Please choose another room.',
+    'booking.err.name': 'Please enter your name.',
+    'booking.err.contact': 'Please enter a valid email address or phone number.',
+    'rules.serviceHours': '{name} hours: {hours}',
+    'rules.hours': 'Hours: {hours}',
+    'suggest.beds': 'What beds does {name} have?',
+    'suggest.view': 'What is the view from {name}?',
+    'suggest.amenities': 'What amenities does {name} have?',
+    'suggest.size': 'How big is {name}?',
+    'suggest.compare': 'What is the difference between {a} and {b}?',
+    'suggest.hours': 'What are the hours for {name}?',
+    'suggest.roomTypes': 'What room types do you have?',
+    'room.fallbackName': 'Room',
+
+    'roomTypes.none': 'I don’t have room-type details in the system right now. Please contact reception for exact information.',
+    'roomTypes.header': 'These are the room types listed:',
+    'roomTypes.view': 'view',
+    'roomTypes.beds': 'beds',
+
+    'roomsByView.none': 'I don’t have a complete list of rooms with that view in the system. Please contact reception for confirmation.',
+    'roomsByView.header': 'Rooms with the requested view (as listed):',
+
+    'amenities.roomNone': 'I don’t have a full amenities list for that room in the system. Please contact reception for details.',
+    'amenities.roomHeader': 'Room amenities for {title}:',
+    'amenities.generalNone': 'I don’t have a full amenities list in the system. Please contact reception for details.',
+    'amenities.generalHeader': 'Room amenities (as listed):',
+
+    'beds.none': 'I don’t have bed-type details in the system. Please contact reception for exact information.',
+    'beds.header': 'Bed types (as listed):',
+
+    'diff.needTwo': 'I can compare rooms only if both room types are clearly identified. Please specify the two room names.',
+    'diff.notEnough': 'I don’t have enough structured data to compare "{a}" and "{b}". Please contact reception for details.',
+    'diff.header': 'Key differences ({a} vs {b}):',
+    'diff.notListed': 'not listed',
+    'diff.roomA': 'Room A',
+    'diff.roomB': 'Room B',
+
+    'field.roomType': 'Room type',
+    'field.size': 'Size (m²)',
+    'field.capacity': 'Capacity',
+    'field.floor': 'Floor',
+    'field.view': 'View',
+    'field.beds': 'Beds',
+
+    'core.address': 'Address',
+    'core.phone': 'Reception phone',
+    'core.email': 'Email',
+    'core.checkIn': 'Check-in',
+    'core.checkOut': 'Check-out',
+    'core.googleMaps': 'Google Maps',
+    'core.googleReviews': 'Google Reviews',
+    'core.instagram': 'Instagram',
+    'core.website': 'Website',
+  },
+
+  HR: {
+    'wait': 'Previše upita u kratkom vremenu. Pričekajte {seconds} s i pokušajte ponovno.',
+    'noInfo': 'Nemam taj podatak u sustavu. Molim kontaktirajte recepciju za točne informacije.',
+    'noPriceInfo': 'Cijena nije dostupna u sustavu. Molim kontaktirajte recepciju za ponudu i dostupnost.',
+    'assistant.greeting': 'Bok! Ja sam {name}, virtualni asistent hotela. Kako vam mogu pomoći?',
+    'assistant.offTopic': 'Mogu pomoći samo s pitanjima o hotelu i vašem boravku.',
+    'pms.needDates': 'Mogu provjeriti dostupnost i cijene. Za koje datume (dolazak i odlazak) i koliko osoba?',
+    'handoff.offer': 'Mogu proslijediti vaše pitanje recepciji. Ostavite e-mail ili broj telefona i javit će vam se.',
+    'handoff.requested': 'Naravno — mogu vas povezati s recepcijom. Ostavite e-mail ili broj telefona i vaše pitanje bit će im proslijeđeno.',
+    'handoff.created': 'Hvala! Vaše pitanje je proslijeđeno recepciji. Javit će vam se u najkraćem mogućem roku.',
+    'handoff.logged': 'Hvala! Vaše pitanje je spremljeno za recepciju, ali recepcija nije automatski obaviještena. Ako je hitno, javite se izravno recepciji.',
+    'booking.offer': 'Mogu poslati zahtjev za rezervaciju recepciji. Pitat ću vas za datume, broj gostiju, sobu i kontakt — recepcija zatim potvrđuje dostupnost i cijenu.',
+    'booking.dates': 'Koji su datumi dolaska i odlaska?',
+    'booking.guests': 'Koliko odraslih i djece?',
+    'booking.room': 'Koju sobu želite?',
+    'booking.name': 'Na koje ime da glasi zahtjev?',
+    'booking.contact': 'Na koji e-mail ili broj telefona vam se recepcija može javiti?',
+    'booking.confirm': 'Molimo potvrdite: {room}, {checkIn} – {checkOut} ({nights} noći), odraslih: {adults}, djece: {children}, {name}, {contact}.',
+    'booking.sent': 'Hvala! Vaš zahtjev za rezervaciju poslan je recepciji. Potvrdit će dostupnost i cijenu u najkraćem mogućem roku.',
+    'booking.logged': 'Hvala! Vaš zahtjev za rezervaciju spremljen je za recepciju, ali recepcija nije automatski obaviještena. Za sigurnu rezervaciju javite se izravno recepciji.',
+    'booking.cancelled': 'Vaš zahtjev za rezervaciju je otkazan.',
+    'booking.bookRoom': 'Želim rezervirati {name}',
+    'booking.err.dates': 'Unesite ispravne datume dolaska i odlaska (ne u prošlosti, najviše 30 noći).',
+    'booking.err.guests': 'Unesite broj odraslih (1–10) i djece (0–10).',
+    'booking.err.room': 'Odaberite jednu od ponuđenih soba.',
+    'booking.err.capacity': '{room} prima najviše {max} gostiju. Odaberite drugu sobu.',
+    'booking.err.soldOut': '{room} nije dostupna za te datume. Odaberite drugu sobu.',
+    'booking.err.name': 'Unesite svoje ime.',
+    'booking.err.contact': 'Unesite ispravan e-mail ili broj telefona.',
+    'rules.serviceHours': '{name} — radno vrijeme: {hours}',
+    'rules.hours': 'Radno vrijeme: {hours}',
+    'suggest.beds': 'Koji su kreveti u sobi {name}?',
+    'suggest.view': 'Kakav je pogled iz sobe {name}?',
+    'suggest.amenities': 'Koji je sadržaj sobe {name}?',
+    'suggest.size': 'Kolika je soba {name}?',
+    'suggest.compare': 'Koja je razlika između {a} i {b}?',
+    'suggest.hours': 'Koje je radno vrijeme: {name}?',
+    'suggest.roomTypes': 'Koje vrste soba imate?',
+    'room.fallbackName': 'Soba',
+
+    'roomTypes.none': 'Nemam podatke o vrstama soba u sustavu. Molim kontaktirajte recepciju za točne informacije.',
+    'roomTypes.header': 'Imamo sljedeće vrste soba:',
+    'roomTypes.view': 'pogled',
+    'roomTypes.beds': 'kreveti',
+
+    'roomsByView.none': 'Nemam kompletan popis soba s traženim pogledom u sustavu. Molim kontaktirajte recepciju za potvrdu.',
+    'roomsByView.header': 'Sobe s traženim pogledom (kako je navedeno u sustavu):',
+
+    'amenities.roomNone': 'Nemam kompletan popis sadržaja/opreme za tu sobu u sustavu. Molim kontaktirajte recepciju za detalje.',
+    'amenities.roomHeader': 'Sadržaj/oprema sobe ({title}):',
+    'amenities.generalNone': 'Nemam kompletan popis sadržaja/opreme u sustavu. Molim kontaktirajte recepciju za detalje.',
+    'amenities.generalHeader': 'Sadržaj/oprema soba (kako je navedeno u sustavu):',
+
+    'beds.none': 'Nemam podatke o tipu kreveta u sustavu. Molim kontaktirajte recepciju za točne informacije.',
+    'beds.header': 'Tipovi kreveta (kako je navedeno u sustavu):',
+
+    'diff.needTwo': 'Mogu usporediti sobe samo ako su obje jasno navedene. Molim napišite točno dvije sobe koje želite usporediti.',
+    'diff.notEnough': 'Nemam dovoljno strukturiranih podataka za usporedbu "{a}" i "{b}". Molim kontaktirajte recepciju za detalje.',
+    'diff.header': 'Ključne razlike ({a} vs {b}):',
+    'diff.notListed': 'nije navedeno',
+    'diff.roomA': 'Soba A',
+    'diff.roomB': 'Soba B',
+
+    'field.roomType': 'Tip sobe',
+    'field.size': 'Kvadratura',
+    'field.capacity': 'Kapacitet',
+    'field.floor': 'Kat',
+    'field.view': 'Pogled',
+    'field.beds': 'Kreveti',
+
+    'core.address': 'Adresa',
+    'core.phone': 'Telefon (recepcija)',
+    'core.googleReviews': 'Google recenzije',
+    'core.website': 'Web',
+  },
+
+  DE: {
+    'wait': 'Zu viele Anfragen in kurzer Zeit. Bitte warten Sie {seconds} Sekunden und versuchen Sie es erneut.',
+    'noInfo': 'Diese Information liegt mir im System nicht vor. Bitte wenden Sie sich für genaue Angaben an die Rezeption.',
+    'noPriceInfo': 'Der Preis ist im System nicht verfügbar. Bitte wenden Sie sich für ein Angebot und die Verfügbarkeit an die Rezeption.',
+    'assistant.greeting': 'Hallo! Ich bin {name}, der virtuelle Assistent des Hotels. Wie kann ich Ihnen helfen?',
+    'assistant.offTopic': 'Ich kann nur bei Fragen zum Hotel und zu Ihrem Aufenthalt helfen.',
+    'pms.needDates': 'Ich kann Verfügbarkeit und Preise für Sie prüfen. Für welche Daten (Anreise und Abreise) und wie viele Personen?',
+    'handoff.offer': 'Ich kann Ihre Frage an die Rezeption weiterleiten. Hinterlassen Sie Ihre E-Mail-Adresse oder Telefonnummer, und man wird sich bei Ihnen melden.',
+    'handoff.requested': 'Gerne — ich kann Sie mit der Rezeption verbinden. Hinterlassen Sie Ihre E-Mail-Adresse oder Telefonnummer, und Ihre Frage wird weitergeleitet.',
+    'handoff.created': 'Vielen Dank! Ihre Frage wurde an die Rezeption weitergeleitet. Man wird Ihnen so bald wie möglich antworten.',
+    'handoff.logged': 'Vielen Dank! Ihre Frage wurde für die Rezeption gespeichert, die Rezeption wird jedoch nicht automatisch benachrichtigt. Wenn es dringend ist, wenden Sie sich bitte direkt an die Rezeption.',
+    'booking.offer': 'Ich kann eine Buchungsanfrage an die Rezeption senden. Ich frage nach Reisedaten, Gästen, Zimmer und Kontakt — die Rezeption bestätigt dann Verfügbarkeit und Preis.',
+    'booking.dates': 'Wann reisen Sie an und ab?',
+    'booking.guests': 'Wie viele Erwachsene und Kinder?',
+    'booking.room': 'Welches Zimmer möchten Sie?',
+    'booking.name': 'Auf welchen Namen soll die Anfrage lauten?',
+    'booking.contact': 'Unter welcher E-Mail-Adresse oder Telefonnummer kann die Rezeption Sie erreichen?',
+    'booking.confirm': 'Bitte bestätigen Sie: {room}, {checkIn} – {checkOut} ({nights} Nächte), {adults} Erwachsene, {children} Kinder, {name}, {contact}.',
+    'booking.sent': 'Vielen Dank! Ihre Buchungsanfrage wurde an die Rezeption gesendet. Verfügbarkeit und Preis werden so bald wie möglich bestätigt.',
+    'booking.logged': 'Vielen Dank! Ihre Buchungsanfrage wurde für die Rezeption gespeichert, die Rezeption wird jedoch nicht automatisch benachrichtigt. Um sicherzugehen, wenden Sie sich bitte direkt an die Rezeption.',
+    'booking.cancelled': 'Ihre Buchungsanfrage wurde storniert.',
+    'booking.bookRoom': 'Zimmer buchen: {name}',
+    'booking.err.dates': 'Bitte geben Sie gültige An- und Abreisedaten ein (nicht in der Vergangenheit, höchstens 30 Nächte).',
+    'booking.err.guests': 'Bitte geben Sie die Anzahl der Erwachsenen (1–10) und Kinder (0–10) ein.',
+    'booking.err.room': 'Bitte wählen Sie eines der angebotenen Zimmer.',
+    'booking.err.capacity': '{room} bietet Platz für höchstens {max} Gäste. Bitte wählen Sie ein anderes Zimmer.',
+    'booking.err.soldOut': '{room} ist für diese Daten nicht verfügbar. Bitte wählen Sie ein anderes Zimmer.',
+    'booking.err.name': 'Bitte geben Sie Ihren Namen ein.',
+    'booking.err.contact': 'Bitte geben Sie eine gültige E-Mail-Adresse oder Telefonnummer ein.',
+    'rules.serviceHours': '{name} – Zeiten: {hours}',
+    'rules.hours': 'Zeiten: {hours}',
+    'suggest.beds': 'Welche Betten hat {name}?',
+    'suggest.view': 'Welche Aussicht hat {name}?',
+    'suggest.amenities': 'Welche Ausstattung hat {name}?',
+    'suggest.size': 'Wie groß ist {name}?',
+    'suggest.compare': 'Was ist der Unterschied zwischen {a} und {b}?',
+    'suggest.hours': 'Wann hat {name} geöffnet?',
+    'suggest.roomTypes': 'Welche Zimmertypen gibt es?',
+    'room.fallbackName': 'Zimmer',
+
+    'roomTypes.none': 'Mir liegen derzeit keine Angaben zu den Zimmertypen vor. Bitte wenden Sie sich für genaue Informationen an die Rezeption.',
+    'roomTypes.header': 'Folgende Zimmertypen sind verzeichnet:',
+    'roomTypes.view': 'Aussicht',
+    'roomTypes.beds': 'Betten',
+
+    'roomsByView.none': 'Mir liegt keine vollständige Liste der Zimmer mit dieser Aussicht vor. Bitte lassen Sie sich dies an der Rezeption bestätigen.',
+    'roomsByView.header': 'Zimmer mit der gewünschten Aussicht (laut System):',
+
+    'amenities.roomNone': 'Mir liegt keine vollständige Ausstattungsliste für dieses Zimmer vor. Bitte wenden Sie sich für Details an die Rezeption.',
+    'amenities.roomHeader': 'Zimmerausstattung für {title}:',
+    'amenities.generalNone': 'Mir liegt keine vollständige Ausstattungsliste vor. Bitte wenden Sie sich für Details an die Rezeption.',
+    'amenities.generalHeader': 'Zimmerausstattung (laut System):',
+
+    'beds.none': 'Mir liegen keine Angaben zu den Betttypen vor. Bitte wenden Sie sich für genaue Informationen an die Rezeption.',
+    'beds.header': 'Betttypen (laut System):',
+
+    'diff.needTwo': 'Ich kann Zimmer nur vergleichen, wenn beide eindeutig genannt sind. Bitte nennen Sie die zwei Zimmer.',
+    'diff.notEnough': 'Mir liegen nicht genug strukturierte Daten vor, um "{a}" und "{b}" zu vergleichen. Bitte wenden Sie sich für Details an die Rezeption.',
+    'diff.header': 'Wichtigste Unterschiede ({a} vs {b}):',
+    'diff.notListed': 'nicht angegeben',
+    'diff.roomA': 'Zimmer A',
+    'diff.roomB': 'Zimmer B',
+
+    'field.roomType': 'Zimmertyp',
+    'field.size': 'Größe (m²)',
+    'field.capacity': 'Kapazität',
+    'field.floor': 'Etage',
+    'field.view': 'Aussicht',
+    'field.beds': 'Betten',
+
+    'core.address': 'Adresse',
+    'core.phone': 'Telefon (Rezeption)',
+    'core.email': 'E-Mail',
+    'core.googleReviews': 'Google-Bewertungen',
+  },
+
+  IT: {
+    'wait': 'Troppe richieste in poco tempo. Attendere {seconds} secondi e riprovare.',
+    'noInfo': 'Non ho questa informazione nel sistema. Per dettagli precisi contatti la reception.',
+    'noPriceInfo': 'Il prezzo non è disponibile nel sistema. Contatti la reception per un preventivo e la disponibilità.',
+    'assistant.greeting': 'Ciao! Sono {name}, l’assistente virtuale dell’hotel. Come posso aiutarla?',
+    'assistant.offTopic': 'Posso aiutarla solo con domande sull’hotel e sul suo soggiorno.',
+    'pms.needDates': 'Posso verificare disponibilità e prezzi. Per quali date (arrivo e partenza) e quante persone?',
+    'handoff.offer': 'Posso inoltrare la sua domanda alla reception. Lasci la sua e-mail o il suo numero di telefono e la ricontatteranno.',
+    'handoff.requested': 'Certo — posso metterla in contatto con la reception. Lasci la sua e-mail o il suo numero di telefono e la sua domanda verrà inoltrata.',
+    'handoff.created': 'Grazie! La sua domanda è stata inoltrata alla reception. Le risponderanno il prima possibile.',
+    'handoff.logged': 'Grazie! La sua domanda è stata salvata per la reception, ma la reception non viene avvisata automaticamente. Se è urgente, contatti direttamente la reception.',
+    'booking.offer': 'Posso inviare una richiesta di prenotazione alla reception. Le chiederò date, ospiti, camera e contatto — la reception confermerà poi disponibilità e prezzo.',
+    'booking.dates': 'Quali sono le date di arrivo e partenza?',
+    'booking.guests': 'Quanti adulti e bambini?',
+    'booking.room': 'Quale camera desidera?',
+    'booking.name': 'A quale nome va intestata la richiesta?',
+    'booking.contact': 'A quale e-mail o numero di telefono può contattarla la reception?',
+    'booking.confirm': 'Confermi per favore: {room}, {checkIn} – {checkOut} ({nights} notti), {adults} adulti, {children} bambini, {name}, {contact}.',
+    'booking.sent': 'Grazie! La sua richiesta di prenotazione è stata inviata alla reception. Confermeranno disponibilità e prezzo il prima possibile.',
+    'booking.logged': 'Grazie! La sua richiesta di prenotazione è stata salvata per la reception, ma la reception non viene avvisata automaticamente. Per sicurezza, contatti direttamente la reception.',
+    'booking.cancelled': 'La sua richiesta di prenotazione è stata annullata.',
+    'booking.bookRoom': 'Vorrei prenotare {name}',
+    'booking.err.dates': 'Inserisca date di arrivo e partenza valide (non nel passato, massimo 30 notti).',
+    'booking.err.guests': 'Inserisca il numero di adulti (1–10) e bambini (0–10).',
+    'booking.err.room': 'Scelga una delle camere proposte.',
+    'booking.err.capacity': '{room} ospita al massimo {max} persone. Scelga un’altra camera.',
+    'booking.err.soldOut': '{room} non è disponibile per queste date. Scelga un’altra camera.',
+    'booking.err.name': 'Inserisca il suo nome.',
+    'booking.err.contact': 'Inserisca un’e-mail o un numero di telefono valido.',
+    'rules.serviceHours': '{name} – orario: {hours}',
+    'rules.hours': 'Orario: {hours}',
+    'suggest.beds': 'Che letti ha {name}?',
+    'suggest.view': 'Che vista ha {name}?',
+    'suggest.amenities': 'Quali dotazioni ha {name}?',
+    'suggest.size': 'Quanto è grande {name}?',
+    'suggest.compare': 'Qual è la differenza tra {a} e {b}?',
+    'suggest.hours': 'Qual è l’orario di {name}?',
+    'suggest.roomTypes': 'Quali tipi di camere avete?',
+    'room.fallbackName': 'Camera',
+
+    'roomTypes.none': 'Al momento non ho dettagli sulle tipologie di camera. Contatti la reception per informazioni precise.',
+    'roomTypes.header': 'Queste sono le tipologie di camera elencate:',
+    'roomTypes.view': 'vista',
+    'roomTypes.beds': 'letti',
+
+    'roomsByView.none': 'Non ho un elenco completo delle camere con quella vista. Contatti la reception per conferma.',
+    'roomsByView.header': 'Camere con la vista richiesta (come indicato nel sistema):',
+
+    'amenities.roomNone': 'Non ho un elenco completo dei servizi per quella camera. Contatti la reception per i dettagli.',
+    'amenities.roomHeader': 'Servizi in camera per {title}:',
+    'amenities.generalNone': 'Non ho un elenco completo dei servizi in camera. Contatti la reception per i dettagli.',
+    'amenities.generalHeader': 'Servizi in camera (come indicato nel sistema):',
+
+    'beds.none': 'Non ho dettagli sui tipi di letto. Contatti la reception per informazioni precise.',
+    'beds.header': 'Tipi di letto (come indicato nel sistema):',
+
+    'diff.needTwo': 'Posso confrontare le camere solo se entrambe sono indicate chiaramente. Scriva i nomi delle due camere.',
+    'diff.notEnough': 'Non ho abbastanza dati strutturati per confrontare "{a}" e "{b}". Contatti la reception per i dettagli.',
+    'diff.header': 'Differenze principali ({a} vs {b}):',
+    'diff.notListed': 'non indicato',
+    'diff.roomA': 'Camera A',
+    'diff.roomB': 'Camera B',
+
+    'field.roomType': 'Tipologia',
+    'field.size': 'Superficie (m²)',
+    'field.capacity': 'Capienza',
+    'field.floor': 'Piano',
+    'field.view': 'Vista',
+    'field.beds': 'Letti',
+
+    'core.address': 'Indirizzo',
+    'core.phone': 'Telefono (reception)',
+    'core.googleReviews': 'Recensioni Google',
+    'core.website': 'Sito web',
+  },
+
+  FR: {
+    'wait': 'Trop de demandes en peu de temps. Veuillez patienter {seconds} secondes et réessayer.',
+    'noInfo': 'Je n’ai pas cette information dans le système. Veuillez contacter la réception pour des détails précis.',
+    'noPriceInfo': 'Le prix n’est pas disponible dans le système. Veuillez contacter la réception pour un devis et les disponibilités.',
+    'assistant.greeting': 'Bonjour ! Je suis {name}, l’assistant virtuel de l’hôtel. Comment puis-je vous aider ?',
+    'assistant.offTopic': 'Je ne peux répondre qu’aux questions sur l’hôtel et votre séjour.',
+    'pms.needDates': 'Je peux vérifier les disponibilités et les prix. Pour quelles dates (arrivée et départ) et combien de personnes ?',
+    'handoff.offer': 'Je peux transmettre votre question à la réception. Laissez votre e-mail ou votre numéro de téléphone et elle vous répondra.',
+    'handoff.requested': 'Bien sûr — je peux vous mettre en relation avec la réception. Laissez votre e-mail ou votre numéro de téléphone et votre question lui sera transmise.',
+    'handoff.created': 'Merci ! Votre question a été transmise à la réception. Elle vous répondra dans les plus brefs délais.',
+    'handoff.logged': 'Merci ! Votre question a été enregistrée pour la réception, mais celle-ci n’est pas prévenue automatiquement. En cas d’urgence, veuillez contacter directement la réception.',
+    'booking.offer': 'Je peux envoyer une demande de réservation à la réception. Je vous demanderai vos dates, le nombre de personnes, la chambre et vos coordonnées — la réception confirmera ensuite la disponibilité et le prix.',
+    'booking.dates': 'Quelles sont vos dates d’arrivée et de départ ?',
+    'booking.guests': 'Combien d’adultes et d’enfants ?',
+    'booking.room': 'Quelle chambre souhaitez-vous ?',
+    'booking.name': 'À quel nom faut-il établir la demande ?',
+    'booking.contact': 'À quelle adresse e-mail ou quel numéro de téléphone la réception peut-elle vous joindre ?',
+    'booking.confirm': 'Merci de confirmer : {room}, {checkIn} – {checkOut} ({nights} nuits), {adults} adultes, {children} enfants, {name}, {contact}.',
+    'booking.sent': 'Merci ! Votre demande de réservation a été envoyée à la réception. Elle confirmera la disponibilité et le prix dans les plus brefs délais.',
+    'booking.logged': 'Merci ! Votre demande de réservation a été enregistrée pour la réception, mais celle-ci n’est pas prévenue automatiquement. Pour être sûr de votre réservation, veuillez contacter directement la réception.',
+    'booking.cancelled': 'Votre demande de réservation a été annulée.',
+    'booking.bookRoom': 'Je voudrais réserver {name}',
+    'booking.err.dates': 'Veuillez saisir des dates d’arrivée et de départ valides (pas dans le passé, 30 nuits maximum).',
+    'booking.err.guests': 'Veuillez indiquer le nombre d’adultes (1–10) et d’enfants (0–10).',
+    'booking.err.room': 'Veuillez choisir l’une des chambres proposées.',
+    'booking.err.capacity': '{room} accueille au maximum {max} personnes. Veuillez choisir une autre chambre.',
+    'booking.err.soldOut': '{room} n’est pas disponible à ces dates. Veuillez choisir une autre chambre.',
+    'booking.err.name': 'Veuillez saisir votre nom.',
+    'booking.err.contact': 'Veuillez saisir une adresse e-mail ou un numéro de téléphone valide.',
+    'rules.serviceHours': '{name} – horaires : {hours}',
+    'rules.hours': 'Horaires : {hours}',
+    'suggest.beds': 'Quels lits a {name} ?',
+    'suggest.view': 'Quelle est la vue depuis {name} ?',
+    'suggest.amenities': 'Quels équipements a {name} ?',
+    'suggest.size': 'Quelle est la taille de {name} ?',
+    'suggest.compare': 'Quelle est la différence entre {a} et {b} ?',
+    'suggest.hours': 'Quels sont les horaires de {name} ?',
+    'suggest.roomTypes': 'Quels types de chambres proposez-vous ?',
+    'room.fallbackName': 'Chambre',
+
+    'roomTypes.none': 'Je n’ai pas de détails sur les types de chambres pour le moment. Veuillez contacter la réception pour des informations précises.',
+    'roomTypes.header': 'Voici les types de chambres répertoriés :',
+    'roomTypes.view': 'vue',
+    'roomTypes.beds': 'lits',
+
+    'roomsByView.none': 'Je n’ai pas de liste complète des chambres avec cette vue. Veuillez contacter la réception pour confirmation.',
+    'roomsByView.header': 'Chambres avec la vue demandée (selon le système) :',
+
+    'amenities.roomNone': 'Je n’ai pas la liste complète des équipements de cette chambre. Veuillez contacter la réception pour plus de détails.',
+    'amenities.roomHeader': 'Équipements de la chambre {title} :',
+    'amenities.generalNone': 'Je n’ai pas la liste complète des équipements. Veuillez contacter la réception pour plus de détails.',
+    'amenities.generalHeader': 'Équipements des chambres (selon le système) :',
+
+    'beds.none': 'Je n’ai pas de détails sur les types de lits. Veuillez contacter la réception pour des informations précises.',
+    'beds.header': 'Types de lits (selon le système) :',
+
+    'diff.needTwo': 'Je ne peux comparer les chambres que si les deux sont clairement identifiées. Veuillez préciser les deux chambres.',
+    'diff.notEnough': 'Je n’ai pas assez de données structurées pour comparer « {a} » et « {b} ». Veuillez contacter la réception pour plus de détails.',
+    'diff.header': 'Principales différences ({a} vs {b}) :',
+    'diff.notListed': 'non indiqué',
+    'diff.roomA': 'Chambre A',
+    'diff.roomB': 'Chambre B',
+
+    'field.roomType': 'Type de chambre',
+    'field.size': 'Surface (m²)',
+    'field.capacity': 'Capacité',
+    'field.floor': 'Étage',
+    'field.view': 'Vue',
+    'field.beds': 'Lits',
+
+    'core.address': 'Adresse',
+    'core.phone': 'Téléphone (réception)',
+    'core.email': 'E-mail',
+    'core.checkIn': 'Arrivée',
+    'core.checkOut': 'Départ',
+    'core.googleReviews': 'Avis Google',
+    'core.website': 'Site web',
+  },
+
+  ES: {
+    'wait': 'Demasiadas consultas en poco tiempo. Espere {seconds} segundos e inténtelo de nuevo.',
+    'noInfo': 'No tengo esa información en el sistema. Contacte con recepción para obtener detalles exactos.',
+    'noPriceInfo': 'El precio no está disponible en el sistema. Contacte con recepción para un presupuesto y la disponibilidad.',
+    'assistant.greeting': '¡Hola! Soy {name}, el asistente virtual del hotel. ¿En qué puedo ayudarle?',
+    'assistant.offTopic': 'Solo puedo ayudarle con preguntas sobre el hotel y su estancia.',
+    'pms.needDates': 'Puedo consultar la disponibilidad y los precios. ¿Para qué fechas (llegada y salida) y cuántas personas?',
+    'handoff.offer': 'Puedo reenviar su pregunta a recepción. Deje su correo electrónico o su número de teléfono y se pondrán en contacto con usted.',
+    'handoff.requested': 'Por supuesto — puedo ponerle en contacto con recepción. Deje su correo electrónico o su número de teléfono y su pregunta les será enviada.',
+    'handoff.created': '¡Gracias! Su pregunta se ha enviado a recepción. Le responderán lo antes posible.',
+    'handoff.logged': '¡Gracias! Su pregunta se ha guardado para recepción, pero no se les avisa automáticamente. Si es urgente, póngase en contacto directamente con recepción.',
+    'booking.offer': 'Puedo enviar una solicitud de reserva a recepción. Le preguntaré las fechas, los huéspedes, la habitación y su contacto — después recepción confirmará la disponibilidad y el precio.',
+    'booking.dates': '¿Cuáles son sus fechas de llegada y salida?',
+    'booking.guests': '¿Cuántos adultos y niños?',
+    'booking.room': '¿Qué habitación desea?',
+    'booking.name': '¿A nombre de quién debe ir la solicitud?',
+    'booking.contact': '¿En qué correo electrónico o número de teléfono puede contactarle recepción?',
+    'booking.confirm': 'Por favor, confirme: {room}, {checkIn} – {checkOut} ({nights} noches), {adults} adultos, {children} niños, {name}, {contact}.',
+    'booking.sent': '¡Gracias! Su solicitud de reserva se ha enviado a recepción. Confirmarán la disponibilidad y el precio lo antes posible.',
+    'booking.logged': '¡Gracias! Su solicitud de reserva se ha guardado para recepción, pero no se les avisa automáticamente. Para asegurar su reserva, póngase en contacto directamente con recepción.',
+    'booking.cancelled': 'Su solicitud de reserva ha sido cancelada.',
+    'booking.bookRoom': 'Quiero reservar {name}',
+    'booking.err.dates': 'Introduzca fechas de llegada y salida válidas (no en el pasado, máximo 30 noches).',
+    'booking.err.guests': 'Introduzca el número de adultos (1–10) y niños (0–10).',
+    'booking.err.room': 'Elija una de las habitaciones ofrecidas.',
+    'booking.err.capacity': '{room} admite como máximo {max} huéspedes. Elija otra habitación.',
+    'booking.err.soldOut': '{room} no está disponible en estas fechas. Elija otra habitación.',
+    'booking.err.name': 'Introduzca su nombre.',
+    'booking.err.contact': 'Introduzca un correo electrónico o un número de teléfono válido.',
+    'rules.serviceHours': '{name} – horario: {hours}',
+    'rules.hours': 'Horario: {hours}',
+    'suggest.beds': '¿Qué camas tiene {name}?',
+    'suggest.view': '¿Qué vista tiene {name}?',
+    'suggest.amenities': '¿Qué comodidades tiene {name}?',
+    'suggest.size': '¿Qué tamaño tiene {name}?',
+    'suggest.compare': '¿Cuál es la diferencia entre {a} y {b}?',
+    'suggest.hours': '¿Cuál es el horario de {name}?',
+    'suggest.roomTypes': '¿Qué tipos de habitaciones tienen?',
+    'room.fallbackName': 'Habitación',
+
+    'roomTypes.none': 'Ahora mismo no tengo detalles de los tipos de habitación. Contacte con recepción para información exacta.',
+    'roomTypes.header': 'Estos son los tipos de habitación registrados:',
+    'roomTypes.view': 'vista',
+    'roomTypes.beds': 'camas',
+
+    'roomsByView.none': 'No tengo una lista completa de habitaciones con esa vista. Contacte con recepción para confirmarlo.',
+    'roomsByView.header': 'Habitaciones con la vista solicitada (según el sistema):',
+
+    'amenities.roomNone': 'No tengo la lista completa de equipamiento de esa habitación. Contacte con recepción para más detalles.',
+    'amenities.roomHeader': 'Equipamiento de la habitación {title}:',
+    'amenities.generalNone': 'No tengo la lista completa de equipamiento. Contacte con recepción para más detalles.',
+    'amenities.generalHeader': 'Equipamiento de las habitaciones (según el sistema):',
+
+    'beds.none': 'No tengo detalles de los tipos de cama. Contacte con recepción para información exacta.',
+    'beds.header': 'Tipos de cama (según el sistema):',
+
+    'diff.needTwo': 'Solo puedo comparar habitaciones si ambas están claramente identificadas. Indique las dos habitaciones.',
+    'diff.notEnough': 'No tengo suficientes datos estructurados para comparar "{a}" y "{b}". Contacte con recepción para más detalles.',
+    'diff.header': 'Diferencias principales ({a} vs {b}):',
+    'diff.notListed': 'no indicado',
+    'diff.roomA': 'Habitación A',
+    'diff.roomB': 'Habitación B',
+
+    'field.roomType': 'Tipo de habitación',
+    'field.size': 'Superficie (m²)',
+    'field.capacity': 'Capacidad',
+    'field.floor': 'Planta',
+    'field.view': 'Vista',
+    'field.beds': 'Camas',
+
+    'core.address': 'Dirección',
+    'core.phone': 'Teléfono (recepción)',
+    'core.email': 'Correo electrónico',
+    'core.googleReviews': 'Reseñas de Google',
+    'core.website': 'Sitio web',
+  },
+};
+
+export function normalizeLang(v) {
+  const code = String(v || '').trim().slice(0, 2).toUpperCase();
+  return SUPPORTED_LANGS.includes(code) ? code : null;
+}
+
+// t('HR', 'amenities.roomHeader', { title }) — fallback: jezik -> EN -> sam ključ
+export function t(lang, key, vars = {}) {
+  const code = normalizeLang(lang) || 'EN';
+  const tpl = MESSAGES[code]?.[key] ?? MESSAGES.EN[key] ?? key;
+  return tpl.replace(/\{(\w+)\}/g, (m, name) => (vars[name] ?? m));
+}
+
+// -------------------------
+// Detekcija jezika (skoriranje po znakovima + čestim riječima)
+// Riječi koje dijele dva jezika (il, un: IT / FR; je: HR / FR; parking) nisu ni u jednoj listi.
+// -------------------------
+const LANG_CHARS = {
+  HR: /[čćžšđ]/gi,
+  DE: /[äöüß]/gi,
+  ES: /[ñ¿¡]/gi,
+  FR: /[çœêâûôîëï]/gi,
+  IT: /[ìò]/gi,
+};
+
+// fraze koje se ne vide po tokenima (crtice / apostrofi se gube pri tokenizaciji); pogodak = 2 boda kao dijakritik
+const LANG_PHRASES = {
+  FR: /\bil y a\b|-t-(?:il|elle|on)\b|\best-ce\b|\bqu['’]|\bj['’]/gi,
+  IT: /\bc['’]è\b|\bun['’]/gi,
+};
+
+const LANG_WORDS = {
+  HR: ['li', 'imate', 'gdje', 'kada', 'radno', 'vrijeme', 'soba', 'sobe', 'doručak', 'recepcija', 'adresa', 'broj', 'pravila', 'kućni', 'molim', 'hvala', 'trebam', 'koliko', 'koja', 'koje', 'što', 'ima', 'mogu', 'kako', 'postoji', 'cijena'],
+  EN: ['the', 'is', 'are', 'do', 'does', 'you', 'have', 'what', 'where', 'when', 'how', 'which', 'can', 'there', 'room', 'rooms', 'breakfast', 'my', 'your', 'please', 'thanks', 'much', 'any'],
+  DE: ['der', 'die', 'das', 'ist', 'sind', 'ich', 'wir', 'haben', 'gibt', 'wo', 'wann', 'wie', 'was', 'welche', 'zimmer', 'frühstück', 'bitte', 'danke', 'und', 'mit', 'kann', 'ein', 'eine', 'nicht', 'für', 'parkplatz', 'viel', 'kostet'],
+  IT: ['gli', 'della', 'sono', 'dove', 'quando', 'quanto', 'camera', 'camere', 'colazione', 'grazie', 'posso', 'avete', 'è', 'che', 'ci', 'parcheggio', 'orario', 'costa', 'vorrei'],
+  FR: ['le', 'les', 'est', 'une', 'des', 'du', 'vous', 'voudrais', 'peux', 'pouvez', 'piscine', 'avez', 'où', 'quand', 'comment', 'quel', 'quelle', 'chambre', 'chambres', 'petit', 'déjeuner', 'merci', 'pour', 'combien', 'qu', 'est-ce', 'votre', 'avoir'],
+  ES: ['el', 'los', 'las', 'dónde', 'donde', 'cuándo', 'cuando', 'cómo', 'hay', 'tienen', 'habitación', 'habitacion', 'habitaciones', 'desayuno', 'gracias', 'para', 'puedo', 'cuánto', 'cuanto', 'qué', 'aparcamiento', 'precio', 'tiene'],
+};
+
+const LANG_WORD_SETS = Object.fromEntries(Object.entries(LANG_WORDS).map(([k, v]) => [k, new Set(v)]));
+
+export function detectLang(question, fallback = 'EN') {
+  const q = String(question || '');
+  const toks = q.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim().split(/\s+/).filter(Boolean);
+  if (!toks.length) return fallback;
+
+  const scores = {};
+  for (const code of SUPPORTED_LANGS) {
+    const chars = LANG_CHARS[code] ? (q.match(LANG_CHARS[code]) || []).length : 0;
+    const words = toks.filter(tok => LANG_WORD_SETS[code].has(tok)).length;
+    const phrases = LANG_PHRASES[code] ? (q.match(LANG_PHRASES[code]) || []).length : 0;
+    // dijakritici su jak signal (jedan znak = gotovo sigurno taj jezik)
+    scores[code] = Math.min(chars, 2) * 2 + Math.min(phrases, 2) * 2 + words;
+  }
+
+  // kod izjednačenja prednost ima redoslijed SUPPORTED_LANGS (HR prije EN)
+  let best = null;
+  for (const code of SUPPORTED_LANGS) {
+    if (scores[code] > 0 && (!best || scores[code] > scores[best])) best = code;
+  }
+  return best || fallback;
+}
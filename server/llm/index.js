@@ -0,0 +1,43 @@
+// llm/index.js — LLM provider: chat completion, JSON mode i streaming (router, rewrite, odgovori)
+//
+// Interface (svi backendi):
+//   name
+//   chat({ model, messages, temperature = 0, json = false, signal? }) -> { content, usage, model }
+//   stream({ model, messages, temperature = 0, signal?, onDelta }) -> { content, usage, model }
+//   usage = { prompt_tokens, completion_tokens, total_tokens } | null (OpenAI oblik; model = stvarni model iz odgovora)
+//   greška s .status = 429 -> server to tretira kao rate limit (poruka "pričekajte")
+//
+// LLM_PROVIDER: openai (default, OPENAI_API_KEY) | local (OpenAI-kompatibilan endpoint: Ollama, llama.cpp server;
+//   LLM_BASE_URL, LLM_API_KEY?) | stub (deterministički, bez mreže — testovi / offline; LLM_STUB_MODE echo | error | rate_limit)
+// Modeli se biraju po pozivu (OPENAI_ROUTER_MODEL / OPENAI_ANSWER_MODEL u serveru), ne po backendu.
+import { createStubLlm } from './stub.js';
+
+export { createStubLlm };
+
+export const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+export async function createLlmFromEnv(kind = 'openai', { env = process.env } = {}) {
+  const k = String(kind || 'openai').toLowerCase();
+
+  if (k === 'openai') {
+    if (!env.OPENAI_API_KEY) throw new Error('LLM_PROVIDER=openai requires OPENAI_API_KEY');
+    // lazy import: stub / local mod ne učitava OpenAI klijent dok ne treba
+    const { createOpenAILlm } = await import('./openai.js');
+    return createOpenAILlm({ apiKey: env.OPENAI_API_KEY });
+  }
+
+  if (k === 'local') {
+    const baseURL = env.LLM_BASE_URL || DEFAULT_LOCAL_BASE_URL;
+    const { createOpenAILlm } = await import('./openai.js');
+    console.log(`ℹ️  LLM provider: local (${baseURL})`);
+    // Ollama / llama.cpp ne traže ključ, ali SDK ga mora imati
+    return createOpenAILlm({ apiKey: env.LLM_API_KEY || 'local', baseURL, name: 'local' });
+  }
+
+  if (k === 'stub') {
+    console.log(`ℹ️  LLM provider: stub (${env.LLM_STUB_MODE || 'echo'})`);
+    return createStubLlm({ mode: env.LLM_STUB_MODE || 'echo' });
+  }
+
+  throw new Error(`Unknown LLM_PROVIDER "${kind}"`);
+}
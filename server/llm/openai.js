@@ -0,0 +1,48 @@
+// llm/openai.js — OpenAI backend (i OpenAI-kompatibilni lokalni endpointi preko baseURL-a)
+import OpenAI from 'openai';
+
+export function createOpenAILlm({ apiKey, baseURL = undefined, name = 'openai' }) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+  async function chat({ model, messages, temperature = 0, json = false, signal } = {}) {
+    const resp = await client.chat.completions.create({
+      model,
+      temperature,
+      messages,
+      ...(json ? { response_format: { type: 'json_object' } } : {}),
+    }, { signal });
+
+    return {
+      content: resp.choices?.[0]?.message?.content || '',
+      usage: resp.usage || null,
+      model: resp.model || model,
+    };
+  }
+
+  async function stream({ model, messages, temperature = 0, signal, onDelta } = {}) {
+    const s = await client.chat.completions.create({
+      model,
+      temperature,
+      messages,
+      stream: true,
+      stream_options: { include_usage: true },
+    }, { signal });
+
+    let content = '';
+    let usage = null;
+    let actual = model;
+    for await (const chunk of s) {
+      // usage dolazi u zadnjem chunku (bez choices)
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.model) actual = chunk.model;
+      const delta = chunk.choices?.[0]?.delta?.content || '';
+      if (!delta) continue;
+      content += delta;
+      onDelta?.(delta);
+    }
+    return { content, usage, model: actual };
+  }
+
+  // client ostaje dostupan za OpenAI vector store (retrieval)
+  return { name, client, chat, stream };
+}
@@ -0,0 +1,61 @@
+// llm/stub.js — deterministički LLM (bez mreže): isti ulaz -> isti izlaz; za testove, eval i offline rad
+//
+// mode: echo (default) | error (svaki poziv baca, kao pad OpenAI-a) | rate_limit (greška sa status 429)
+// echo: tekst = "[stub] <pitanje>" (question / latest iz JSON payloada ili zadnja user poruka).
+// JSON mode vraća objekt koji prolazi kroz sve pozive: router (intent null -> heuristika),
+// rewrite (bez standalone -> pitanje ostaje isto) i blocks odgovor (answer + prazni blocks).
+// respond(request) -> string | object nadjačava echo (npr. test s unaprijed zadanim odgovorom).
+export const STUB_MODEL = 'stub';
+
+const estimateTokens = text => Math.ceil(String(text || '').length / 4);
+
+function lastQuestion(messages = []) {
+  const last = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+  try {
+    const p = JSON.parse(last);
+    return String(p.standalone_question || p.question || p.latest || '').trim() || last;
+  } catch {
+    return last;
+  }
+}
+
+export function createStubLlm({ mode = 'echo', respond = null } = {}) {
+  const m = String(mode || 'echo').toLowerCase();
+  if (!['echo', 'error', 'rate_limit'].includes(m)) throw new Error(`Unknown LLM_STUB_MODE "${mode}"`);
+
+  function reply(req) {
+    if (m === 'error') throw new Error('stub LLM: offline');
+    if (m === 'rate_limit') throw Object.assign(new Error('stub LLM: rate limit'), { status: 429, code: 'rate_limit_exceeded' });
+
+    const custom = respond?.(req);
+    const text = `[stub] ${lastQuestion(req.messages).slice(0, 300)}`;
+    const content = custom != null
+      ? (typeof custom === 'string' ? custom : JSON.stringify(custom))
+      : req.json ? JSON.stringify({ intent: null, confidence: 0, note: 'stub', answer: text, blocks: [] }) : text;
+
+    const prompt = estimateTokens((req.messages || []).map(x => x.content).join('\n'));
+    const completion = estimateTokens(content);
+    return {
+      content,
+      usage: { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion },
+      // uvijek 'stub' (usage log ga ne naplaćuje kao traženi model)
+      model: STUB_MODEL,
+    };
+  }
+
+  async function chat(req = {}) {
+    return reply(req);
+  }
+
+  // riječ po riječ (deterministički), isti sadržaj kao chat bez JSON moda
+  async function stream({ onDelta, signal, ...req } = {}) {
+    const out = reply({ ...req, json: false });
+    for (const part of out.content.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) throw Object.assign(new Error('stub LLM: aborted'), { name: 'AbortError' });
+      onDelta?.(part);
+    }
+    return out;
+  }
+
+  return { name: 'stub', chat, stream };
+}
@@ -0,0 +1,76 @@
+// notify.js — obavijesti recepciji (handoff ticketi, booking zahtjevi)
+//
+// Notifier interface: { name, send({ to, hotel, type, subject, text, replyTo?, payload? }) -> { via, messageId?, delivered? } }
+//   log (default) | webhook (<PREFIX>_WEBHOOK_URL) | smtp (nodemailer, opcionalno instaliran)
+// log ništa ne šalje (delivered: false) -> ticket / booking dobiva status 'logged', ne 'sent'; kontakt u logu je redaktiran.
+import { redactPII } from './conversation_log.js';
+
+// Webhook body: { type, to, hotel: { slug, name }, ...payload, text } — npr. handoff šalje payload { ticket }.
+
+export function createLogNotifier() {
+  return {
+    name: 'log',
+    async send({ to, type, text }) {
+      // email / telefon gosta ne idu u stdout (kao conversation log)
+      console.log(`ℹ️  ${type} -> ${to || '(no reception email)'} (log only, not delivered)\n${redactPII(text)}`);
+      return { via: 'log', delivered: false };
+    },
+  };
+}
+
+export function createWebhookNotifier({ url, secret = '', envName = 'HANDOFF' }) {
+  if (!url) throw new Error(`${envName}_NOTIFIER=webhook requires ${envName}_WEBHOOK_URL`);
+  return {
+    name: 'webhook',
+    async send({ to, hotel, hotelSlug = null, type, text, payload = {} }) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(secret ? { 'X-Webhook-Secret': secret } : {}) },
+        body: JSON.stringify({ type, to, hotel: { slug: hotel?.slug || hotelSlug, name: hotel?.hotelNaziv || null }, ...payload, text }),
+        signal: AbortSignal.timeout(10_000),
+      });
+      if (!res.ok) throw new Error(`Notify webhook ${res.status}`);
+      return { via: 'webhook' };
+    },
+  };
+}
+
+export function createSmtpNotifier({ url, from, envName = 'HANDOFF' }) {
+  if (!url) throw new Error(`${envName}_NOTIFIER=smtp requires SMTP_URL`);
+  let transport = null;
+
+  async function getTransport() {
+    if (transport) return transport;
+    // nodemailer nije obavezna ovisnost — treba samo za smtp notifier
+    const mod = await import('nodemailer').catch(() => {
+      throw new Error(`${envName}_NOTIFIER=smtp requires the "nodemailer" package (npm i nodemailer)`);
+    });
+    transport = (mod.default || mod).createTransport(url);
+    return transport;
+  }
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text, replyTo }) {
+      if (!to) throw new Error('No reception email for hotel');
+      const t = await getTransport();
+      const info = await t.sendMail({ from, to, replyTo: replyTo || undefined, subject, text });
+      return { via: 'smtp', messageId: info?.messageId || null };
+    },
+  };
+}
+
+// prefix = 'HANDOFF' | 'BOOKING' ; <PREFIX>_WEBHOOK_URL / _SECRET, fallback na HANDOFF_*
+export function createNotifierFromEnv(kind = 'log', env = process.env, { prefix = 'HANDOFF' } = {}) {
+  const k = String(kind || 'log').toLowerCase();
+  if (k === 'log') return createLogNotifier();
+  if (k === 'webhook') {
+    return createWebhookNotifier({
+      url: env[`${prefix}_WEBHOOK_URL`] || env.HANDOFF_WEBHOOK_URL,
+      secret: env[`${prefix}_WEBHOOK_SECRET`] || env.HANDOFF_WEBHOOK_SECRET,
+      envName: prefix,
+    });
+  }
+  if (k === 'smtp') return createSmtpNotifier({ url: env.SMTP_URL, from: env.SMTP_FROM || 'AI Olly <no-reply@localhost>', envName: prefix });
+  throw new Error(`Unknown ${prefix}_NOTIFIER "${kind}"`);
+}
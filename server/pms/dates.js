@@ -0,0 +1,210 @@
+// pms/dates.js — datumi boravka i broj gostiju iz pitanja (HR/EN/DE/IT/FR/ES)
+//
+//   "3-5 August", "August 3 to 5", "od 3. do 5. kolovoza", "del 3 al 5 de agosto",
+//   "28 July - 2 August", "2026-08-03", "3.8.2026", "2 nights from 3 August", "tonight", "sutra"
+//   "2 adults", "3 osobe", "zwei Personen", "1 child"
+// -> { checkIn, checkOut, nights, adults, children, month, assumed: [...] }  (datumi 'YYYY-MM-DD', checkOut exclusive)
+// Datum bez godine koji je već prošao -> sljedeća godina. Nema datuma -> checkIn null (server pita za datume).
+import { normalizeText } from '../utils.js';
+
+export const MAX_NIGHTS = 30;
+
+const MONTHS = {
+  1: ['january', 'jan', 'siječanj', 'siječnja', 'sijecanj', 'sijecnja', 'januar', 'jänner', 'gennaio', 'janvier', 'enero'],
+  2: ['february', 'feb', 'veljača', 'veljače', 'veljaca', 'veljace', 'februar', 'febbraio', 'février', 'fevrier', 'febrero'],
+  3: ['march', 'mar', 'ožujak', 'ožujka', 'ozujak', 'ozujka', 'märz', 'marz', 'marzo', 'mars'],
+  4: ['april', 'apr', 'travanj', 'travnja', 'aprile', 'avril', 'abril'],
+  5: ['may', 'svibanj', 'svibnja', 'mai', 'maggio', 'mayo'],
+  6: ['june', 'jun', 'lipanj', 'lipnja', 'juni', 'giugno', 'juin', 'junio'],
+  7: ['july', 'jul', 'srpanj', 'srpnja', 'juli', 'luglio', 'juillet', 'julio'],
+  8: ['august', 'aug', 'kolovoz', 'kolovoza', 'agosto', 'août', 'aout'],
+  9: ['september', 'sept', 'sep', 'rujan', 'rujna', 'settembre', 'septembre', 'septiembre'],
+  10: ['october', 'oct', 'listopad', 'listopada', 'oktober', 'ottobre', 'octobre', 'octubre'],
+  11: ['november', 'nov', 'studeni', 'studenoga', 'studenog', 'novembre', 'noviembre'],
+  12: ['december', 'dec', 'prosinac', 'prosinca', 'dezember', 'dicembre', 'décembre', 'decembre', 'diciembre'],
+};
+
+const MONTH_BY_WORD = new Map(Object.entries(MONTHS).flatMap(([m, words]) => words.map(w => [normalizeText(w), Number(m)])));
+const M = [...MONTH_BY_WORD.keys()].sort((a, b) => b.length - a.length).join('|');
+
+const NUMBER_WORDS = {
+  1: ['one', 'a', 'jedna', 'jednu', 'jedno', 'jedan', 'eine', 'einen', 'ein', 'una', 'uno', 'un', 'une'],
+  2: ['two', 'dvije', 'dva', 'zwei', 'due', 'deux', 'dos'],
+  3: ['three', 'tri', 'drei', 'tre', 'trois', 'tres'],
+  4: ['four', 'četiri', 'cetiri', 'vier', 'quattro', 'quatre', 'cuatro'],
+  5: ['five', 'pet', 'fünf', 'funf', 'cinque', 'cinq', 'cinco'],
+  6: ['six', 'šest', 'sest', 'sechs', 'sei', 'seis'],
+  7: ['seven', 'sedam', 'sieben', 'sette', 'sept', 'siete'],
+};
+const NUM_BY_WORD = new Map(Object.entries(NUMBER_WORDS).flatMap(([n, words]) => words.map(w => [normalizeText(w), Number(n)])));
+const N = `\\d{1,2}|${[...NUM_BY_WORD.keys()].sort((a, b) => b.length - a.length).join('|')}`;
+const toNumber = s => (/^\d+$/.test(s) ? Number(s) : NUM_BY_WORD.get(s) ?? null);
+
+const D = '(\\d{1,2})(?:st|nd|rd|th|er|o)?';
+const CONN = '(?:\\s+(?:to|until|till|through|do|bis|al|au|a|and|i|und|e|et|y|hasta|jusqu au))?';
+const OF = '(?:\\s+(?:of|de|del))?';
+const Y = '(?:\\s+(\\d{4}))?';
+// "may 2 adults" nije 2. svibnja
+const NOT_GUESTS = '(?!\\s+(?:adults?|people|persons?|guests?|nights?|kids?|children)\\b)';
+
+const NIGHTS_RE = new RegExp(`\\b(${N})\\s+(?:nights?|noći|noci|noćenja|nocenja|noćenje|nocenje|nächte|nachte|nacht|notti|notte|nuits?|noches?)\\b`);
+const ADULTS_RE = new RegExp(`\\b(${N})\\s+(?:adults?|people|persons?|guests?|pax|osob[aeu]?|odrasl\\w*|gost\\w*|erwachsene?n?|personen|person|adulti|persone|adultes?|personnes?|adultos?|personas?)\\b`);
+const CHILDREN_RE = new RegExp(`\\b(${N})\\s+(?:child|children|kids?|djec\\w*|dijete|djeteta|kinder|kind|bambin\\w*|enfants?|niños?|ninos?)\\b`);
+
+const TODAY_WORDS = ['tonight', 'today', 'večeras', 'veceras', 'danas', 'heute', 'oggi', 'stasera', 'ce soir', 'aujourd hui', 'hoy', 'esta noche'];
+const TOMORROW_WORDS = ['tomorrow', 'sutra', 'morgen', 'domani', 'demain', 'mañana', 'manana'];
+
+// -------------------------
+// Datumi (UTC, 'YYYY-MM-DD')
+// -------------------------
+export const isoDate = d => d.toISOString().slice(0, 10);
+
+export function addDays(iso, n) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return isoDate(d);
+}
+
+export function nightsBetween(checkIn, checkOut) {
+  return Math.round((Date.parse(`${checkOut}T00:00:00Z`) - Date.parse(`${checkIn}T00:00:00Z`)) / 86400000);
+}
+
+function makeDate(year, month, day) {
+  if (!(month >= 1 && month <= 12 && day >= 1 && day <= 31)) return null;
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCMonth() === month - 1 ? isoDate(d) : null;
+}
+
+// bez godine: ove godine, osim ako je datum već prošao
+function resolveDate(day, month, year, today) {
+  if (year) return makeDate(Number(year), month, day);
+  const y = Number(today.slice(0, 4));
+  const d = makeDate(y, month, day);
+  return d && d < today ? makeDate(y + 1, month, day) : d;
+}
+
+const monthOf = w => MONTH_BY_WORD.get(w) ?? null;
+
+// prvi pogodak (najraniji u tekstu) od svih oblika
+function findDates(raw, q, today) {
+  const hits = [];
+  const push = (index, checkIn, checkOut = null) => { if (checkIn) hits.push({ index, checkIn, checkOut }); };
+
+  // ISO / numerički (na sirovom tekstu): 2026-08-03, 3.8.2026, 3/8, 3.8.
+  const numeric = [];
+  for (const m of raw.matchAll(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g)) numeric.push({ index: m.index, date: makeDate(Number(m[1]), Number(m[2]), Number(m[3])) });
+  for (const m of raw.matchAll(/\b(\d{1,2})[./](\d{1,2})(?:[./](\d{4}))?(?![\d:])\.?/g)) {
+    if (/^\d{4}-/.test(raw.slice(Math.max(0, m.index - 5), m.index + 1))) continue;
+    numeric.push({ index: m.index, date: resolveDate(Number(m[1]), Number(m[2]), m[3], today) });
+  }
+  numeric.sort((a, b) => a.index - b.index);
+  const nums = numeric.filter(x => x.date);
+  if (nums.length) push(nums[0].index / Math.max(raw.length, 1), nums[0].date, nums[1]?.date || null);
+
+  const pos = m => m.index / Math.max(q.length, 1);
+  const patterns = [
+    // 28 july to 2 august
+    [new RegExp(`\\b${D}${OF}\\s+(${M})${Y}${CONN}\\s+${D}${OF}\\s+(${M})${Y}\\b`), m => [resolveDate(+m[1], monthOf(m[2]), m[3], today), resolveDate(+m[4], monthOf(m[5]), m[6] || m[3], today)]],
+    // july 28 to august 2
+    [new RegExp(`\\b(${M})\\s+${D}${Y}${CONN}\\s+(${M})\\s+${D}${Y}\\b`), m => [resolveDate(+m[2], monthOf(m[1]), m[3], today), resolveDate(+m[5], monthOf(m[4]), m[6] || m[3], today)]],
+    // 3 to 5 august
+    [new RegExp(`\\b${D}${CONN}\\s+${D}${OF}\\s+(${M})${Y}\\b`), m => [resolveDate(+m[1], monthOf(m[3]), m[4], today), resolveDate(+m[2], monthOf(m[3]), m[4], today)]],
+    // august 3 to 5
+    [new RegExp(`\\b(${M})\\s+${D}${CONN}\\s+${D}${Y}\\b${NOT_GUESTS}`), m => [resolveDate(+m[2], monthOf(m[1]), m[4], today), resolveDate(+m[3], monthOf(m[1]), m[4], today)]],
+    // 3 august
+    [new RegExp(`\\b${D}${OF}\\s+(${M})${Y}\\b`), m => [resolveDate(+m[1], monthOf(m[2]), m[3], today), null]],
+    // august 3
+    [new RegExp(`\\b(${M})\\s+${D}${Y}\\b${NOT_GUESTS}`), m => [resolveDate(+m[2], monthOf(m[1]), m[3], today), null]],
+  ];
+  for (const [re, toDates] of patterns) {
+    const m = q.match(re);
+    if (!m) continue;
+    const [a, b] = toDates(m);
+    push(pos(m), a, b);
+    break;
+  }
+
+  const has = words => words.some(w => ` ${q} `.includes(` ${normalizeText(w)} `));
+  if (has(TODAY_WORDS)) push(1, today);
+  else if (has(TOMORROW_WORDS)) push(1, addDays(today, 1));
+
+  hits.sort((a, b) => a.index - b.index);
+  return hits[0] || null;
+}
+
+// -------------------------
+// Public
+// -------------------------
+export function extractStay(question, { now = new Date() } = {}) {
+  const raw = String(question || '').toLowerCase();
+  const q = normalizeText(question);
+  const today = isoDate(now);
+  const assumed = [];
+
+  const nightsMatch = q.match(NIGHTS_RE);
+  const nightsAsked = nightsMatch ? toNumber(nightsMatch[1]) : null;
+
+  let checkIn = null;
+  let checkOut = null;
+  const hit = findDates(raw, q, today);
+  if (hit) {
+    checkIn = hit.checkIn;
+    checkOut = hit.checkOut;
+    // "28 december - 3 january" bez godine -> odlazak iduće godine
+    if (checkOut && checkOut <= checkIn) checkOut = makeDate(Number(checkIn.slice(0, 4)) + 1, +checkOut.slice(5, 7), +checkOut.slice(8, 10));
+    if (!checkOut) {
+      checkOut = addDays(checkIn, nightsAsked || 1);
+      if (!nightsAsked) assumed.push('nights');
+    }
+  }
+
+  const nights = checkIn && checkOut ? nightsBetween(checkIn, checkOut) : nightsAsked;
+  if (checkIn && (checkIn < today || nights < 1 || nights > MAX_NIGHTS)) {
+    checkIn = null;
+    checkOut = null;
+  }
+
+  // samo mjesec ("2 nights in August") -> zapamti za pitanje o datumima
+  const monthOnly = !checkIn ? q.match(new RegExp(`\\b(${M})\\b`)) : null;
+
+  const adultsMatch = q.match(ADULTS_RE);
+  const childrenMatch = q.match(CHILDREN_RE);
+  const adults = adultsMatch ? toNumber(adultsMatch[1]) : null;
+  if (!adults) assumed.push('adults');
+
+  return {
+    checkIn,
+    checkOut,
+    nights: checkIn ? nightsBetween(checkIn, checkOut) : nightsAsked,
+    nightsAsked,
+    adults: adults || 2,
+    children: childrenMatch ? toNumber(childrenMatch[1]) || 0 : 0,
+    month: monthOnly && monthOnly[1].length > 3 ? monthOf(monthOnly[1]) : null,
+    assumed,
+  };
+}
+
+// -------------------------
+// "Je li slobodno / koliko košta" (okidač za PMS)
+// -------------------------
+const AVAILABILITY_WORDS = [
+  'availab', 'vacanc', 'free room', 'free rooms', 'sold out',
+  'have a room', 'have any room', 'have rooms', 'any rooms',
+  'slobodn', 'dostupn', 'ima li mjesta', 'imate li sob', 'verfügbar', 'verfugbar', 'freie zimmer', 'zimmer frei', 'disponib',
+].map(normalizeText);
+const PRICE_WORDS = [
+  'price', 'prices', 'how much', 'cost', 'rate', 'rates', 'per night', 'quote',
+  'cijen', 'koliko košta', 'koliko kosta', 'koliko bi', 'preis', 'kostet', 'kosten', 'prezz', 'quanto costa', 'costo', 'tarif',
+  'prix', 'combien', 'precio', 'cuánto', 'cuanto', 'tarifa',
+].map(normalizeText);
+const ROOM_WORDS = ['room', 'soba', 'sobe', 'sobu', 'zimmer', 'camer', 'chambre', 'habitaci', 'apartman', 'suite'].map(normalizeText);
+
+const startsWord = (q, words) => words.some(w => ` ${q}`.includes(` ${w}`));
+
+// dostupnost / cijena samo uz sobu ili konkretan boravak ("is wifi available", "how much is parking" idu u LLM kao i prije)
+export function isAvailabilityQuestion(question, stay = extractStay(question)) {
+  const q = normalizeText(question);
+  if (!q) return false;
+  if (!startsWord(q, AVAILABILITY_WORDS) && !startsWord(q, PRICE_WORDS)) return false;
+  return startsWord(q, ROOM_WORDS) || Boolean(stay.nightsAsked) || Boolean(stay.checkIn);
+}
@@ -0,0 +1,67 @@
+// pms/file.js — PMS adapter iz JSON datoteke (demo / mock, ili export iz channel managera)
+//
+// Format (po hotelu, roomType = SOBE slug; roomId opcionalno = SOBE record ID):
+//   { "hotels": { "<hotelSlug>": { "currency": "EUR", "roomTypes": [
+//       { "roomType": "deluxe-double", "roomId": "rec...", "maxGuests": 2, "units": 3, "minNights": 1,
+//         "baseRate": 150, "seasons": [{ "from": "2026-06-01", "to": "2026-09-30", "rate": 210 }],
+//         "sold": { "2026-08-14": 3 } } ] } } }
+// Datoteka se ponovno čita kad se promijeni mtime (sync job može je prepisati bez restarta).
+import fs from 'node:fs/promises';
+import { addDays, nightsBetween } from './dates.js';
+
+function rateFor(rt, date) {
+  const season = (rt.seasons || []).find(s => s.from <= date && date <= s.to);
+  const rate = Number(season?.rate ?? rt.baseRate);
+  return Number.isFinite(rate) ? rate : null;
+}
+
+function quoteRoomType(rt, { checkIn, nights, guests }) {
+  const base = { roomType: String(rt.roomType), roomId: rt.roomId || null, maxGuests: rt.maxGuests ?? null };
+
+  if (rt.maxGuests && guests > rt.maxGuests) return { ...base, available: false, reason: 'occupancy' };
+  if (rt.minNights && nights < rt.minNights) return { ...base, available: false, reason: 'min_stay', minNights: rt.minNights };
+
+  const perNight = [];
+  let unitsLeft = Infinity;
+  for (let i = 0; i < nights; i++) {
+    const date = addDays(checkIn, i);
+    const left = Number(rt.units ?? 0) - Number(rt.sold?.[date] ?? 0);
+    const rate = rateFor(rt, date);
+    if (left <= 0) return { ...base, available: false, reason: 'sold_out' };
+    if (rate == null) return { ...base, available: false, reason: 'no_rate' };
+    unitsLeft = Math.min(unitsLeft, left);
+    perNight.push({ date, rate });
+  }
+
+  const total = perNight.reduce((sum, n) => sum + n.rate, 0);
+  return { ...base, available: true, unitsLeft, total: Math.round(total * 100) / 100, perNight };
+}
+
+export function createFilePms({ file }) {
+  let cached = null; // { mtimeMs, data }
+
+  async function load() {
+    const st = await fs.stat(file);
+    if (cached?.mtimeMs === st.mtimeMs) return cached.data;
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    cached = { mtimeMs: st.mtimeMs, data };
+    return data;
+  }
+
+  return {
+    name: 'file',
+
+    async quote({ hotelSlug, checkIn, checkOut, adults = 2, children = 0, roomTypes = null }) {
+      const hotel = (await load()).hotels?.[hotelSlug];
+      const nights = nightsBetween(checkIn, checkOut);
+      if (!hotel) return { hotelSlug, checkIn, checkOut, nights, adults, children, currency: null, rooms: [] };
+
+      const wanted = roomTypes?.length ? new Set(roomTypes.map(String)) : null;
+      const rooms = (hotel.roomTypes || [])
+        .filter(rt => !wanted || wanted.has(String(rt.roomType)) || wanted.has(String(rt.roomId)))
+        .map(rt => quoteRoomType(rt, { checkIn, nights, guests: adults + children }));
+
+      return { hotelSlug, checkIn, checkOut, nights, adults, children, currency: hotel.currency || 'EUR', rooms };
+    },
+  };
+}
@@ -0,0 +1,50 @@
+// pms/index.js — PMS / channel manager adapter: dostupnost i cijene po tipu sobe za datume boravka
+//
+// Interface (svi backendi):
+//   name
+//   quote({ hotelSlug, checkIn, checkOut, adults, children, roomTypes? }) ->
+//     { hotelSlug, checkIn, checkOut, nights, adults, children, currency,
+//       rooms: [{ roomType, roomId, available, reason?, unitsLeft?, total?, perNight?: [{ date, rate }] }] }
+//   checkIn / checkOut = 'YYYY-MM-DD' (checkOut exclusive); roomType = SOBE slug
+//
+// PMS_ADAPTER: off (default) | file (PMS_FILE). Pravi PMS = novi backend s istim quote().
+// Cijene iz quote() su trusted kontekst za price guard (server.js).
+import path from 'node:path';
+import { createFilePms } from './file.js';
+
+export { extractStay, isAvailabilityQuestion } from './dates.js';
+
+export const DEFAULT_PMS_FILE = 'fixtures/pms_demo.json';
+
+export function createPmsFromEnv(kind = 'off', { root = process.cwd(), env = process.env } = {}) {
+  const k = String(kind || 'off').toLowerCase();
+  if (k === 'off' || k === 'none') return null;
+
+  if (k === 'file') {
+    const file = path.resolve(root, env.PMS_FILE || DEFAULT_PMS_FILE);
+    console.log(`ℹ️  PMS adapter: file (${path.relative(root, file)})`);
+    return createFilePms({ file });
+  }
+
+  throw new Error(`Unknown PMS_ADAPTER "${kind}"`);
+}
+
+// quote -> tekst za prompt (AVAILABILITY blok) ; imena soba iz SOBE (po roomId / slug)
+export function renderAvailabilityContext(quote, rooms = []) {
+  if (!quote) return '';
+  const nameOf = r => {
+    const room = rooms.find(x => (r.roomId && String(x.id) === String(r.roomId)) || String(x.slug || '') === r.roomType);
+    return room?.naziv || room?.tipSobe || r.roomType;
+  };
+
+  const lines = quote.rooms.map(r => {
+    if (!r.available) return `- ${nameOf(r)}: NOT available (${r.reason}${r.minNights ? `, minimum ${r.minNights} nights` : ''})`;
+    const nightly = [...new Set(r.perNight.map(n => n.rate))].map(x => `${x} ${quote.currency}`).join(' / ');
+    return `- ${nameOf(r)}: available (${r.unitsLeft} left), total ${r.total} ${quote.currency} for ${quote.nights} night(s) (per night: ${nightly})`;
+  });
+
+  return [
+    `Stay: ${quote.checkIn} -> ${quote.checkOut} (${quote.nights} night(s)), guests: ${quote.adults} adult(s), ${quote.children} child(ren)`,
+    ...(lines.length ? lines : ['- no room types found for these dates']),
+  ].join('\n');
+}
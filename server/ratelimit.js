@@ -0,0 +1,211 @@
+// ratelimit.js — rate limiting po IP-u / sesiji / hotelu + dnevni token budžet po hotelu (OpenAI usage)
+//
+// Store interface (pluggable, fixed window):
+//   name
+//   hit(key, { by = 1, windowMs }) -> { count, resetAt }   (prvi hit otvara prozor)
+//   get(key) -> { count, resetAt } | null
+//   prune() -> broj obrisanih (memory; redis sam istječe)
+// RATE_LIMIT_STORE: memory (default, jedna instanca) | redis (REDIS_URL; paket "ioredis" — Redis / Valkey / KeyDB)
+//
+// Limiti: "<max>/<prozor>" npr. "12/20s", "60/10m", "2000/1h"; "off" ili "0" isključuje taj scope.
+// Headeri (IETF draft): RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (sekunde), RateLimit-Policy; 429 -> Retry-After.
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "12/20s" -> { max: 12, windowMs: 20000 } ; "off" / "0" / neispravno -> null
+export function parseLimit(s) {
+  const m = String(s || '').trim().toLowerCase().match(/^(\d+)\s*\/\s*(\d*)\s*([smhd])$/);
+  if (!m || !Number(m[1])) return null;
+  return { max: Number(m[1]), windowMs: (Number(m[2]) || 1) * UNIT_MS[m[3]] };
+}
+
+// "antique-split=500000,other=0" -> { 'antique-split': 500000, other: 0 }
+export function parseBudgetByHotel(s) {
+  const out = {};
+  for (const part of String(s || '').split(',')) {
+    const [slug, n] = part.split('=').map(x => String(x || '').trim());
+    if (slug && n !== '' && Number.isFinite(Number(n)) && Number(n) >= 0) out[slug] = Number(n);
+  }
+  return out;
+}
+
+// -------------------------
+// Stores
+// -------------------------
+export function createMemoryRateLimitStore({ maxKeys = 50_000 } = {}) {
+  const map = new Map(); // key -> { count, resetAt }
+
+  return {
+    name: 'memory',
+
+    async hit(key, { by = 1, windowMs }) {
+      const now = Date.now();
+      let cur = map.get(key);
+      if (!cur || cur.resetAt <= now) {
+        cur = { count: 0, resetAt: now + windowMs };
+        map.delete(key);
+        map.set(key, cur);
+        // cap: najstariji prozori van (Map čuva redoslijed umetanja)
+        while (map.size > maxKeys) map.delete(map.keys().next().value);
+      }
+      cur.count += by;
+      return { ...cur };
+    },
+
+    async get(key) {
+      const cur = map.get(key);
+      return cur && cur.resetAt > Date.now() ? { ...cur } : null;
+    },
+
+    async prune() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [key, cur] of map) {
+        if (cur.resetAt <= now) {
+          map.delete(key);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+
+    size: () => map.size,
+  };
+}
+
+// INCRBY + PEXPIRE samo za novi prozor, atomski (radi i na Redis-kompatibilnim serverima bez PEXPIRE NX)
+const HIT_SCRIPT = `
+local c = redis.call('INCRBY', KEYS[1], ARGV[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then redis.call('PEXPIRE', KEYS[1], ARGV[2]); ttl = tonumber(ARGV[2]) end
+return { c, ttl }`;
+
+export function createRedisRateLimitStore({ url, prefix = 'olly:rl:' }) {
+  if (!url) throw new Error('RATE_LIMIT_STORE=redis requires REDIS_URL');
+  let client = null;
+
+  async function getClient() {
+    if (client) return client;
+    // ioredis nije obavezna ovisnost — treba samo za redis store
+    const mod = await import('ioredis').catch(() => {
+      throw new Error('RATE_LIMIT_STORE=redis requires the "ioredis" package (npm i ioredis)');
+    });
+    const Redis = mod.default || mod.Redis || mod;
+    client = new Redis(url, { maxRetriesPerRequest: 2, enableOfflineQueue: false });
+    client.on('error', e => console.error('redis rate limit error:', e?.message || e));
+    return client;
+  }
+
+  return {
+    name: 'redis',
+
+    async hit(key, { by = 1, windowMs }) {
+      const r = await getClient();
+      const [count, ttl] = await r.eval(HIT_SCRIPT, 1, prefix + key, by, windowMs);
+      return { count: Number(count), resetAt: Date.now() + Number(ttl) };
+    },
+
+    async get(key) {
+      const r = await getClient();
+      const [count, ttl] = await r.multi().get(prefix + key).pttl(prefix + key).exec().then(rows => rows.map(x => x[1]));
+      return count == null ? null : { count: Number(count), resetAt: Date.now() + Math.max(0, Number(ttl)) };
+    },
+
+    async prune() {
+      return 0;
+    },
+
+    size: () => null,
+  };
+}
+
+export function createRateLimitStoreFromEnv(kind = 'memory', env = process.env) {
+  const k = String(kind || 'memory').toLowerCase();
+  if (k === 'memory') return createMemoryRateLimitStore();
+  if (k === 'redis') return createRedisRateLimitStore({ url: env.REDIS_URL, prefix: env.RATE_LIMIT_PREFIX || 'olly:rl:' });
+  throw new Error(`Unknown RATE_LIMIT_STORE "${kind}"`);
+}
+
+// -------------------------
+// Limiter: svaki scope (ip / session / hotel) ima svoj prozor; vraća najstroži rezultat
+// -------------------------
+export function createRateLimiter({ store, limits = {} }) {
+  const scopes = Object.entries(limits).filter(([, l]) => l);
+
+  // store nedostupan (redis pao) -> fail open, samo log
+  async function check(ids = {}) {
+    const results = [];
+    for (const [scope, limit] of scopes) {
+      const id = ids[scope];
+      if (!id) continue;
+      try {
+        const { count, resetAt } = await store.hit(`${scope}:${id}`, { windowMs: limit.windowMs });
+        results.push({ scope, limit: limit.max, windowMs: limit.windowMs, remaining: Math.max(0, limit.max - count), resetAt, limited: count > limit.max });
+      } catch (e) {
+        console.error(`rate limit store error (${scope}):`, e?.message || e);
+      }
+    }
+    if (!results.length) return { limited: false, scope: null };
+
+    const limited = results.find(r => r.limited);
+    return limited || results.sort((a, b) => a.remaining - b.remaining || a.resetAt - b.resetAt)[0];
+  }
+
+  return { check, scopes: scopes.map(([scope, l]) => ({ scope, ...l })) };
+}
+
+export function setRateLimitHeaders(res, rl) {
+  if (!rl?.scope) return;
+  const resetSec = Math.max(0, Math.ceil((rl.resetAt - Date.now()) / 1000));
+  res.set({
+    'RateLimit-Limit': String(rl.limit),
+    'RateLimit-Remaining': String(rl.remaining),
+    'RateLimit-Reset': String(resetSec),
+    'RateLimit-Policy': `${rl.limit};w=${Math.round(rl.windowMs / 1000)}`,
+  });
+  if (rl.limited) res.set('Retry-After', String(resetSec));
+}
+
+export const retryAfterSeconds = rl => Math.max(1, Math.ceil(((rl?.resetAt || Date.now()) - Date.now()) / 1000));
+
+// -------------------------
+// Dnevni token budžet po hotelu (UTC dan); 0 / bez limita = neograničeno
+// -------------------------
+const msUntilUtcMidnight = (now = new Date()) => {
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return next - now.getTime();
+};
+
+export function createTokenBudget({ store, dailyTokens = 0, byHotel = {} }) {
+  const limitFor = hotelSlug => byHotel[hotelSlug] ?? dailyTokens;
+  const keyFor = hotelSlug => `tokens:${hotelSlug}:${new Date().toISOString().slice(0, 10)}`;
+
+  async function add(hotelSlug, tokens) {
+    const n = Math.round(Number(tokens) || 0);
+    if (!hotelSlug || n <= 0) return;
+    try {
+      await store.hit(keyFor(hotelSlug), { by: n, windowMs: msUntilUtcMidnight() + 60 * 60 * 1000 });
+    } catch (e) {
+      console.error('token budget store error:', e?.message || e);
+    }
+  }
+
+  async function status(hotelSlug) {
+    const limit = limitFor(hotelSlug);
+    let used = 0;
+    try {
+      used = (await store.get(keyFor(hotelSlug)))?.count || 0;
+    } catch (e) {
+      console.error('token budget store error:', e?.message || e);
+    }
+    return {
+      limit: limit || null,
+      used,
+      remaining: limit ? Math.max(0, limit - used) : null,
+      exhausted: Boolean(limit) && used >= limit,
+      resetAt: new Date(Date.now() + msUntilUtcMidnight()).toISOString(),
+    };
+  }
+
+  return { add, status, limitFor };
+}
@@ -0,0 +1,149 @@
+// retrieval.js — semantički retrieval iz vector storea (scoped na hotel slug + WEB)
+// Backendi: OpenAI vector store (produkcija) i lokalni in-process indeks (testovi / offline)
+import fs from 'node:fs/promises';
+import { tokenize } from './router.js';
+
+// -------------------------
+// Helpers
+// -------------------------
+// isti tokenizer kao router, bez jednoslovnih tokena (šum u TF-IDF indeksu)
+const indexTerms = s => tokenize(s).filter(x => x.length >= 2);
+
+// hotel-specifični dokumenti + zajednički (city-wide) dokumenti bez slug-a
+function docInScope(doc, { hotelSlug, source }) {
+  const slug = String(doc.hotelSlug || '');
+  if (slug && slug !== String(hotelSlug || '')) return false;
+  if (source === 'WEB' && doc.web === false) return false;
+  return true;
+}
+
+function toChunk({ recordId, type, title, text, score, hotelSlug, fileId = null }) {
+  return {
+    recordId: recordId || null,
+    type: type || 'unknown',
+    title: title || '',
+    text: text || '',
+    score: Math.round(Number(score || 0) * 1000) / 1000,
+    hotelSlug: hotelSlug || '',
+    fileId,
+  };
+}
+
+// -------------------------
+// OpenAI vector store
+// -------------------------
+export function createOpenAIVectorStore({ openai, vectorStoreId }) {
+  if (!vectorStoreId) throw new Error('Missing vectorStoreId');
+
+  async function search(query, { hotelSlug, source = 'WEB', topK = 4, minScore = 0 } = {}) {
+    const q = String(query || '').trim();
+    if (!q) return [];
+
+    const scopeFilters = [
+      { type: 'or', filters: [
+        { type: 'eq', key: 'hotel_slug', value: String(hotelSlug || '') },
+        { type: 'eq', key: 'hotel_slug', value: '' },
+      ] },
+    ];
+    if (source === 'WEB') scopeFilters.push({ type: 'eq', key: 'web', value: true });
+
+    const page = await openai.vectorStores.search(vectorStoreId, {
+      query: q,
+      max_num_results: Math.min(50, Math.max(1, topK)),
+      filters: { type: 'and', filters: scopeFilters },
+      rewrite_query: false,
+    });
+
+    return (page.data || [])
+      .filter(r => r.score >= minScore)
+      .map(r => {
+        const a = r.attributes || {};
+        return toChunk({
+          recordId: a.record_id,
+          type: a.type,
+          title: a.title || r.filename,
+          text: (r.content || []).filter(c => c.type === 'text').map(c => c.text).join('\n'),
+          score: r.score,
+          hotelSlug: a.hotel_slug,
+          fileId: r.file_id,
+        });
+      });
+  }
+
+  return { name: 'openai', search };
+}
+
+// -------------------------
+// Lokalni indeks (TF-IDF cosine) — isti oblik dokumenata kao sync/airtable_fetch.js
+// -------------------------
+export function createLocalVectorStore({ documents = [] } = {}) {
+  let entries = [];
+  let idf = new Map();
+
+  function rebuild(docs) {
+    const df = new Map();
+    const tokenized = docs.map(d => {
+      const toks = indexTerms(`${d.title || ''} ${d.text || ''}`);
+      for (const t of new Set(toks)) df.set(t, (df.get(t) || 0) + 1);
+      return { doc: d, toks };
+    });
+
+    const n = Math.max(1, docs.length);
+    idf = new Map(Array.from(df, ([t, c]) => [t, Math.log(1 + n / c)]));
+    entries = tokenized.map(({ doc, toks }) => ({ doc, vec: weigh(toks) }));
+  }
+
+  function weigh(toks) {
+    const tf = new Map();
+    for (const t of toks) tf.set(t, (tf.get(t) || 0) + 1);
+    const vec = new Map();
+    let norm = 0;
+    for (const [t, c] of tf) {
+      const w = c * (idf.get(t) || 0);
+      if (!w) continue;
+      vec.set(t, w);
+      norm += w * w;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [t, w] of vec) vec.set(t, w / norm);
+    return vec;
+  }
+
+  function cosine(a, b) {
+    let s = 0;
+    const [small, big] = a.size < b.size ? [a, b] : [b, a];
+    for (const [t, w] of small) s += w * (big.get(t) || 0);
+    return s;
+  }
+
+  async function search(query, { hotelSlug, source = 'WEB', topK = 4, minScore = 0 } = {}) {
+    const qVec = weigh(indexTerms(query));
+    if (!qVec.size) return [];
+
+    return entries
+      .filter(e => e.doc.active !== false && docInScope(e.doc, { hotelSlug, source }))
+      .map(e => ({ e, score: cosine(qVec, e.vec) }))
+      .filter(x => x.score > 0 && x.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map(({ e, score }) => toChunk({ ...e.doc, score }));
+  }
+
+  function setDocuments(docs) {
+    rebuild(Array.isArray(docs) ? docs : []);
+  }
+
+  rebuild(documents);
+  return { name: 'local', search, setDocuments, size: () => entries.length };
+}
+
+export async function loadLocalDocuments(file) {
+  try {
+    const raw = await fs.readFile(file, 'utf8');
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : (parsed.docs || []);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+}
@@ -0,0 +1,230 @@
+// router.js — routing pitanja: intent router (pre-router -> LLM -> heuristika) + heuristike za hard stop
+//
+// Bez I/O i bez env-a: server.js injektira LLM klijent, a scripts/eval_router.js vrti isti
+// pipeline offline sa stubom nad eval/router/cases.jsonl. Promjena pravila ovdje -> `npm run eval-router`.
+// Deterministički odgovori (kontakt, sobe, kreveti...) su deklarativna pravila u rules.js.
+import { normalizeText } from './utils.js';
+
+// -------------------------
+// Helpers / heuristike
+// -------------------------
+export function tokenize(s) {
+  const t = normalizeText(s);
+  if (!t) return [];
+  return t.split(/\s+/).filter(Boolean);
+}
+
+// ✅ hotel-specific heuristika (da možemo hard-stop kad nema podataka)
+export function isHotelSpecificQuestion(question) {
+  const q = normalizeText(question);
+  const keys = [
+    'recepcija','reception','wifi','wi fi','internet','parking','parkiranje','doručak','breakfast',
+    'mini bar','minibar','check in','check-out','checkout','checkin','policy','pravila','pet','dog',
+    'laundry','dry cleaning','cleaning','housekeeping','room','rooms','soba','sobe','bed','krevet',
+    'view','pogled','floor','kat','size','kvadratura','capacity','kapacitet',
+    'amenities','oprema','sadržaj',
+    'transfer','airport','zračna luka','zracna luka','taxi','uber','directions','how to get','dolazak',
+    'invoice','račun','r1','city tax','tourist tax','boravišna','boravisna'
+  ];
+  return keys.some(k => q.includes(k));
+}
+
+export function isCityQuestion(question) {
+  const q = normalizeText(question);
+  return q.includes('split') || q.includes('dioklecijan') || q.includes('palač') || q.includes('palace') || q.includes('peristil');
+}
+
+// -------------------------
+// Intent router (samo routing)
+// + heuristic fallback ako je confidence nizak ili null intent
+// + pre-router (deterministički) za “kritične” keyworde da ne ode u krive recorde
+// -------------------------
+export function tokensWithSynonyms(question) {
+  const t = tokenize(question);
+  const extra = [];
+  const q = normalizeText(question);
+
+  const add = (...arr) => extra.push(...arr);
+
+  if (q.includes('check in') || q.includes('checkin') || q.includes('prijava')) add('checkin', 'arrival', 'prijava');
+  if (q.includes('check out') || q.includes('checkout') || q.includes('odjava')) add('checkout', 'departure', 'odjava');
+  if (q.includes('wifi') || q.includes('wi fi') || q.includes('internet')) add('wifi', 'internet', 'password', 'lozinka');
+  if (q.includes('parking') || q.includes('parkiranje') || q.includes('rampa') || q.includes('gate')) add('parking', 'rampa', 'gate', 'ramp');
+  if (q.includes('breakfast') || q.includes('doručak') || q.includes('dorucak')) add('breakfast', 'doručak', 'menu', 'vrijeme');
+  if (q.includes('amenities') || q.includes('oprema') || q.includes('sadržaj') || q.includes('sadrzaj')) add('amenities', 'oprema', 'sadržaj');
+  // ✅ FIX: ovdje je ok da dodamo "king" kao token, ali samo ako user stvarno ima riječ "king" u pitanju.
+  // q.includes('king') je substring; koristimo tokene.
+  const toks = tokenize(question);
+  if (toks.includes('twin') || toks.includes('king') || toks.includes('bed') || toks.includes('krevet') || toks.includes('kreveti') || normalizeText(question).includes('king size')) {
+    add('bed', 'krevet', 'twin', 'king');
+  }
+  if (q.includes('minibar') || q.includes('mini bar')) add('minibar', 'mini bar', 'price list');
+  if (q.includes('transfer') || q.includes('airport') || q.includes('zračna') || q.includes('zracna')) add('transfer', 'airport', 'pickup', 'shuttle');
+  if (q.includes('laundry') || q.includes('washing') || q.includes('dry cleaning') || q.includes('pras')) add('laundry', 'washing', 'dry cleaning');
+  if (q.includes('smoking') || q.includes('smoke') || q.includes('pušen')) add('smoking', 'non smoking', 'smoke');
+  if (q.includes('taxi') || q.includes('uber')) add('taxi', 'uber', 'drop off');
+  if (q.includes('directions') || q.includes('how to get') || q.includes('upute') || q.includes('dolazak')) add('directions', 'arrival', 'how to get');
+
+  return Array.from(new Set([...t, ...extra].map(String).filter(Boolean)));
+}
+
+function findPatternByKeyword(patterns, keywords = []) {
+  const keys = keywords.map(k => normalizeText(k)).filter(Boolean);
+  if (!keys.length) return null;
+
+  let best = null;
+  let bestScore = 0;
+
+  for (const p of patterns || []) {
+    const hay = normalizeText(`${p.intent || ''} ${p.phrases || ''}`);
+    let s = 0;
+    for (const k of keys) {
+      if (k.length < 3) continue;
+      if (hay.includes(k)) s += 1;
+    }
+    if (s > bestScore) {
+      bestScore = s;
+      best = p;
+    }
+  }
+  return bestScore >= 1 ? best : null;
+}
+
+// ✅ pre-router: ako je pitanje “parking / smoking / minibar / breakfast / transfer / taxi / directions / tax / R1”
+// prvo pokušaj pogoditi intent bez GPT-a (da ne ode u SOBE)
+export function preRouteIntent(question, patterns) {
+  const q = normalizeText(question);
+
+  const buckets = [
+    { keys: ['parking', 'parkiranje', 'rampa', 'gate', 'drop off', 'drop-off'], note: 'pre_router_parking' },
+    { keys: ['smoking', 'non smoking', 'smoke', 'pušenje', 'pusenje'], note: 'pre_router_smoking' },
+    { keys: ['minibar', 'mini bar', 'price list', 'cjenik'], note: 'pre_router_minibar' },
+    { keys: ['breakfast', 'doručak', 'dorucak', 'buffet', 'a la carte', 'kids breakfast'], note: 'pre_router_breakfast' },
+    { keys: ['transfer', 'airport', 'zračna luka', 'zracna luka', 'pickup', 'shuttle'], note: 'pre_router_transfer' },
+    { keys: ['taxi', 'uber'], note: 'pre_router_taxi_uber' },
+    { keys: ['directions', 'how to get', 'upute', 'dolazak', 'arrival guidance'], note: 'pre_router_directions' },
+    { keys: ['city tax', 'tourist tax', 'boravišna', 'boravisna', 'tax'], note: 'pre_router_city_tax' },
+    { keys: ['r1', 'invoice', 'račun', 'racun'], note: 'pre_router_invoice' },
+  ];
+
+  for (const b of buckets) {
+    if (!b.keys.some(k => q.includes(normalizeText(k)))) continue;
+    const p = findPatternByKeyword(patterns, b.keys);
+    if (p?.intent) {
+      return { intent: p.intent, confidence: 0.92, outputScope: p.outputScope || 'General', note: b.note };
+    }
+  }
+
+  return null;
+}
+
+export function heuristicChooseIntent(question, patterns) {
+  const qTokens = tokensWithSynonyms(question);
+  if (!qTokens.length) return { intent: null, confidence: 0, outputScope: 'General', note: 'heuristic_no_tokens' };
+
+  let best = { intent: null, score: 0, outputScope: 'General' };
+
+  for (const p of patterns) {
+    const phrases = String(p.phrases || '');
+    const hay = normalizeText(`${p.intent} ${phrases}`);
+    let score = 0;
+
+    for (const t of qTokens) {
+      if (t.length < 3) continue;
+      if (hay.includes(t)) score += 1;
+    }
+
+    // mala prednost ako intent “ključna riječ” direktno postoji
+    if (p.intent && normalizeText(p.intent).includes(qTokens[0] || '')) score += 0.25;
+
+    if (score > best.score) best = { intent: p.intent, score, outputScope: p.outputScope || 'General' };
+  }
+
+  if (best.score >= 2) {
+    return { intent: best.intent, confidence: Math.min(0.85, 0.55 + best.score * 0.05), outputScope: best.outputScope, note: 'heuristic_match' };
+  }
+  return { intent: null, confidence: 0, outputScope: 'General', note: 'heuristic_no_match' };
+}
+
+// follow-up bez vlastitog intenta -> nastavi s intentom prethodnog turna
+export function carryOverIntent(previousIntent, patterns) {
+  const p = previousIntent ? patterns.find(x => String(x.intent) === String(previousIntent)) : null;
+  if (!p) return null;
+  return { intent: p.intent, confidence: 0.5, outputScope: p.outputScope || 'General', note: 'history_carry_over' };
+}
+
+// ✅ LLM je injektiran (provider iz llm/index.js: chat({ model, messages, json })) -> eval koristi stub backend
+// heuristicOnly = bez GPT-a (npr. potrošen token / cost budžet hotela); onUsage(resp.usage, { model }) za brojanje tokena
+export function createIntentRouter({ llm, model }) {
+  async function chooseIntent(question, patterns, { history = [], previousIntent = null, heuristicOnly = false, onUsage = null } = {}) {
+    if (!patterns.length) return { intent: null, confidence: 0, note: 'no_patterns', outputScope: 'General' };
+
+    // ✅ pre-router (deterministički) prije GPT-a
+    const pre = preRouteIntent(question, patterns);
+    if (pre?.intent) return pre;
+
+    if (heuristicOnly) {
+      const h = heuristicChooseIntent(question, patterns);
+      if (h.intent) return h;
+      return carryOverIntent(previousIntent, patterns) || { intent: null, confidence: 0, outputScope: 'General', note: 'heuristic_only' };
+    }
+
+    const validIntents = new Set(patterns.map(p => String(p.intent)));
+
+    const compact = patterns.map(p => ({
+      intent: p.intent,
+      phrases: (p.phrases || '').slice(0, 240),
+      outputScope: p.outputScope || 'General',
+    }));
+
+    const sys = `You are an intent router for a HOTEL WEB CHAT WIDGET.
+  Pick exactly one intent from the provided list if it clearly matches the user's question.
+  Use the conversation history (if any) only to resolve references like "it" or "that one".
+  If none match, return null.
+  Return JSON only with keys: intent, confidence (0-1), outputScope, note.`;
+
+    const payload = { question, intents: compact };
+    if (history.length) payload.history = history.slice(-4);
+
+    try {
+      const resp = await llm.chat({
+        model,
+        messages: [
+          { role: 'system', content: sys },
+          { role: 'user', content: JSON.stringify(payload) },
+        ],
+        json: true,
+      });
+      onUsage?.(resp.usage, { model: resp.model });
+
+      const raw = resp.content || '{}';
+      const parsed = JSON.parse(raw);
+
+      let intent = (typeof parsed.intent === 'string' && parsed.intent.trim()) ? parsed.intent.trim() : null;
+      const confidence = Number(parsed.confidence ?? 0);
+      const outputScope = (typeof parsed.outputScope === 'string' && parsed.outputScope.trim()) ? parsed.outputScope.trim() : 'General';
+
+      if (intent && !validIntents.has(intent)) intent = null;
+
+      // Heuristic fallback ako je “mlitavo”
+      if (!intent || confidence < 0.35) {
+        const h = heuristicChooseIntent(question, patterns);
+        if (h.intent) return h;
+        const carried = !intent ? carryOverIntent(previousIntent, patterns) : null;
+        if (carried) return carried;
+      }
+
+      return { intent, confidence, outputScope, note: parsed.note || '' };
+    } catch (e) {
+      console.error('chooseIntent error:', e);
+      // fallback heuristic (bez OpenAI)
+      const h = heuristicChooseIntent(question, patterns);
+      if (h.intent) return h;
+      const carried = carryOverIntent(previousIntent, patterns);
+      if (carried) return carried;
+      return { intent: null, confidence: 0, outputScope: 'General', note: 'intent_router_failed' };
+    }
+  }
+
+  return { chooseIntent };
+}
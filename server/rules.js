@@ -0,0 +1,277 @@
+// rules.js — deterministički odgovori kao deklarativna pravila (registry) umjesto if-lanca u runWebAsk
+//
+// Pravilo: { id, priority, needs, renderer, keywords: { <LANG>: { <grupa>: [...] } }, match? }
+//   keywords  po jeziku radi preglednosti; matchira se UNIJA jezika (gosti miješaju jezike),
+//             grupe istog imena se spajaju ("rooms" iz HR + EN)
+//   match     { any: [grupe] (substring), words: [grupe] (cijela riječ), allOf: [[grupe], ...] (sve grupe
+//             iz barem jedne kombinacije), not: [grupe] (substring pogodak gasi pravilo) }
+//             — bez `match` okida bilo koja grupa (substring)
+//   needs     podaci koje renderer čita: hotel | rooms | services | service. `service` = konkretan SERVICES
+//             record (po serviceLink ID-u ili `service` ključnim riječima); ako ga hotel nema, pravilo ne okida
+//   renderer  ime renderera; generički su ovdje (service_hours, service_info, static), hotel/sobe registrira server.js.
+//             Renderer vraća { answer, usedRecords?, blocks? } ili null (-> probaj sljedeće pravilo); blocks vidi blocks.js
+//
+// Airtable tablica AI_ANSWER_RULES (mapping: answerRules), po hotelu (prazan Hotel Slug = svi hoteli):
+//   Rule ID ugrađenog pravila -> Disabled / Priority / Keywords <LANG> (dodatni okidači) ga mijenjaju
+//                                (checkbox "Disabled", jer Airtable ne šalje neoznačene checkboxe — prazan
+//                                Disabled nasljeđuje globalni red / ugrađeno pravilo, ne uključuje ga ponovno)
+//   novi Rule ID               -> novo pravilo (Renderer + Keywords <LANG> + Service ili Answer)
+// Provjera okidača offline: npm run eval-router
+import { asArray, normalizeText, pickFirstNonEmpty } from './utils.js';
+import { tokenize } from './router.js';
+import { SUPPORTED_LANGS, t } from './i18n.js';
+
+// -------------------------
+// Ugrađena pravila (redoslijed = priority, veći prvi)
+// -------------------------
+export const BUILTIN_RULES = [
+  {
+    // 'tel' / 'call' samo kao cijela riječ ("hotel", "recall"); pitanje o prtljazi nakon check outa nije kontakt
+    id: 'hotel_core',
+    priority: 100,
+    needs: ['hotel'],
+    renderer: 'hotel_core',
+    keywords: {
+      EN: {
+        contact: [
+          'contact', 'phone', 'email', 'e mail', 'reach', 'reception', 'address', 'google maps', 'maps',
+          'instagram', 'review', 'check in', 'checkin', 'check out', 'checkout', 'arrival time', 'departure time',
+        ],
+        call: ['tel', 'call'],
+        luggage: ['luggage', 'baggage'],
+      },
+      HR: { contact: ['kontakt', 'telefon', 'recepc', 'adresa'], luggage: ['prtljag'] },
+    },
+    match: { any: ['contact'], words: ['call'], not: ['luggage'] },
+  },
+  {
+    id: 'room_types',
+    priority: 90,
+    needs: ['rooms'],
+    renderer: 'room_types',
+    keywords: {
+      EN: { phrase: ['room types', 'types of rooms'], rooms: ['rooms', 'room'], types: ['types', 'type'] },
+      HR: { phrase: ['vrste soba', 'tipovi soba'], rooms: ['soba'], types: ['vrste', 'tip'] },
+    },
+    match: { any: ['phrase'], allOf: [['rooms', 'types']] },
+  },
+  {
+    id: 'rooms_by_view',
+    priority: 80,
+    needs: ['rooms'],
+    renderer: 'rooms_by_view',
+    keywords: {
+      EN: { view: ['view'], which: ['which rooms', 'which room'], landmark: ['unesco', 'palace', 'peristil', 'cathedral'] },
+      HR: { view: ['pogled'], which: ['koje sobe', 'koja soba'], landmark: ['palač', 'katedr'] },
+    },
+    match: { allOf: [['view', 'which'], ['view', 'landmark'], ['which', 'landmark']] },
+  },
+  {
+    id: 'room_amenities',
+    priority: 70,
+    needs: ['rooms'],
+    renderer: 'room_amenities',
+    keywords: {
+      EN: { amenities: ['amenities', 'amenity', 'what is in the room'], room: ['room', 'rooms', 'deluxe', 'superior', 'standard', 'comfort'] },
+      HR: { amenities: ['sadržaj', 'oprema'], room: ['soba', 'sobe'] },
+    },
+    match: { allOf: [['amenities', 'room']] },
+  },
+  {
+    // ✅ FIX: "parking" sadrži "king" -> king/twin/bed/krevet su cijele riječi (words), samo "king size" je fraza
+    id: 'bed_types',
+    priority: 60,
+    needs: ['rooms'],
+    renderer: 'bed_types',
+    keywords: {
+      EN: { bed: ['king', 'twin', 'bed', 'beds'], phrase: ['king size'] },
+      HR: { bed: ['krevet', 'kreveti'] },
+    },
+    match: { words: ['bed'], any: ['phrase'] },
+  },
+  {
+    id: 'room_difference',
+    priority: 50,
+    needs: ['rooms'],
+    renderer: 'room_difference',
+    keywords: {
+      EN: { compare: ['difference', 'compare', 'vs', 'versus'] },
+      HR: { compare: ['razlika', 'usporedi'] },
+    },
+  },
+  {
+    // radno vrijeme doručka direktno iz SERVICES recorda (bez GPT-a); nema recorda / radnog vremena -> LLM
+    id: 'breakfast_hours',
+    priority: 40,
+    needs: ['service'],
+    renderer: 'service_hours',
+    service: ['breakfast', 'doručak', 'dorucak'],
+    keywords: {
+      EN: { meal: ['breakfast'], when: ['what time', 'when', 'hours', 'until', 'served', 'open'] },
+      HR: { meal: ['doručak', 'dorucak'], when: ['kada', 'u koliko', 'sati', 'vrijeme', 'do kad'] },
+      DE: { meal: ['frühstück'], when: ['wann', 'uhr', 'zeiten'] },
+      IT: { meal: ['colazione'], when: ['quando', 'orario', 'che ora'] },
+      FR: { meal: ['petit déjeuner'], when: ['quelle heure', 'quand', 'horaires'] },
+      ES: { meal: ['desayuno'], when: ['qué hora', 'que hora', 'cuándo', 'cuando', 'horario'] },
+    },
+    match: { allOf: [['meal', 'when']] },
+  },
+];
+
+// -------------------------
+// Generički rendereri (samo podaci iz recorda)
+// -------------------------
+const recordRef = r => ({ type: r.type || 'SERVICE', naziv: r.naziv, id: r.id });
+
+export const GENERIC_RENDERERS = {
+  service_hours: ({ service, lang }) => {
+    if (!service?.radnoVrijeme) return null;
+    return {
+      answer: t(lang, 'rules.serviceHours', { name: service.naziv || '', hours: service.radnoVrijeme }),
+      usedRecords: [recordRef(service)],
+    };
+  },
+
+  service_info: ({ service, lang }) => {
+    const lines = [service.naziv, service.opis, service.radnoVrijeme ? t(lang, 'rules.hours', { hours: service.radnoVrijeme }) : '']
+      .map(s => String(s || '').trim())
+      .filter(Boolean);
+    return lines.length > 1 ? { answer: lines.join('\n'), usedRecords: [recordRef(service)] } : null;
+  },
+
+  static: ({ rule }) => (rule.answer ? { answer: rule.answer } : null),
+};
+
+const GENERIC_NEEDS = { service_hours: ['service'], service_info: ['service'], static: [] };
+
+// -------------------------
+// Airtable redovi -> efektivni set pravila za hotel
+// -------------------------
+const splitKeywords = s => String(s || '').split(/[,;\n]/).map(x => x.trim()).filter(Boolean);
+
+// Keywords <LANG> stupci -> grupa `extra` (za ugrađena pravila dodatni okidač, za nova jedini)
+function keywordsFromRow(row) {
+  const out = {};
+  for (const lang of SUPPORTED_LANGS) {
+    const list = splitKeywords(row[`keywords${lang}`]);
+    if (list.length) out[lang] = { extra: list };
+  }
+  return out;
+}
+
+function applyRow(base, row) {
+  const extra = keywordsFromRow(row);
+  const keywords = { ...(base?.keywords || {}) };
+  for (const [lang, groups] of Object.entries(extra)) {
+    keywords[lang] = { ...(keywords[lang] || {}), extra: [...(keywords[lang]?.extra || []), ...groups.extra] };
+  }
+
+  const renderer = pickFirstNonEmpty(row.renderer, base?.renderer) || null;
+  const priority = Number(row.priority);
+  const needs = asArray(row.needs).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+
+  return {
+    ...(base || { id: row.ruleId }),
+    keywords,
+    match: base?.match ? { ...base.match, any: [...(base.match.any || []), 'extra'] } : base?.match,
+    enabled: row.disabled == null ? base?.enabled !== false : row.disabled !== true,
+    priority: row.priority != null && row.priority !== '' && Number.isFinite(priority) ? priority : (base?.priority ?? 0),
+    renderer,
+    needs: needs.length ? needs : base?.needs || GENERIC_NEEDS[renderer] || [],
+    serviceLink: asArray(row.serviceLink).length ? asArray(row.serviceLink).map(String) : base?.serviceLink || [],
+    answer: pickFirstNonEmpty(row.answer, base?.answer) || null,
+    source: !base ? 'airtable' : base.source.endsWith('airtable') ? base.source : `${base.source}+airtable`,
+    recordId: row.id || base?.recordId || null,
+  };
+}
+
+function compileRule(rule) {
+  const groups = {};
+  for (const perLang of Object.values(rule.keywords || {})) {
+    for (const [name, list] of Object.entries(perLang || {})) {
+      groups[name] = [...(groups[name] || []), ...asArray(list).map(normalizeText).filter(Boolean)];
+    }
+  }
+  return { ...rule, groups };
+}
+
+const rowSlugs = row => asArray(row.hotelSlugRaw).map(x => String(x).trim()).filter(Boolean);
+
+// ugrađena <- globalni redovi (bez sluga) <- redovi hotela
+export function buildRuleSet(rows = [], hotelSlug = null) {
+  const byId = new Map(BUILTIN_RULES.map(r => [r.id, { ...r, source: 'builtin' }]));
+
+  const relevant = rows
+    .filter(r => r?.ruleId)
+    .filter(r => !rowSlugs(r).length || rowSlugs(r).includes(String(hotelSlug)))
+    .sort((a, b) => rowSlugs(a).length - rowSlugs(b).length);
+
+  for (const row of relevant) byId.set(row.ruleId, applyRow(byId.get(row.ruleId), row));
+
+  return [...byId.values()]
+    .filter(r => r.enabled !== false && r.renderer)
+    .map(compileRule)
+    .sort((a, b) => b.priority - a.priority);
+}
+
+export const BUILTIN_RULE_SET = buildRuleSet();
+
+// -------------------------
+// Matching
+// -------------------------
+export function matchesRule(question, rule) {
+  const q = normalizeText(question);
+  const toks = new Set(tokenize(question));
+  const hit = g => (rule.groups[g] || []).some(k => q.includes(k));
+  const word = g => (rule.groups[g] || []).some(k => toks.has(k));
+
+  const m = rule.match;
+  if (!m) return Object.keys(rule.groups).some(hit);
+  if ((m.not || []).some(hit)) return false;
+  return (m.any || []).some(hit) || (m.words || []).some(word) || (m.allOf || []).some(combo => combo.every(hit));
+}
+
+// prvo pravilo čiji okidač pogađa (bez podataka hotela) — za eval / debug
+export function firstMatchingRule(question, ruleSet = BUILTIN_RULE_SET) {
+  return ruleSet.find(r => matchesRule(question, r)) || null;
+}
+
+// SERVICES record za pravilo: serviceLink ID > `service` ključne riječi u nazivu / kategoriji / AI_INTENT
+function findRuleService(rule, services = []) {
+  const ids = asArray(rule.serviceLink).map(String);
+  if (ids.length) return services.find(s => ids.includes(String(s.id))) || null;
+
+  const keys = asArray(rule.service).map(normalizeText).filter(Boolean);
+  if (!keys.length) return null;
+  return services.find(s => {
+    const hay = normalizeText(`${s.naziv || ''} ${asArray(s.kategorija).join(' ')} ${asArray(s.aiIntent).join(' ')}`);
+    return keys.some(k => hay.includes(k));
+  }) || null;
+}
+
+// -------------------------
+// Engine
+// -------------------------
+export function createRuleEngine({ renderers = {} } = {}) {
+  const all = { ...GENERIC_RENDERERS, ...renderers };
+
+  // ctx: { lang, hotelRec, rooms, services }
+  function run(question, ruleSet, ctx) {
+    for (const rule of ruleSet) {
+      const render = all[rule.renderer];
+      if (!render || !matchesRule(question, rule)) continue;
+
+      let service = null;
+      if ((rule.needs || []).includes('service')) {
+        service = findRuleService(rule, ctx.services);
+        if (!service) continue;
+      }
+
+      const out = render({ ...ctx, question, rule, service });
+      if (out?.answer) return { rule, answer: out.answer, usedRecords: out.usedRecords || [], blocks: out.blocks || [] };
+    }
+    return null;
+  }
+
+  return { run, renderers: Object.keys(all) };
+}
@@ -1,34 +1,135 @@
 // server.js — AI OLLY HUB (WEB widget only)
-// Endpoints: /api/health, /api/debug, /api/web-ask
+// Endpoints: /api/health, /api/debug, /api/web-ask, /api/web-ask/stream (SSE), /api/web-ask/feedback, /api/widget/bootstrap, /api/handoff, /api/booking*, /api/admin/cache*, /api/airtable/webhook
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import Airtable from 'airtable';
-import OpenAI from 'openai';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createOpenAIVectorStore, createLocalVectorStore, loadLocalDocuments } from './retrieval.js';
+import { resolveVectorStoreId } from '../sync/vector_store_config.js';
+import { createSessionManager, createSessionStoreFromEnv } from './sessions.js';
+import { detectLang, normalizeLang, t, LANG_NAMES, SUPPORTED_LANGS } from './i18n.js';
+import { createDataSourceFromEnv, airtableTableNames } from './datasource/index.js';
+import { pickFirstNonEmpty, asArray, isEmptyArray, fieldHasAny, normalizeText } from './utils.js';
+import { createCache, cacheKey, parseTtlByTable } from './cache.js';
+import { createAnswerCache } from './answer_cache.js';
+import { createAdminRouter } from './admin.js';
+import { createConversationLog } from './conversation_log.js';
+import { createAnswerIndex, createFeedbackStore, newAnswerId, isAnswerId, normalizeRating } from './feedback.js';
+import { tokenize, tokensWithSynonyms, isHotelSpecificQuestion, isCityQuestion, createIntentRouter } from './router.js';
+import { buildRuleSet, createRuleEngine } from './rules.js';
+import { createTicketStore, isHumanHandoffRequest, normalizeContact, isTicketId, publicTicket, ticketMessage } from './handoff.js';
+import { createNotifierFromEnv } from './notify.js';
+import { createBookingStore, isBookingId, isBookingRequest, applyBookingStep, nextBookingStep, bookingPrefill, publicBooking, bookingMessage, bookingContactText, BOOKING_STEPS } from './booking.js';
+import { suggestFollowUps } from './suggestions.js';
+import { resolveAssistant, assistantPrompt, assistantFallback, isTopicAllowed, publicAssistant } from './assistant.js';
+import { createWidgetKeyStore, createWidgetAuth } from './widget_keys.js';
+import { createRateLimitStoreFromEnv, createRateLimiter, createTokenBudget, parseLimit, parseBudgetByHotel, setRateLimitHeaders, retryAfterSeconds } from './ratelimit.js';
+import { createLlmFromEnv } from './llm/index.js';
+import { createUsageLog, createCostBudget, parseModelPrices, parseCostBudgetByHotel, DEFAULT_MODEL_PRICES } from './usage.js';
+import { createPmsFromEnv, extractStay, isAvailabilityQuestion, renderAvailabilityContext } from './pms/index.js';
+import { ROOM_FIELDS, BLOCKS_PROMPT, roomCard, comparisonTable, contactCard, listBlock, quickReplies, compactBlocks, sanitizeBlocks, blocksText, telUrl, mailtoUrl } from './blocks.js';
 
 const {
   PORT = 8080,
   OPENAI_API_KEY,
   OPENAI_MODEL = 'gpt-4o',
-
+  // LLM provider: openai | local (LLM_BASE_URL, npr. Ollama) | stub (offline / testovi) — vidi llm/index.js
+  LLM_PROVIDER = 'openai',
+  // zasebni modeli za routing (router + follow-up rewrite) i odgovore; prazno = OPENAI_MODEL
+  OPENAI_ROUTER_MODEL = '',
+  OPENAI_ANSWER_MODEL = '',
+  // Strukturirani blockovi iz LLM-a: off | json (JSON mode, samo ne-stream odgovori)
+  ANSWER_BLOCKS = 'off',
+
+  // Data source: airtable (produkcija) | fixture (lokalni JSON, bez Airtablea)
+  // (FIELD_MAPPING_FILE / FIXTURE_FILE čita datasource/index.js)
+  DATA_SOURCE = 'airtable',
   AIRTABLE_API_KEY,
   AIRTABLE_BASE_ID,
 
   HOTEL_SLUG_DEFAULT = 'antique-split',
 
-  // Airtable table names
-  TABLE_SERVICES = 'SERVICES',
-  TABLE_ROOMS = 'SOBE',
-  TABLE_HOTELS = 'HOTELI',
-  TABLE_INTENTS = 'AI_INTENT_PATTERNS',
-  TABLE_OUTPUT_RULES = 'AI_OUTPUT_RULES',
-
-  // CORS
+  // Semantic retrieval (vector store) — ID iz env-a ili iz data/vector_store.json
+  VECTOR_STORE_ID = '',
+  RETRIEVAL_BACKEND = '', // openai | local | off (default: openai ako postoji store ID)
+  RETRIEVAL_TOP_K = '4',
+  RETRIEVAL_MIN_SCORE = '0.35',
+  LOCAL_INDEX_FILE = 'data/local_index.json',
+
+  // Multi-turn sesije (web widget)
+  SESSION_STORE = 'memory',
+  SESSION_TTL_MIN = '30',
+  SESSION_MAX = '5000',
+  SESSION_MAX_TURNS = '6',
+
+  // Cache (stale-while-revalidate): TTL, per-tablica override ("services=30,rooms=300"), prozor za stale
+  CACHE_TTL_SEC = '60',
+  CACHE_TTL_BY_TABLE = '',
+  CACHE_STALE_SEC = '600',
+
+  // Answer cache (ponovljena pitanja bez routera i GPT-a): on | off, TTL, cap; SIMILARITY 0 = samo isto pitanje, npr. 0.9 = i near-duplicate
+  ANSWER_CACHE = 'on',
+  ANSWER_CACHE_TTL_MIN = '60',
+  ANSWER_CACHE_MAX = '2000',
+  ANSWER_CACHE_SIMILARITY = '0',
+
+  // Conversation log (JSONL, PII redaktiran) — izvor za /api/admin/analytics/*
+  CONVERSATION_LOG = 'on',
+  CONVERSATION_LOG_FILE = 'data/conversations.jsonl',
+  FEEDBACK_FILE = 'data/feedback.jsonl',
+
+  // Handoff recepciji: log | webhook (HANDOFF_WEBHOOK_URL) | smtp (SMTP_URL, SMTP_FROM; treba nodemailer)
+  HANDOFF_NOTIFIER = 'log',
+  HANDOFF_TICKETS_FILE = 'data/handoff_tickets.json',
+  HANDOFF_FALLBACK_EMAIL = '', // ako HOTELI record nema email recepcije
+
+  // Booking zahtjevi: notifier prazno = HANDOFF_NOTIFIER (BOOKING_WEBHOOK_URL, fallback HANDOFF_WEBHOOK_URL)
+  BOOKING_NOTIFIER = '',
+  BOOKING_FILE = 'data/booking_requests.json',
+  BOOKING_DRAFT_TTL_H = '72', // nedovršen zahtjev se može nastaviti toliko sati
+
+  // Dostupnost / cijene soba: off | file (PMS_FILE, default fixtures/pms_demo.json)
+  PMS_ADAPTER = 'off',
+
+  // Admin API (cache) + Airtable automation webhook — bez tokena/secreta isključeno
+  ADMIN_TOKEN = '',
+  AIRTABLE_WEBHOOK_SECRET = '',
+
+  // CORS (globalno) + per-hotel origini uz widget ključeve
   CORS_ORIGINS = '',
+
+  // Rate limit: store memory | redis (REDIS_URL, paket ioredis); limit "<max>/<prozor>" (20s, 5m, 1h) ili off
+  RATE_LIMIT_STORE = 'memory',
+  RATE_LIMIT_IP = '12/20s',
+  RATE_LIMIT_SESSION = '30/5m',
+  RATE_LIMIT_HOTEL = 'off',
+
+  // Dnevni OpenAI token budžet po hotelu (0 = bez limita); override "slug=tokens,slug2=tokens"
+  TOKEN_BUDGET_DAILY = '0',
+  TOKEN_BUDGET_BY_HOTEL = '',
+
+  // OpenAI potrošnja po pozivu (tokeni + trošak) -> USAGE_LOG_FILE; cijene "model=in/out" (USD / 1M tokena)
+  USAGE_LOG = 'on',
+  USAGE_LOG_FILE = 'data/usage.jsonl',
+  OPENAI_PRICES = '',
+  // Budžet troška u USD (0 = bez limita) -> heuristički routing; override "slug=dnevni/mjesečni"
+  COST_BUDGET_DAILY_USD = '0',
+  COST_BUDGET_MONTHLY_USD = '0',
+  COST_BUDGET_BY_HOTEL = '',
+
+  // Widget ključevi: off | optional | required (ključevi i origini: admin API -> WIDGET_KEYS_FILE)
+  WIDGET_KEYS = 'off',
+  WIDGET_KEYS_FILE = 'data/widget_keys.json',
 } = process.env;
 
-if (!OPENAI_API_KEY || !AIRTABLE_API_KEY || !AIRTABLE_BASE_ID) {
-  console.error('❗ Missing env vars: OPENAI_API_KEY, AIRTABLE_API_KEY, AIRTABLE_BASE_ID');
+const USE_AIRTABLE = String(DATA_SOURCE || 'airtable').toLowerCase() === 'airtable';
+
+const USE_OPENAI = String(LLM_PROVIDER || 'openai').toLowerCase() === 'openai';
+
+if ((USE_OPENAI && !OPENAI_API_KEY) || (USE_AIRTABLE && (!AIRTABLE_API_KEY || !AIRTABLE_BASE_ID))) {
+  const missing = [USE_OPENAI && 'OPENAI_API_KEY', USE_AIRTABLE && 'AIRTABLE_API_KEY', USE_AIRTABLE && 'AIRTABLE_BASE_ID'].filter(Boolean);
+  console.error(`❗ Missing env vars: ${missing.join(', ')}`);
   process.exit(1);
 }
 
@@ -49,12 +150,21 @@ const allowedOrigins = String(CORS_ORIGINS || '')
   .map(s => s.trim())
   .filter(Boolean);
 
+// CORS_ORIGINS + origini svih hotela (preflight nema ključ; per-hotel provjera je u widgetAuth)
+// bez ijedne liste -> sve dopušteno (kao prije)
+async function corsAllows(origin) {
+  if (allowedOrigins.includes(origin)) return true;
+  if (widgetAuth.mode === 'off') return !allowedOrigins.length;
+  if (await widgetKeys.isKnownOrigin(origin)) return true;
+  return !allowedOrigins.length && !(await widgetKeys.hasOrigins());
+}
+
 app.use(cors({
   origin: (origin, cb) => {
     if (!origin) return cb(null, true);
-    if (!allowedOrigins.length) return cb(null, true);
-    if (allowedOrigins.includes(origin)) return cb(null, true);
-    return cb(new Error(`CORS_BLOCKED:${origin}`));
+    corsAllows(origin)
+      .then(ok => (ok ? cb(null, true) : cb(new Error(`CORS_BLOCKED:${origin}`))))
+      .catch(cb);
   },
   credentials: false,
 }));
@@ -68,258 +178,160 @@ app.use((err, req, res, next) => {
 
 app.use(express.json({ limit: '1mb' }));
 
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+const llm = await createLlmFromEnv(LLM_PROVIDER);
+const ROUTER_MODEL = OPENAI_ROUTER_MODEL || OPENAI_MODEL;
+const ANSWER_MODEL = OPENAI_ANSWER_MODEL || OPENAI_MODEL;
+const intentRouter = createIntentRouter({ llm, model: ROUTER_MODEL });
 
-Airtable.configure({ apiKey: AIRTABLE_API_KEY });
-const base = Airtable.base(AIRTABLE_BASE_ID);
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
 
 // -------------------------
-// Helpers
+// Widget ključevi (ključ -> jedan hotel + njegovi origini); widget rute prolaze kroz widgetAuth
 // -------------------------
-const nowIso = () => new Date().toISOString();
-
-function pickFirstNonEmpty(...vals) {
-  for (const v of vals) {
-    if (typeof v === 'string' && v.trim()) return v.trim();
-  }
-  return '';
-}
-
-function asArray(v) {
-  if (!v) return [];
-  if (Array.isArray(v)) return v;
-  return [v];
-}
-
-function isEmptyArray(v) {
-  return Array.isArray(v) && v.length === 0;
-}
+const widgetKeys = createWidgetKeyStore({ file: path.resolve(ROOT, WIDGET_KEYS_FILE) });
+const widgetAuth = createWidgetAuth({ store: widgetKeys, mode: WIDGET_KEYS });
+app.use(['/api/web-ask', '/api/handoff', '/api/booking', '/api/widget'], widgetAuth.middleware);
 
-function fieldHasAny(fieldsValue, allowed) {
-  const arr = asArray(fieldsValue).map(String);
-  const allowedSet = new Set(allowed.map(String));
-  return arr.some(v => allowedSet.has(v));
-}
-
-function clampPageSize(n) {
-  const x = Number(n);
-  if (!Number.isFinite(x)) return 50;
-  if (x < 1) return 1;
-  if (x > 100) return 100;
-  return Math.floor(x);
-}
-
-function escapeAirtableFormulaString(s) {
-  return String(s ?? '').replace(/'/g, "''");
-}
-
-async function airtableSelectAll(tableName, options = {}) {
-  const records = [];
-  const safe = { ...options };
-  safe.pageSize = clampPageSize(safe.pageSize ?? 50);
-
-  await base(tableName).select(safe).eachPage((pageRecords, fetchNextPage) => {
-    records.push(...pageRecords);
-    fetchNextPage();
-  });
+// ticket / booking / answerId iz drugog hotela se ne vidi s tuđim ključem
+const visibleToWidget = (req, hotelSlug) => !req.widget || req.widget.hotelSlug === hotelSlug;
 
-  return records;
-}
-
-async function airtableSelectFirst(tableName, options = {}) {
-  const safe = { ...options };
-  safe.pageSize = clampPageSize(safe.pageSize ?? 1);
-  safe.maxRecords = 1;
-
-  const recs = await airtableSelectAll(tableName, safe);
-  return recs[0] || null;
-}
-
-// ✅ čitanje linked recorda po ID (ne ovisi o filterima i slugovima)
-async function airtableFindByIds(tableName, ids = [], limit = 30) {
-  const uniq = Array.from(new Set(asArray(ids).map(String).filter(Boolean))).slice(0, limit);
-  if (!uniq.length) return [];
-
-  const out = await Promise.allSettled(
-    uniq.map(id => base(tableName).find(id))
-  );
-
-  return out
-    .filter(x => x.status === 'fulfilled' && x.value)
-    .map(x => x.value);
-}
+// -------------------------
+// Data source (hoteli, usluge, sobe, intenti, output pravila) — airtable | fixture
+// -------------------------
+const db = await createDataSourceFromEnv(DATA_SOURCE, { root: ROOT });
 
-// ✅ “siguran select”: prvo pokušaj s filterByFormula, ako puca ili vrati 0 — uzmi sve
-async function airtableSelectAllSafe(tableName, tryOptions = [], fallbackOptions = {}) {
-  for (const opt of tryOptions) {
-    try {
-      const recs = await airtableSelectAll(tableName, opt);
-      if (Array.isArray(recs) && recs.length) return recs;
-    } catch (e) {
-      // ignore and try next
+// -------------------------
+// Vector store (semantic retrieval) — swappable backend
+// -------------------------
+async function createVectorStoreFromEnv() {
+  const vectorStoreId = await resolveVectorStoreId(VECTOR_STORE_ID);
+  const backend = String(RETRIEVAL_BACKEND || (vectorStoreId ? 'openai' : 'off')).toLowerCase();
+
+  if (backend === 'openai') {
+    if (!vectorStoreId) {
+      console.error('❗ RETRIEVAL_BACKEND=openai requires VECTOR_STORE_ID (or npm run vector-store) — retrieval disabled');
+      return null;
     }
+    // vector store je OpenAI API i kad odgovore daje lokalni model
+    if (!USE_OPENAI && !OPENAI_API_KEY) {
+      console.error('❗ RETRIEVAL_BACKEND=openai requires OPENAI_API_KEY — retrieval disabled');
+      return null;
+    }
+    const openai = USE_OPENAI ? llm.client : (await createLlmFromEnv('openai')).client;
+    return createOpenAIVectorStore({ openai, vectorStoreId });
   }
-  return airtableSelectAll(tableName, fallbackOptions);
-}
 
-function normalizeText(s) {
-  return String(s || '')
-    .toLowerCase()
-    .replace(/[^\p{L}\p{N}]+/gu, ' ')
-    .trim();
-}
+  if (backend === 'local') {
+    const docs = await loadLocalDocuments(path.resolve(ROOT, LOCAL_INDEX_FILE));
+    console.log(`ℹ️  Local vector index: ${docs.length} docs (${LOCAL_INDEX_FILE})`);
+    return createLocalVectorStore({ documents: docs });
+  }
 
-function tokenize(s) {
-  const t = normalizeText(s);
-  if (!t) return [];
-  return t.split(/\s+/).filter(Boolean);
+  return null;
 }
 
-// ✅ bolja detekcija jezika (HR vs EN)
-function detectLang(question) {
-  const q = String(question || '');
-  const ql = q.toLowerCase();
-  const hasCroChars = /[čćžšđ]/i.test(q);
-  const hasHrWords = /\b(je|li|imate|gdje|kada|radno|vrijeme|soba|sobe|doručak|recepcija|parking|adresa|broj|pravila|kućni|molim|hvala|trebam)\b/i.test(ql);
-  return (hasCroChars || hasHrWords) ? 'HR' : 'EN';
-}
+const vectorStore = await createVectorStoreFromEnv();
 
-function isRoomTypesQuestion(question) {
-  const q = normalizeText(question);
-  if (q.includes('vrste soba')) return true;
-  if (q.includes('tipovi soba')) return true;
-  if (q.includes('room types')) return true;
-  if (q.includes('types of rooms')) return true;
+// -------------------------
+// PMS / channel manager (dostupnost + cijene za datume) — off | file
+// -------------------------
+const pms = createPmsFromEnv(PMS_ADAPTER, { root: ROOT });
 
-  const hasRooms = q.includes('soba') || q.includes('rooms') || q.includes('room');
-  const hasTypes = q.includes('vrste') || q.includes('tip') || q.includes('types') || q.includes('type');
-  return hasRooms && hasTypes;
-}
+// -------------------------
+// Sessions (multi-turn) — TTL + cap na broj sesija i turnova
+// -------------------------
+const sessions = createSessionManager({
+  store: createSessionStoreFromEnv(SESSION_STORE, { maxSessions: Number(SESSION_MAX) || 5000 }),
+  ttlMs: (Number(SESSION_TTL_MIN) || 30) * 60 * 1000,
+  maxTurns: Number(SESSION_MAX_TURNS) || 6,
+});
 
-function isRoomAmenitiesQuestion(question) {
-  const q = normalizeText(question);
-  const hasAmen = q.includes('amenities') || q.includes('amenity') || q.includes('sadržaj') || q.includes('oprema') || q.includes('what is in the room');
-  const hasRoom = q.includes('room') || q.includes('rooms') || q.includes('soba') || q.includes('sobe');
-  return hasAmen && (hasRoom || q.includes('deluxe') || q.includes('superior') || q.includes('standard') || q.includes('comfort'));
-}
+// -------------------------
+// Conversation log (analytics)
+// -------------------------
+const conversationLog = createConversationLog({
+  file: path.resolve(ROOT, CONVERSATION_LOG_FILE),
+  enabled: !['off', 'false', '0'].includes(String(CONVERSATION_LOG).toLowerCase()),
+});
 
-/**
- * ✅ FIX: "parking" sadrži substring "king" -> više ne smije okidati bed_types.
- * Logika: "king/twin/bed/krevet" moraju biti tokeni (riječi) ili jasna fraza "king size".
- */
-function isBedTypeQuestion(question) {
-  const qNorm = normalizeText(question);
-  const toks = tokenize(question);
+// feedback (answerId -> kontekst odgovora drži se 24h u memoriji)
+const answers = createAnswerIndex();
+const feedbackStore = createFeedbackStore({ file: path.resolve(ROOT, FEEDBACK_FILE) });
 
-  const hasKingWord = toks.includes('king');
-  const hasTwinWord = toks.includes('twin');
-  const hasKingSize = qNorm.includes('king size');
+// -------------------------
+// Handoff (ticket -> recepcija)
+// -------------------------
+const tickets = createTicketStore({ file: path.resolve(ROOT, HANDOFF_TICKETS_FILE) });
+const handoffNotifier = createNotifierFromEnv(HANDOFF_NOTIFIER);
+if (handoffNotifier.name === 'log') {
+  console.warn('⚠️ HANDOFF_NOTIFIER=log — tickets are only logged (status "logged"), reception is not notified; set webhook or smtp in production');
+}
 
-  const hasBedWord = toks.includes('bed') || toks.includes('beds');
-  const hasHrBedWord = toks.includes('krevet') || toks.includes('kreveti');
+// -------------------------
+// Booking zahtjevi (vođeni koraci -> recepcija)
+// -------------------------
+const bookings = createBookingStore({
+  file: path.resolve(ROOT, BOOKING_FILE),
+  draftTtlMs: Math.max(1, Number(BOOKING_DRAFT_TTL_H) || 72) * 60 * 60 * 1000,
+});
+const bookingNotifier = createNotifierFromEnv(BOOKING_NOTIFIER || HANDOFF_NOTIFIER, process.env, { prefix: 'BOOKING' });
 
-  return hasKingWord || hasTwinWord || hasKingSize || hasBedWord || hasHrBedWord;
-}
+setInterval(() => {
+  sessions.store.prune().catch(e => console.error('session prune error:', e));
+  rateLimitStore.prune().catch(e => console.error('rate limit prune error:', e));
+}, 60_000).unref();
 
-function isRoomDifferenceQuestion(question) {
-  const q = normalizeText(question);
-  return (
-    q.includes('razlika') ||
-    q.includes('difference') ||
-    q.includes('compare') ||
-    q.includes('usporedi') ||
-    q.includes('vs') ||
-    q.includes('versus')
-  );
-}
-
-// ✅ pitanja o pogledu / UNESCO / Palace view (deterministički popis)
-function isRoomViewListQuestion(question) {
-  const q = normalizeText(question);
-  const hasView = q.includes('view') || q.includes('pogled');
-  const hasWhichRooms = q.includes('which rooms') || q.includes('koje sobe') || q.includes('which room') || q.includes('koja soba');
-  const hasUnesco = q.includes('unesco') || q.includes('palace') || q.includes('palač') || q.includes('peristil') || q.includes('cathedral') || q.includes('katedr');
-  return (hasView && (hasWhichRooms || hasUnesco)) || (hasWhichRooms && hasUnesco);
-}
+// -------------------------
+// Helpers
+// -------------------------
+const nowIso = () => new Date().toISOString();
 
-// ✅ kontakt / telefon / email / maps / check-in-out (deterministički)
-function isContactCoreQuestion(question) {
-  const q = normalizeText(question);
-  return (
-    q.includes('contact') ||
-    q.includes('kontakt') ||
-    q.includes('phone') ||
-    q.includes('telefon') ||
-    q.includes('tel') ||
-    q.includes('call') ||
-    q.includes('email') ||
-    q.includes('e mail') ||
-    q.includes('reach') ||
-    q.includes('reception') ||
-    q.includes('recepc') ||
-    q.includes('address') ||
-    q.includes('adresa') ||
-    q.includes('google maps') ||
-    q.includes('maps') ||
-    q.includes('instagram') ||
-    q.includes('review') ||
-    q.includes('check in') ||
-    q.includes('checkin') ||
-    q.includes('check out') ||
-    q.includes('checkout') ||
-    q.includes('arrival time') ||
-    q.includes('departure time')
-  );
-}
-
-// ✅ hotel-specific heuristika (da možemo hard-stop kad nema podataka)
-function isHotelSpecificQuestion(question) {
-  const q = normalizeText(question);
-  const keys = [
-    'recepcija','reception','wifi','wi fi','internet','parking','parkiranje','doručak','breakfast',
-    'mini bar','minibar','check in','check-out','checkout','checkin','policy','pravila','pet','dog',
-    'laundry','dry cleaning','cleaning','housekeeping','room','rooms','soba','sobe','bed','krevet',
-    'view','pogled','floor','kat','size','kvadratura','capacity','kapacitet',
-    'amenities','oprema','sadržaj',
-    'transfer','airport','zračna luka','zracna luka','taxi','uber','directions','how to get','dolazak',
-    'invoice','račun','r1','city tax','tourist tax','boravišna','boravisna'
-  ];
-  return keys.some(k => q.includes(k));
-}
+// -------------------------
+// Stability: rate limit (IP / sesija / hotel) + dnevni token budžet hotela
+// -------------------------
+const rateLimitStore = createRateLimitStoreFromEnv(RATE_LIMIT_STORE);
+const rateLimiter = createRateLimiter({
+  store: rateLimitStore,
+  limits: { ip: parseLimit(RATE_LIMIT_IP), session: parseLimit(RATE_LIMIT_SESSION), hotel: parseLimit(RATE_LIMIT_HOTEL) },
+});
+const tokenBudget = createTokenBudget({
+  store: rateLimitStore,
+  dailyTokens: Math.max(0, Number(TOKEN_BUDGET_DAILY) || 0),
+  byHotel: parseBudgetByHotel(TOKEN_BUDGET_BY_HOTEL),
+});
 
-function isCityQuestion(question) {
-  const q = normalizeText(question);
-  return q.includes('split') || q.includes('dioklecijan') || q.includes('palač') || q.includes('palace') || q.includes('peristil');
+// svaki request broji se u svim scope-ovima; RateLimit-* headeri prema najstrožem
+async function checkRateLimit(res, { ip, sessionId = null, hotelSlug = null }) {
+  const rl = await rateLimiter.check({ ip, session: sessionId, hotel: hotelSlug });
+  setRateLimitHeaders(res, rl);
+  return rl;
 }
 
 // -------------------------
-// Stability: local rate limit (returns "wait 20 seconds")
+// OpenAI potrošnja: log po pozivu + budžet troška (prekoračen -> heuristički routing)
 // -------------------------
-const RL_WINDOW_MS = 20_000;
-const RL_MAX = 12;
-const RL = new Map(); // ip -> { tsStart, count }
+const usageLog = createUsageLog({
+  file: path.resolve(ROOT, USAGE_LOG_FILE),
+  enabled: !['off', 'false', '0'].includes(String(USAGE_LOG).toLowerCase()),
+  prices: { ...DEFAULT_MODEL_PRICES, ...parseModelPrices(OPENAI_PRICES) },
+});
+const costBudget = createCostBudget({
+  store: rateLimitStore,
+  dailyUsd: Math.max(0, Number(COST_BUDGET_DAILY_USD) || 0),
+  monthlyUsd: Math.max(0, Number(COST_BUDGET_MONTHLY_USD) || 0),
+  byHotel: parseCostBudgetByHotel(COST_BUDGET_BY_HOTEL),
+});
 
-function shouldRateLimit(ip) {
-  const key = String(ip || 'unknown');
-  const now = Date.now();
-  const cur = RL.get(key);
-  if (!cur) {
-    RL.set(key, { tsStart: now, count: 1 });
-    return false;
-  }
-  if (now - cur.tsStart > RL_WINDOW_MS) {
-    RL.set(key, { tsStart: now, count: 1 });
-    return false;
-  }
-  cur.count += 1;
-  RL.set(key, cur);
-  return cur.count > RL_MAX;
+// type = router | rewrite | answer ; model iz odgovora (točan snapshot), inače traženi
+function trackUsage(hotelSlug, usage, { type, model = null } = {}) {
+  if (!usage) return;
+  tokenBudget.add(hotelSlug, usage.total_tokens);
+  const entry = usageLog.record({ hotelSlug, type, model, usage });
+  costBudget.add(hotelSlug, entry.costUsd);
 }
 
-function renderWait20s(lang = 'HR') {
-  return lang === 'EN'
-    ? 'Too many requests in a short time. Please wait 20 seconds and try again.'
-    : 'Previše upita u kratkom vremenu. Pričekajte 20 sekundi i pokušajte ponovno.';
+function renderWait(lang = 'HR', seconds = 20) {
+  return t(lang, 'wait', { seconds });
 }
 
 function isOpenAIRateLimitError(e) {
@@ -332,75 +344,60 @@ function isOpenAIRateLimitError(e) {
 // -------------------------
 // Cache
 // -------------------------
-const CACHE_TTL_MS = 60 * 1000;
-let CACHE = {
-  intents: { ts: 0, data: [] },
-  outputRules: { ts: 0, data: [] },
-  servicesByHotel: new Map(),
-  roomsByHotel: new Map(),
-  hotelBySlug: new Map(),
-};
+const cache = createCache({
+  ttlMs: (Number(CACHE_TTL_SEC) || 60) * 1000,
+  ttlByTable: parseTtlByTable(CACHE_TTL_BY_TABLE),
+  staleMs: (Number(CACHE_STALE_SEC) >= 0 ? Number(CACHE_STALE_SEC) : 600) * 1000,
+});
+
+// gotovi odgovori; promjena podataka hotela / pravila u data cacheu (webhook, admin, refresh) ih briše
+const answerCache = ['off', 'false', '0'].includes(String(ANSWER_CACHE).toLowerCase()) ? null : createAnswerCache({
+  ttlMs: Math.max(1, Number(ANSWER_CACHE_TTL_MIN) || 60) * 60 * 1000,
+  maxEntries: Number(ANSWER_CACHE_MAX) || 2000,
+  minSimilarity: Math.min(1, Math.max(0, Number(ANSWER_CACHE_SIMILARITY) || 0)),
+});
+if (answerCache) {
+  cache.onChange(change => {
+    const n = answerCache.invalidate(change);
+    if (n) console.log(`ℹ️  answer cache: ${n} invalidated (${change.reason} ${change.table || '*'}/${change.hotelSlug || '*'})`);
+  });
+}
 
-function cacheFresh(ts) {
-  return (Date.now() - ts) < CACHE_TTL_MS;
+// otisak svih redova iz kojih nastaje odgovor hotela; čita kroz data cache (TTL / refresh kao i ne-cachirani put)
+async function answerSourceSignature(hotelSlug) {
+  await Promise.all([
+    getHotelRecord(hotelSlug),
+    getServicesForHotelWeb(hotelSlug),
+    getRoomsForHotelWeb(hotelSlug),
+    getIntentPatternsForWeb(),
+    loadOutputRules(),
+    getAnswerRulesForHotel(hotelSlug),
+  ]);
+  return cache.signatureOf([
+    cacheKey('hotels', hotelSlug),
+    cacheKey('services', hotelSlug),
+    cacheKey('rooms', hotelSlug),
+    cacheKey('intents'),
+    cacheKey('outputRules'),
+    cacheKey('answerRules'),
+  ]);
 }
 
 // -------------------------
 // AI_INTENT_PATTERNS (WEB only)
 // -------------------------
 async function getIntentPatternsForWeb() {
-  if (cacheFresh(CACHE.intents.ts) && CACHE.intents.data.length) return CACHE.intents.data;
-
-  const recs = await airtableSelectAll(TABLE_INTENTS, { pageSize: 100 });
-
-  const patterns = recs.map(r => {
-    const f = r.fields || {};
-    return {
-      id: r.id,
-      intent: pickFirstNonEmpty(f.Intent, f.intent),
-      phrases: pickFirstNonEmpty(f.Phrases, f.phrases),
-      appliesTo: asArray(f['Applies to'] ?? f.AppliesTo ?? f.applies_to),
-      outputScope: pickFirstNonEmpty(f['Output Scope'], f.OutputScope, f.output_scope),
-
-      // linked record IDs
-      servicesLink: asArray(f['Services link'] ?? f.ServicesLink ?? f.services_link),
-      roomsLink: asArray(f['Rooms link'] ?? f.RoomsLink ?? f.rooms_link),
-
-      active: (f.Active ?? true) === true,
-    };
-  }).filter(p => p.intent && p.active);
-
-  const filtered = patterns.filter(p => fieldHasAny(p.appliesTo, ['WEB']));
-
-  CACHE.intents = { ts: Date.now(), data: filtered };
-  return filtered;
+  return cache.getOrLoad(cacheKey('intents'), async () => {
+    const patterns = (await db.listIntents()).filter(p => p.intent && p.active);
+    return patterns.filter(p => fieldHasAny(p.appliesTo, ['WEB']));
+  });
 }
 
 // -------------------------
 // AI_OUTPUT_RULES
 // -------------------------
 async function loadOutputRules() {
-  if (!cacheFresh(CACHE.outputRules.ts) || !CACHE.outputRules.data.length) {
-    const recs = await airtableSelectAll(TABLE_OUTPUT_RULES, { pageSize: 100 });
-
-    const rules = recs.map(r => {
-      const f = r.fields || {};
-      return {
-        id: r.id,
-        refId: pickFirstNonEmpty(f['Ref ID'], f.RefID, f.ref_id),
-        scope: pickFirstNonEmpty(f.Scope, f.scope),
-        format: pickFirstNonEmpty(f.Format, f.format),
-        style: pickFirstNonEmpty(f.Style, f.style),
-        example: pickFirstNonEmpty(f['Example Output'], f.ExampleOutput, f.example_output),
-        priority: Number(f.Priority ?? f.priority ?? 0),
-        isActive: (f.Active ?? f['Is Active'] ?? true) === true,
-        aiSource: asArray(f.AI_SOURCE ?? f.ai_source),
-      };
-    });
-
-    CACHE.outputRules = { ts: Date.now(), data: rules };
-  }
-  return CACHE.outputRules.data;
+  return cache.getOrLoad(cacheKey('outputRules'), () => db.listOutputRules());
 }
 
 async function getOutputRule({ scopeWanted = 'General', aiSourceWanted = 'WEB' }) {
@@ -417,172 +414,67 @@ async function getOutputRule({ scopeWanted = 'General', aiSourceWanted = 'WEB' }
 }
 
 // -------------------------
-// Intent router (samo routing)
-// + heuristic fallback ako je confidence nizak ili null intent
-// + pre-router (deterministički) za “kritične” keyworde da ne ode u krive recorde
+// Follow-up pitanja (multi-turn): "and how much is it?", "what about the deluxe one?"
 // -------------------------
-function tokensWithSynonyms(question) {
-  const t = tokenize(question);
-  const extra = [];
-  const q = normalizeText(question);
-
-  const add = (...arr) => extra.push(...arr);
-
-  if (q.includes('check in') || q.includes('checkin') || q.includes('prijava')) add('checkin', 'arrival', 'prijava');
-  if (q.includes('check out') || q.includes('checkout') || q.includes('odjava')) add('checkout', 'departure', 'odjava');
-  if (q.includes('wifi') || q.includes('wi fi') || q.includes('internet')) add('wifi', 'internet', 'password', 'lozinka');
-  if (q.includes('parking') || q.includes('parkiranje') || q.includes('rampa') || q.includes('gate')) add('parking', 'rampa', 'gate', 'ramp');
-  if (q.includes('breakfast') || q.includes('doručak') || q.includes('dorucak')) add('breakfast', 'doručak', 'menu', 'vrijeme');
-  if (q.includes('amenities') || q.includes('oprema') || q.includes('sadržaj') || q.includes('sadrzaj')) add('amenities', 'oprema', 'sadržaj');
-  // ✅ FIX: ovdje je ok da dodamo "king" kao token, ali samo ako user stvarno ima riječ "king" u pitanju.
-  // q.includes('king') je substring; koristimo tokene.
+const FOLLOW_UP_STARTERS = [
+  'and ', 'what about', 'how about', 'also ', 'same for',
+  'a ', 'i ', 'što je s', 'sto je s', 'što s', 'sto s', 'kako je s', 'također', 'takoder',
+];
+const FOLLOW_UP_REFS = new Set([
+  'it', 'its', 'that', 'this', 'one', 'ones', 'them', 'those', 'there', 'same',
+  'to', 'ta', 'taj', 'tu', 'ona', 'ono', 'onu', 'nju', 'njih', 'tamo', 'isto', 'ista',
+]);
+
+function isFollowUpQuestion(question) {
   const toks = tokenize(question);
-  if (toks.includes('twin') || toks.includes('king') || toks.includes('bed') || toks.includes('krevet') || toks.includes('kreveti') || normalizeText(question).includes('king size')) {
-    add('bed', 'krevet', 'twin', 'king');
-  }
-  if (q.includes('minibar') || q.includes('mini bar')) add('minibar', 'mini bar', 'price list');
-  if (q.includes('transfer') || q.includes('airport') || q.includes('zračna') || q.includes('zracna')) add('transfer', 'airport', 'pickup', 'shuttle');
-  if (q.includes('laundry') || q.includes('washing') || q.includes('dry cleaning') || q.includes('pras')) add('laundry', 'washing', 'dry cleaning');
-  if (q.includes('smoking') || q.includes('smoke') || q.includes('pušen')) add('smoking', 'non smoking', 'smoke');
-  if (q.includes('taxi') || q.includes('uber')) add('taxi', 'uber', 'drop off');
-  if (q.includes('directions') || q.includes('how to get') || q.includes('upute') || q.includes('dolazak')) add('directions', 'arrival', 'how to get');
-
-  return Array.from(new Set([...t, ...extra].map(String).filter(Boolean)));
-}
-
-function findPatternByKeyword(patterns, keywords = []) {
-  const keys = keywords.map(k => normalizeText(k)).filter(Boolean);
-  if (!keys.length) return null;
-
-  let best = null;
-  let bestScore = 0;
-
-  for (const p of patterns || []) {
-    const hay = normalizeText(`${p.intent || ''} ${p.phrases || ''}`);
-    let s = 0;
-    for (const k of keys) {
-      if (k.length < 3) continue;
-      if (hay.includes(k)) s += 1;
-    }
-    if (s > bestScore) {
-      bestScore = s;
-      best = p;
-    }
-  }
-  return bestScore >= 1 ? best : null;
-}
+  if (!toks.length) return false;
+  if (toks.length <= 3) return true;
 
-// ✅ pre-router: ako je pitanje “parking / smoking / minibar / breakfast / transfer / taxi / directions / tax / R1”
-// prvo pokušaj pogoditi intent bez GPT-a (da ne ode u SOBE)
-function preRouteIntent(question, patterns) {
   const q = normalizeText(question);
+  if (FOLLOW_UP_STARTERS.some(s => q.startsWith(s))) return true;
+  return toks.length <= 8 && toks.some(t => FOLLOW_UP_REFS.has(t));
+}
+
+// ✅ query rewriting: follow-up + history -> samostalno pitanje (routing + retrieval)
+// useLlm=false (potrošen token / cost budžet) -> odmah fallback bez GPT-a
+async function rewriteFollowUp(question, session, { useLlm = true } = {}) {
+  const turns = session?.turns || [];
+  if (!turns.length) return question;
+  // fallback: prethodno pitanje kao kontekst (dovoljno za keyword routing)
+  const withPrevious = () => {
+    const prev = turns[turns.length - 1];
+    return `${prev.standalone || prev.q} ${question}`;
+  };
+  if (!useLlm) return withPrevious();
 
-  const buckets = [
-    { keys: ['parking', 'parkiranje', 'rampa', 'gate', 'drop off', 'drop-off'], note: 'pre_router_parking' },
-    { keys: ['smoking', 'non smoking', 'smoke', 'pušenje', 'pusenje'], note: 'pre_router_smoking' },
-    { keys: ['minibar', 'mini bar', 'price list', 'cjenik'], note: 'pre_router_minibar' },
-    { keys: ['breakfast', 'doručak', 'dorucak', 'buffet', 'a la carte', 'kids breakfast'], note: 'pre_router_breakfast' },
-    { keys: ['transfer', 'airport', 'zračna luka', 'zracna luka', 'pickup', 'shuttle'], note: 'pre_router_transfer' },
-    { keys: ['taxi', 'uber'], note: 'pre_router_taxi_uber' },
-    { keys: ['directions', 'how to get', 'upute', 'dolazak', 'arrival guidance'], note: 'pre_router_directions' },
-    { keys: ['city tax', 'tourist tax', 'boravišna', 'boravisna', 'tax'], note: 'pre_router_city_tax' },
-    { keys: ['r1', 'invoice', 'račun', 'racun'], note: 'pre_router_invoice' },
-  ];
-
-  for (const b of buckets) {
-    if (!b.keys.some(k => q.includes(normalizeText(k)))) continue;
-    const p = findPatternByKeyword(patterns, b.keys);
-    if (p?.intent) {
-      return { intent: p.intent, confidence: 0.92, outputScope: p.outputScope || 'General', note: b.note };
-    }
-  }
-
-  return null;
-}
-
-function heuristicChooseIntent(question, patterns) {
-  const qTokens = tokensWithSynonyms(question);
-  if (!qTokens.length) return { intent: null, confidence: 0, outputScope: 'General', note: 'heuristic_no_tokens' };
-
-  let best = { intent: null, score: 0, outputScope: 'General' };
-
-  for (const p of patterns) {
-    const phrases = String(p.phrases || '');
-    const hay = normalizeText(`${p.intent} ${phrases}`);
-    let score = 0;
-
-    for (const t of qTokens) {
-      if (t.length < 3) continue;
-      if (hay.includes(t)) score += 1;
-    }
-
-    // mala prednost ako intent “ključna riječ” direktno postoji
-    if (p.intent && normalizeText(p.intent).includes(qTokens[0] || '')) score += 0.25;
-
-    if (score > best.score) best = { intent: p.intent, score, outputScope: p.outputScope || 'General' };
-  }
-
-  if (best.score >= 2) {
-    return { intent: best.intent, confidence: Math.min(0.85, 0.55 + best.score * 0.05), outputScope: best.outputScope, note: 'heuristic_match' };
-  }
-  return { intent: null, confidence: 0, outputScope: 'General', note: 'heuristic_no_match' };
-}
-
-async function chooseIntent(question, patterns) {
-  if (!patterns.length) return { intent: null, confidence: 0, note: 'no_patterns', outputScope: 'General' };
-
-  // ✅ pre-router (deterministički) prije GPT-a
-  const pre = preRouteIntent(question, patterns);
-  if (pre?.intent) return pre;
-
-  const validIntents = new Set(patterns.map(p => String(p.intent)));
-
-  const compact = patterns.map(p => ({
-    intent: p.intent,
-    phrases: (p.phrases || '').slice(0, 240),
-    outputScope: p.outputScope || 'General',
-  }));
-
-  const sys = `You are an intent router for a HOTEL WEB CHAT WIDGET.
-Pick exactly one intent from the provided list if it clearly matches the user's question.
-If none match, return null.
-Return JSON only with keys: intent, confidence (0-1), outputScope, note.`;
+  const sys = `You rewrite follow-up messages for a HOTEL WEB CHAT WIDGET.
+Given the conversation and the user's latest message, rewrite the latest message as ONE standalone question.
+Keep the user's language. Keep room names and other proper nouns exactly as written. Do NOT answer it.
+If the message is already standalone, return it unchanged.
+Return JSON only with key: standalone.`;
 
-  const payload = { question, intents: compact };
+  const payload = {
+    history: turns.slice(-3).map(t => ({ user: t.standalone || t.q, assistant: t.a.slice(0, 300) })),
+    latest: question,
+  };
 
   try {
-    const resp = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      temperature: 0,
+    const resp = await llm.chat({
+      model: ROUTER_MODEL,
       messages: [
         { role: 'system', content: sys },
         { role: 'user', content: JSON.stringify(payload) },
       ],
-      response_format: { type: 'json_object' },
+      json: true,
     });
+    trackUsage(session.hotelSlug, resp.usage, { type: 'rewrite', model: resp.model });
 
-    const raw = resp.choices?.[0]?.message?.content || '{}';
-    const parsed = JSON.parse(raw);
-
-    let intent = (typeof parsed.intent === 'string' && parsed.intent.trim()) ? parsed.intent.trim() : null;
-    const confidence = Number(parsed.confidence ?? 0);
-    const outputScope = (typeof parsed.outputScope === 'string' && parsed.outputScope.trim()) ? parsed.outputScope.trim() : 'General';
-
-    if (intent && !validIntents.has(intent)) intent = null;
-
-    // Heuristic fallback ako je “mlitavo”
-    if (!intent || confidence < 0.35) {
-      const h = heuristicChooseIntent(question, patterns);
-      if (h.intent) return h;
-    }
-
-    return { intent, confidence, outputScope, note: parsed.note || '' };
+    const parsed = JSON.parse(resp.content || '{}');
+    const standalone = typeof parsed.standalone === 'string' ? parsed.standalone.trim().slice(0, 400) : '';
+    return standalone || question;
   } catch (e) {
-    console.error('chooseIntent error:', e);
-    // fallback heuristic (bez OpenAI)
-    const h = heuristicChooseIntent(question, patterns);
-    if (h.intent) return h;
-    return { intent: null, confidence: 0, outputScope: 'General', note: 'intent_router_failed' };
+    console.error('rewriteFollowUp error:', e);
+    return withPrevious();
   }
 }
 
@@ -590,73 +482,10 @@ Return JSON only with keys: intent, confidence (0-1), outputScope, note.`;
 // HOTELI + SERVICES + SOBE
 // -------------------------
 async function getHotelRecord(hotelSlug) {
-  const cached = CACHE.hotelBySlug.get(String(hotelSlug));
-  if (cached && cacheFresh(cached.ts)) return cached.row;
-
-  const slugEsc = escapeAirtableFormulaString(hotelSlug);
-
-  let rec = await airtableSelectFirst(TABLE_HOTELS, {
-    pageSize: 1,
-    maxRecords: 1,
-    filterByFormula: `{Slug}='${slugEsc}'`,
+  return cache.getOrLoad(cacheKey('hotels', hotelSlug), async () => {
+    const row = await db.getHotel(hotelSlug);
+    return (row && row.active) ? row : null;
   });
-
-  if (!rec) {
-    const all = await airtableSelectAll(TABLE_HOTELS, { pageSize: 100 });
-    rec = all.find(r => {
-      const f = r.fields || {};
-      return String(f.Slug ?? f.slug ?? '') === String(hotelSlug);
-    }) || null;
-  }
-
-  const f = rec?.fields || {};
-
-  // ✅ IMPORTANT: mapiraj stvarna imena polja koja imaš u HOTELI tablici
-  const row = rec ? {
-    id: rec.id,
-    hotelNaziv: pickFirstNonEmpty(f['Hotel naziv'], f.Naziv, f.Name),
-    slug: pickFirstNonEmpty(f.Slug, f.slug),
-    opis: pickFirstNonEmpty(f['Opis (kratki)'], f.Opis, f.opis),
-
-    grad: pickFirstNonEmpty(f.Grad, f.grad),
-    postanskiBroj: pickFirstNonEmpty(String(f['Poštanski broj'] ?? ''), String(f.PostanskiBroj ?? ''), String(f.postanski_broj ?? '')),
-
-    adresa: pickFirstNonEmpty(f.Adresa, f.adresa),
-
-    // telefon / email (više varijanti naziva)
-    telefon: pickFirstNonEmpty(
-      f['Telefon (recepcija)'],
-      f['Telefon recepcija'],
-      f.Telefon,
-      f.telefon
-    ),
-    email: pickFirstNonEmpty(
-      f['Email (recepcija)'],
-      f['E-mail (recepcija)'],
-      f.Email,
-      f.email
-    ),
-
-    // core vremena
-    checkIn: pickFirstNonEmpty(String(f['Check-in'] ?? ''), String(f.CheckIn ?? ''), String(f['Check in'] ?? '')),
-    checkOut: pickFirstNonEmpty(String(f['Check-out'] ?? ''), String(f.CheckOut ?? ''), String(f['Check out'] ?? '')),
-
-    // linkovi
-    googleMaps: pickFirstNonEmpty(f['Google Maps'], f.GoogleMaps, f.maps),
-    googleReview: pickFirstNonEmpty(f['Google Review'], f.GoogleReview, f.review),
-    instagram: pickFirstNonEmpty(f.Instagram, f.instagram),
-    web: pickFirstNonEmpty(f.Web, f.web),
-
-    // parking (ako ga ima u hotel tablici)
-    parking: pickFirstNonEmpty(f.Parking, f.parking),
-
-    active: (f.Active ?? true) === true,
-  } : null;
-
-  const finalRow = (row && row.active) ? row : null;
-
-  CACHE.hotelBySlug.set(String(hotelSlug), { ts: Date.now(), row: finalRow });
-  return finalRow;
 }
 
 function valuesToStrings(v) {
@@ -675,120 +504,28 @@ function allowForWeb(aiSourceArr) {
   return isEmptyArray(src) || fieldHasAny(src, ['WEB']);
 }
 
-// ✅ izvuci hotel slug iz različitih naziva polja (sigurnije)
-function getHotelSlugRaw(fields) {
-  const f = fields || {};
-  return (
-    f['Hotel Slug (text)'] ??
-    f['Hotel Slug (Text)'] ??
-    f['Hotel Slug text'] ??
-    f['Hotel Slug'] ??
-    f.HotelSlug ??
-    f.hotel_slug ??
-    null
-  );
-}
-
-// ---- MAPPERS (da možemo mapirati i linked-find recorde) ----
-function mapServiceRecord(r) {
-  const f = r?.fields || {};
-  return {
-    type: 'SERVICE',
-    id: r.id,
-    naziv: pickFirstNonEmpty(f['Naziv usluge'], f.Naziv, f.Name, f.Title, f.naziv),
-    kategorija: asArray(f.Kategorija ?? f.kategorija),
-    opis: pickFirstNonEmpty(f.Opis, f.opis),
-    radnoVrijeme: pickFirstNonEmpty(f['Radno vrijeme'], f.Radno, f.radno_vrijeme),
-    aiPrompt: pickFirstNonEmpty(f.AI_PROMPT, f.ai_prompt),
-    aiIntent: asArray(f.AI_INTENT ?? f.ai_intent),
-    aiSource: asArray(f.AI_SOURCE ?? f.ai_source),
-    hotelSlugRaw: getHotelSlugRaw(f),
-    active: (f.Active ?? true) === true,
-  };
-}
-
-function mapRoomRecord(r) {
-  const f = r?.fields || {};
-  return {
-    type: 'ROOM',
-    id: r.id,
-    naziv: pickFirstNonEmpty(f['Soba oznaka'], f.Naziv, f.Name),
-    tipSobe: pickFirstNonEmpty(f['Tip sobe'], f.Tip, f.tip),
-    slug: pickFirstNonEmpty(f.Slug, f.slug),
-    opis: pickFirstNonEmpty(f['Opis sobe'], f.Opis, f.opis),
-
-    // ✅ polja (uključujući stvarno “View” iz tvoje tablice)
-    kapacitet: f['Kapacitet (osoba)'] ?? f.Kapacitet ?? f.kapacitet ?? null,
-    kvadratura: f.Kvadratura ?? f.kvadratura ?? null,
-    kat: f.Kat ?? f.kat ?? null,
-
-    // “View”/“Pogled” (pokrivamo obje varijante)
-    pogled: f.View ?? f['View'] ?? f.Pogled ?? f.pogled ?? null,
-
-    kreveti: asArray(f["Bed's"] ?? f.Beds ?? f.Kreveti ?? f.kreveti),
-    roomAmenities: asArray(f['Room Amenities'] ?? f['Room amenities'] ?? f.room_amenities ?? f['Room Amenities (sadržaj sobe)']),
-
-    aiPrompt: pickFirstNonEmpty(f.AI_PROMPT, f.ai_prompt),
-    aiIntent: asArray(f.AI_INTENT ?? f.ai_intent),
-    aiSource: asArray(f.AI_SOURCE ?? f.ai_source),
-    hotelSlugRaw: getHotelSlugRaw(f),
-    active: (f.Active ?? true) === true,
-  };
-}
-
 async function getServicesForHotelWeb(hotelSlug) {
-  const cached = CACHE.servicesByHotel.get(String(hotelSlug));
-  if (cached && cacheFresh(cached.ts) && Array.isArray(cached.rows)) return cached.rows;
-
-  const slugEsc = escapeAirtableFormulaString(hotelSlug);
-
-  // pokušaj prvo s “Hotel Slug (text)”, pa s “Hotel Slug”, pa fallback na all
-  const recs = await airtableSelectAllSafe(
-    TABLE_SERVICES,
-    [
-      { pageSize: 100, filterByFormula: `{Hotel Slug (text)}='${slugEsc}'` },
-      { pageSize: 100, filterByFormula: `{Hotel Slug}='${slugEsc}'` },
-    ],
-    { pageSize: 100 }
-  );
+  return cache.getOrLoad(cacheKey('services', hotelSlug), async () => {
+    const rows = await db.listServices(hotelSlug);
 
-  const rows = recs.map(mapServiceRecord);
-
-  const webRows = rows.filter(r =>
-    r.active &&
-    matchesHotelSlug(r.hotelSlugRaw, hotelSlug) &&
-    allowForWeb(r.aiSource)
-  );
-
-  CACHE.servicesByHotel.set(String(hotelSlug), { ts: Date.now(), rows: webRows });
-  return webRows;
+    return rows.filter(r =>
+      r.active &&
+      matchesHotelSlug(r.hotelSlugRaw, hotelSlug) &&
+      allowForWeb(r.aiSource)
+    );
+  });
 }
 
 async function getRoomsForHotelWeb(hotelSlug) {
-  const cached = CACHE.roomsByHotel.get(String(hotelSlug));
-  if (cached && cacheFresh(cached.ts) && Array.isArray(cached.rows)) return cached.rows;
+  return cache.getOrLoad(cacheKey('rooms', hotelSlug), async () => {
+    const rows = await db.listRooms(hotelSlug);
 
-  const slugEsc = escapeAirtableFormulaString(hotelSlug);
-
-  const recs = await airtableSelectAllSafe(
-    TABLE_ROOMS,
-    [
-      { pageSize: 100, filterByFormula: `{Hotel Slug (text)}='${slugEsc}'` },
-      { pageSize: 100, filterByFormula: `{Hotel Slug}='${slugEsc}'` },
-    ],
-    { pageSize: 100 }
-  );
-
-  const rows = recs.map(mapRoomRecord);
-
-  const webRows = rows.filter(r =>
-    r.active &&
-    matchesHotelSlug(r.hotelSlugRaw, hotelSlug) &&
-    allowForWeb(r.aiSource)
-  );
-
-  CACHE.roomsByHotel.set(String(hotelSlug), { ts: Date.now(), rows: webRows });
-  return webRows;
+    return rows.filter(r =>
+      r.active &&
+      matchesHotelSlug(r.hotelSlugRaw, hotelSlug) &&
+      allowForWeb(r.aiSource)
+    );
+  });
 }
 
 // -------------------------
@@ -885,68 +622,120 @@ async function fetchKnowledgeRows({ hotelSlug, intent, question }) {
   return { hotelRec, services, rooms, matched, fallback, all };
 }
 
+// -------------------------
+// Semantic retrieval (vector store) — top-k chunkovi za hotel + WEB
+// (hvata parafraze koje substring scoring promaši: "where can I leave my car" -> parking)
+// -------------------------
+async function retrieveChunks({ question, hotelSlug }) {
+  if (!vectorStore) return { chunks: [], backend: 'off', ms: 0 };
+
+  const t0 = Date.now();
+  try {
+    const chunks = await vectorStore.search(question, {
+      hotelSlug,
+      source: 'WEB',
+      topK: Number(RETRIEVAL_TOP_K) || 4,
+      minScore: Number(RETRIEVAL_MIN_SCORE) || 0,
+    });
+    return { chunks, backend: vectorStore.name, ms: Date.now() - t0 };
+  } catch (e) {
+    // retrieval nikad ne smije srušiti odgovor
+    console.error('retrieval error:', e);
+    return { chunks: [], backend: vectorStore.name, ms: Date.now() - t0, error: true };
+  }
+}
+
+// meta.usedRecords: Airtable recordi + KB chunkovi, sa similarity score-om gdje postoji
+function describeUsedRecords(records, chunks = [], scoreById = new Map()) {
+  return [
+    ...records.map(r => ({ type: r.type, naziv: r.naziv, id: r.id, score: scoreById.get(String(r.id)) ?? null })),
+    ...chunks.map(c => ({ type: 'KB', kbType: c.type, naziv: c.title, id: c.recordId, score: c.score })),
+  ];
+}
+
+// -------------------------
+// PMS quote za boravak iz pitanja — greška PMS-a nikad ne ruši odgovor (kao retrieval)
+// -------------------------
+async function quoteAvailability({ hotelSlug, stay, question, rooms }) {
+  const t0 = Date.now();
+  // "koliko je deluxe 3.-5.8." -> samo taj tip sobe
+  const room = findBestRoomMention(question, rooms);
+  const meta = { adapter: pms.name, checkIn: stay.checkIn, checkOut: stay.checkOut, nights: stay.nights, adults: stay.adults, children: stay.children, assumed: stay.assumed };
+
+  try {
+    const quote = await pms.quote({
+      hotelSlug,
+      checkIn: stay.checkIn,
+      checkOut: stay.checkOut,
+      adults: stay.adults,
+      children: stay.children,
+      roomTypes: room ? [room.slug, room.id].filter(Boolean) : null,
+    });
+    return {
+      quote,
+      text: quote.rooms.length ? renderAvailabilityContext(quote, rooms) : '',
+      meta: { ...meta, roomTypes: quote.rooms.length, available: quote.rooms.filter(r => r.available).length, ms: Date.now() - t0 },
+    };
+  } catch (e) {
+    console.error('pms quote error:', e);
+    return { quote: null, text: '', meta: { ...meta, error: true, ms: Date.now() - t0 } };
+  }
+}
+
 // -------------------------
 // Deterministic answers (no hallucinations)
 // -------------------------
 function renderRoomTypesAnswer(rooms, lang = 'HR') {
-  if (!rooms?.length) {
-    return lang === 'EN'
-      ? 'I don’t have room-type details in the system right now. Please contact reception for exact information.'
-      : 'Nemam podatke o vrstama soba u sustavu. Molim kontaktirajte recepciju za točne informacije.';
-  }
+  if (!rooms?.length) return t(lang, 'roomTypes.none');
 
   const lines = rooms
     .map(r => {
-      const name = r.naziv || r.tipSobe || r.slug || 'Room';
+      const name = r.naziv || r.tipSobe || r.slug || t(lang, 'room.fallbackName');
       const tip = r.tipSobe ? ` — ${r.tipSobe}` : '';
-      const view = r.pogled ? ` — view: ${String(r.pogled)}` : '';
-      const beds = (r.kreveti && r.kreveti.length) ? ` — beds: ${r.kreveti.join(', ')}` : '';
+      const view = r.pogled ? ` — ${t(lang, 'roomTypes.view')}: ${String(r.pogled)}` : '';
+      const beds = (r.kreveti && r.kreveti.length) ? ` — ${t(lang, 'roomTypes.beds')}: ${r.kreveti.join(', ')}` : '';
       return `• ${name}${tip}${view}${beds}`;
     })
     .slice(0, 20);
 
-  return lang === 'EN'
-    ? `These are the room types listed:\n${lines.join('\n')}`
-    : `Imamo sljedeće vrste soba:\n${lines.join('\n')}`;
+  return `${t(lang, 'roomTypes.header')}\n${lines.join('\n')}`;
 }
 
-function renderNoInfo(lang = 'HR') {
-  return lang === 'EN'
-    ? `I don’t have that information in the system. Please contact reception for exact details.`
-    : `Nemam taj podatak u sustavu. Molim kontaktirajte recepciju za točne informacije.`;
+// assistant = resolveAssistant(hotelRec) — hotelov fallback kontakt ide iza standardne poruke
+function renderNoInfo(lang = 'HR', assistant = null) {
+  return [t(lang, 'noInfo'), assistantFallback(assistant, lang)].filter(Boolean).join(' ');
 }
 
 // ✅ deterministički: kontakt / maps / check-in-out
-function renderHotelCoreAnswer(hotelRec, lang = 'HR') {
-  if (!hotelRec) return renderNoInfo(lang);
-
-  const parts = [];
-
-  // name + address
-  if (hotelRec.hotelNaziv) parts.push(lang === 'EN' ? `${hotelRec.hotelNaziv}` : `${hotelRec.hotelNaziv}`);
-  if (hotelRec.adresa) parts.push(lang === 'EN' ? `Address: ${hotelRec.adresa}` : `Adresa: ${hotelRec.adresa}`);
-
-  // phone/email
-  if (hotelRec.telefon) parts.push(lang === 'EN' ? `Reception phone: ${hotelRec.telefon}` : `Telefon (recepcija): ${hotelRec.telefon}`);
-  if (hotelRec.email) parts.push(lang === 'EN' ? `Email: ${hotelRec.email}` : `Email: ${hotelRec.email}`);
+const HOTEL_CORE_FIELDS = [
+  { key: 'adresa', label: 'core.address' },
+  { key: 'telefon', label: 'core.phone' },
+  { key: 'email', label: 'core.email' },
+  { key: 'checkIn', label: 'core.checkIn' },
+  { key: 'checkOut', label: 'core.checkOut' },
+  // links (keep as-is)
+  { key: 'googleMaps', label: 'core.googleMaps' },
+  { key: 'googleReview', label: 'core.googleReviews' },
+  { key: 'instagram', label: 'core.instagram' },
+  { key: 'web', label: 'core.website' },
+];
 
-  // checkin/checkout
-  if (hotelRec.checkIn) parts.push(lang === 'EN' ? `Check-in: ${hotelRec.checkIn}` : `Check-in: ${hotelRec.checkIn}`);
-  if (hotelRec.checkOut) parts.push(lang === 'EN' ? `Check-out: ${hotelRec.checkOut}` : `Check-out: ${hotelRec.checkOut}`);
+function renderHotelCoreAnswer(hotelRec, lang = 'HR', assistant = resolveAssistant(hotelRec)) {
+  if (!hotelRec) return renderNoInfo(lang, assistant);
 
-  // links (keep as-is)
-  if (hotelRec.googleMaps) parts.push(lang === 'EN' ? `Google Maps: ${hotelRec.googleMaps}` : `Google Maps: ${hotelRec.googleMaps}`);
-  if (hotelRec.googleReview) parts.push(lang === 'EN' ? `Google Reviews: ${hotelRec.googleReview}` : `Google recenzije: ${hotelRec.googleReview}`);
-  if (hotelRec.instagram) parts.push(lang === 'EN' ? `Instagram: ${hotelRec.instagram}` : `Instagram: ${hotelRec.instagram}`);
-  if (hotelRec.web) parts.push(lang === 'EN' ? `Website: ${hotelRec.web}` : `Web: ${hotelRec.web}`);
+  const parts = [];
+  if (hotelRec.hotelNaziv) parts.push(`${hotelRec.hotelNaziv}`);
+  for (const f of HOTEL_CORE_FIELDS) {
+    if (hotelRec[f.key]) parts.push(`${t(lang, f.label)}: ${hotelRec[f.key]}`);
+  }
 
-  if (!parts.length) return renderNoInfo(lang);
+  if (!parts.length) return renderNoInfo(lang, assistant);
 
   return parts.join('\n');
 }
 
 // ✅ deterministički: “Which rooms have UNESCO/Palace view?”
-function renderRoomsByViewAnswer(rooms, question, lang = 'HR') {
+function findRoomsByView(rooms, question) {
   const q = normalizeText(question);
   const viewNeedles = [];
 
@@ -958,27 +747,24 @@ function renderRoomsByViewAnswer(rooms, question, lang = 'HR') {
   // fallback: ako nije eksplicitno, ali pita za “view”
   if (!viewNeedles.length) viewNeedles.push('view', 'pogled');
 
-  const matched = (rooms || []).filter(r => {
+  return (rooms || []).filter(r => {
     const v = normalizeText(String(r.pogled || ''));
     if (!v) return false;
     return viewNeedles.some(n => v.includes(normalizeText(n)));
   });
+}
 
-  if (!matched.length) {
-    return lang === 'EN'
-      ? `I don’t have a complete list of rooms with that view in the system. Please contact reception for confirmation.`
-      : `Nemam kompletan popis soba s traženim pogledom u sustavu. Molim kontaktirajte recepciju za potvrdu.`;
-  }
+function renderRoomsByViewAnswer(rooms, question, lang = 'HR') {
+  const matched = findRoomsByView(rooms, question);
+  if (!matched.length) return t(lang, 'roomsByView.none');
 
   const lines = matched.slice(0, 20).map(r => {
-    const name = r.naziv || r.tipSobe || r.slug || 'Room';
+    const name = r.naziv || r.tipSobe || r.slug || t(lang, 'room.fallbackName');
     const view = r.pogled ? String(r.pogled) : '-';
     return `• ${name} — ${view}`;
   });
 
-  return lang === 'EN'
-    ? `Rooms with the requested view (as listed):\n${lines.join('\n')}`
-    : `Sobe s traženim pogledom (kako je navedeno u sustavu):\n${lines.join('\n')}`;
+  return `${t(lang, 'roomsByView.header')}\n${lines.join('\n')}`;
 }
 
 // ---- room finders ----
@@ -1046,19 +832,14 @@ function splitIntoTwoRoomQueries(question) {
 
 function renderRoomAmenitiesForRoom(room, lang = 'HR') {
   const am = asArray(room?.roomAmenities).map(String).filter(Boolean);
-  if (!room || !am.length) {
-    return lang === 'EN'
-      ? 'I don’t have a full amenities list for that room in the system. Please contact reception for details.'
-      : 'Nemam kompletan popis sadržaja/opreme za tu sobu u sustavu. Molim kontaktirajte recepciju za detalje.';
-  }
-  const title = room.naziv || room.tipSobe || 'Room';
+  if (!room || !am.length) return t(lang, 'amenities.roomNone');
+
+  const title = room.naziv || room.tipSobe || t(lang, 'room.fallbackName');
   const lines = am.slice(0, 50).map(x => `• ${x}`);
-  return lang === 'EN'
-    ? `Room amenities for ${title}:\n${lines.join('\n')}`
-    : `Sadržaj/oprema sobe (${title}):\n${lines.join('\n')}`;
+  return `${t(lang, 'amenities.roomHeader', { title })}\n${lines.join('\n')}`;
 }
 
-function renderRoomAmenitiesGeneral(rooms, lang = 'HR') {
+function collectRoomAmenities(rooms) {
   const all = new Set();
   for (const r of rooms || []) {
     for (const a of asArray(r.roomAmenities)) {
@@ -1066,16 +847,15 @@ function renderRoomAmenitiesGeneral(rooms, lang = 'HR') {
       if (s) all.add(s);
     }
   }
-  const list = Array.from(all).slice(0, 50);
-  if (!list.length) {
-    return lang === 'EN'
-      ? 'I don’t have a full amenities list in the system. Please contact reception for details.'
-      : 'Nemam kompletan popis sadržaja/opreme u sustavu. Molim kontaktirajte recepciju za detalje.';
-  }
+  return Array.from(all).slice(0, 50);
+}
+
+function renderRoomAmenitiesGeneral(rooms, lang = 'HR') {
+  const list = collectRoomAmenities(rooms);
+  if (!list.length) return t(lang, 'amenities.generalNone');
+
   const lines = list.map(x => `• ${x}`);
-  return lang === 'EN'
-    ? `Room amenities (as listed):\n${lines.join('\n')}`
-    : `Sadržaj/oprema soba (kako je navedeno u sustavu):\n${lines.join('\n')}`;
+  return `${t(lang, 'amenities.generalHeader')}\n${lines.join('\n')}`;
 }
 
 function renderBedTypesAnswer(rooms, lang = 'HR') {
@@ -1083,21 +863,15 @@ function renderBedTypesAnswer(rooms, lang = 'HR') {
     .map(r => {
       const beds = asArray(r.kreveti).map(String).filter(Boolean);
       if (!beds.length) return null;
-      const name = r.naziv || r.tipSobe || r.slug || 'Room';
+      const name = r.naziv || r.tipSobe || r.slug || t(lang, 'room.fallbackName');
       return `• ${name}: ${beds.join(', ')}`;
     })
     .filter(Boolean)
     .slice(0, 20);
 
-  if (!lines.length) {
-    return lang === 'EN'
-      ? 'I don’t have bed-type details in the system. Please contact reception for exact information.'
-      : 'Nemam podatke o tipu kreveta u sustavu. Molim kontaktirajte recepciju za točne informacije.';
-  }
+  if (!lines.length) return t(lang, 'beds.none');
 
-  return lang === 'EN'
-    ? `Bed types (as listed):\n${lines.join('\n')}`
-    : `Tipovi kreveta (kako je navedeno u sustavu):\n${lines.join('\n')}`;
+  return `${t(lang, 'beds.header')}\n${lines.join('\n')}`;
 }
 
 function roomValueToText(v) {
@@ -1107,60 +881,124 @@ function roomValueToText(v) {
 }
 
 function renderRoomDifference(roomA, roomB, lang = 'HR') {
-  if (!roomA || !roomB) {
-    return lang === 'EN'
-      ? 'I can compare rooms only if both room types are clearly identified. Please specify the two room names.'
-      : 'Mogu usporediti sobe samo ako su obje jasno navedene. Molim napišite točno dvije sobe koje želite usporediti.';
-  }
-
-  const fields = [
-    { key: 'tipSobe', labelHR: 'Tip sobe', labelEN: 'Room type' },
-    { key: 'kvadratura', labelHR: 'Kvadratura', labelEN: 'Size (m²)' },
-    { key: 'kapacitet', labelHR: 'Kapacitet', labelEN: 'Capacity' },
-    { key: 'kat', labelHR: 'Kat', labelEN: 'Floor' },
-    { key: 'pogled', labelHR: 'Pogled', labelEN: 'View' },
-    { key: 'kreveti', labelHR: 'Kreveti', labelEN: 'Beds' },
-  ];
+  if (!roomA || !roomB) return t(lang, 'diff.needTwo');
 
-  const nameA = roomA.naziv || roomA.tipSobe || 'Room A';
-  const nameB = roomB.naziv || roomB.tipSobe || 'Room B';
+  const nameA = roomA.naziv || roomA.tipSobe || t(lang, 'diff.roomA');
+  const nameB = roomB.naziv || roomB.tipSobe || t(lang, 'diff.roomB');
 
   const diffs = [];
-  for (const f of fields) {
+  for (const f of ROOM_FIELDS) {
     const a = roomValueToText(roomA[f.key]);
     const b = roomValueToText(roomB[f.key]);
     if (!a && !b) continue;
 
-    const label = (lang === 'EN') ? f.labelEN : f.labelHR;
-    const left = a || (lang === 'EN' ? 'not listed' : 'nije navedeno');
-    const right = b || (lang === 'EN' ? 'not listed' : 'nije navedeno');
+    const label = t(lang, f.label);
+    const left = a || t(lang, 'diff.notListed');
+    const right = b || t(lang, 'diff.notListed');
 
     if (a !== b) {
       diffs.push(`• ${label}: ${nameA} → ${left} | ${nameB} → ${right}`);
     }
   }
 
-  if (!diffs.length) {
-    return lang === 'EN'
-      ? `I don’t have enough structured data to compare "${nameA}" and "${nameB}". Please contact reception for details.`
-      : `Nemam dovoljno strukturiranih podataka za usporedbu "${nameA}" i "${nameB}". Molim kontaktirajte recepciju za detalje.`;
-  }
+  if (!diffs.length) return t(lang, 'diff.notEnough', { a: nameA, b: nameB });
 
-  return lang === 'EN'
-    ? `Key differences (${nameA} vs ${nameB}):\n${diffs.join('\n')}`
-    : `Ključne razlike (${nameA} vs ${nameB}):\n${diffs.join('\n')}`;
+  return `${t(lang, 'diff.header', { a: nameA, b: nameB })}\n${diffs.join('\n')}`;
 }
 
 // -------------------------
-// Price hallucination guard
+// Deterministička pravila (rules.js): rendereri za hotel / sobe + AI_ANSWER_RULES po hotelu
 // -------------------------
-function textContainsCurrency(s) {
-  const t = String(s || '');
-  return /€|\bEUR\b|\beur\b|\beuro\b|\bper night\b|\b\/night\b/i.test(t);
-}
+const roomRef = r => ({ type: 'ROOM', naziv: r.naziv, id: r.id });
 
-function contextContainsCurrency(hotelRec, records) {
-  const parts = [];
+// "Deluxe vs Superior": prvo po segmentima pitanja, pa top2 po score
+function pickRoomsToCompare(question, rooms) {
+  const [partA, partB] = splitIntoTwoRoomQueries(question);
+  let roomA = findBestRoomMention(partA, rooms);
+  let roomB = findBestRoomMention(partB, rooms);
+
+  if (!roomA || !roomB) {
+    const qn = normalizeText(question);
+    const scored = (rooms || []).map(r => ({ r, s: roomMatchScore(qn, r) })).sort((a, b) => b.s - a.s);
+    if (!roomA && scored[0]?.s >= 3) roomA = scored[0].r;
+    if (!roomB && scored[1]?.s >= 3) roomB = scored[1].r;
+  }
+  return [roomA, roomB];
+}
+
+// sobe nisu prepoznate -> ponudi parove kao quick replies ("Deluxe vs Superior" okida room_difference)
+function comparePairReplies(rooms) {
+  const names = (rooms || []).map(r => r.naziv || r.tipSobe).filter(Boolean).slice(0, 3);
+  const pairs = [];
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) pairs.push(`${names[i]} vs ${names[j]}`);
+  }
+  return quickReplies(pairs);
+}
+
+// rendereri vraćaju i `blocks` (kartice / tablica / kontakt) — `answer` ostaje plain-text fallback
+const ruleEngine = createRuleEngine({
+  renderers: {
+    hotel_core: ({ hotelRec, lang, assistant }) => ({ answer: renderHotelCoreAnswer(hotelRec, lang, assistant), blocks: [contactCard(hotelRec, lang)] }),
+    room_types: ({ rooms, lang }) => ({
+      answer: renderRoomTypesAnswer(rooms, lang),
+      usedRecords: rooms.slice(0, 20).map(roomRef),
+      blocks: rooms.slice(0, 8).map(r => roomCard(r, lang)),
+    }),
+    rooms_by_view: ({ rooms, question, lang }) => ({
+      answer: renderRoomsByViewAnswer(rooms, question, lang),
+      usedRecords: rooms.slice(0, 20).map(roomRef),
+      blocks: findRoomsByView(rooms, question).slice(0, 8).map(r => roomCard(r, lang)),
+    }),
+    room_amenities: ({ rooms, question, lang }) => {
+      const room = findBestRoomMention(question, rooms);
+      return room
+        ? { answer: renderRoomAmenitiesForRoom(room, lang), usedRecords: [roomRef(room)], blocks: [roomCard(room, lang, { amenities: true })] }
+        : {
+          answer: renderRoomAmenitiesGeneral(rooms, lang),
+          usedRecords: rooms.slice(0, 10).map(roomRef),
+          blocks: [listBlock(collectRoomAmenities(rooms), t(lang, 'amenities.generalHeader'))],
+        };
+    },
+    bed_types: ({ rooms, lang }) => ({
+      answer: renderBedTypesAnswer(rooms, lang),
+      usedRecords: rooms.slice(0, 20).map(roomRef),
+      blocks: [listBlock(
+        rooms
+          .filter(r => asArray(r.kreveti).length)
+          .map(r => `${r.naziv || r.tipSobe || r.slug || t(lang, 'room.fallbackName')}: ${asArray(r.kreveti).join(', ')}`),
+        t(lang, 'beds.header'),
+      )],
+    }),
+    room_difference: ({ rooms, question, lang }) => {
+      const [roomA, roomB] = pickRoomsToCompare(question, rooms);
+      return {
+        answer: renderRoomDifference(roomA, roomB, lang),
+        usedRecords: [roomA, roomB].filter(Boolean).map(roomRef),
+        blocks: roomA && roomB
+          ? [comparisonTable(roomA, roomB, lang), quickReplies([roomA, roomB].map(r => t(lang, 'booking.bookRoom', { name: r.naziv || r.tipSobe })))]
+          : [comparePairReplies(rooms)],
+      };
+    },
+  },
+});
+
+async function getAnswerRulesForHotel(hotelSlug) {
+  const rows = await cache.getOrLoad(cacheKey('answerRules'), () => db.listAnswerRules());
+  return buildRuleSet(rows, hotelSlug);
+}
+
+// -------------------------
+// Price hallucination guard
+// -------------------------
+function textContainsCurrency(s) {
+  const t = String(s || '');
+  return /€|\bEUR\b|\beur\b|\beuro\b|\bper night\b|\b\/night\b/i.test(t);
+}
+
+// extra = trusted tekst izvan Airtablea (PMS dostupnost / cijene)
+function contextText(hotelRec, records, chunks = [], extra = '') {
+  const parts = [];
 
   if (hotelRec) {
     parts.push(
@@ -1180,30 +1018,105 @@ function contextContainsCurrency(hotelRec, records) {
     }
   }
 
-  const hay = parts.join('\n');
-  return textContainsCurrency(hay);
+  for (const c of chunks || []) parts.push(c.text);
+  parts.push(extra);
+
+  return parts.join('\n');
+}
+
+function contextContainsCurrency(hotelRec, records, chunks = [], extra = '') {
+  return textContainsCurrency(contextText(hotelRec, records, chunks, extra));
+}
+
+// LLM blockovi: link / telefon / email samo ako postoji u HOTEL CORE, RECORDS ili KB
+function createContextUrlCheck(hotelRec, records, chunks = []) {
+  const hay = [
+    contextText(hotelRec, records, chunks),
+    ...(hotelRec ? [hotelRec.telefon, hotelRec.email, hotelRec.googleMaps, hotelRec.googleReview, hotelRec.instagram] : []),
+  ].join('\n');
+  const hayLower = hay.toLowerCase();
+  const phones = new Set((hay.match(/\+?\d[\d ()/.-]{4,}\d/g) || []).map(telUrl).filter(Boolean));
+  const emails = new Set((hay.match(/[^\s@<>"',;]+@[^\s@<>"',;]+\.[a-z]{2,}/gi) || []).map(mailtoUrl).filter(Boolean).map(x => x.toLowerCase()));
+
+  return url => {
+    if (url.startsWith('tel:')) return phones.has(url);
+    if (url.startsWith('mailto:')) return emails.has(url.toLowerCase());
+    return hayLower.includes(url.replace(/\/$/, '').toLowerCase());
+  };
+}
+
+// LLM contact_card adresa: samo ako je (normalizirana) doslovno u HOTEL CORE, RECORDS ili KB
+function createContextTextCheck(hotelRec, records, chunks = []) {
+  const hay = normalizeText([contextText(hotelRec, records, chunks), hotelRec?.adresa].join('\n'));
+  return text => {
+    const needle = normalizeText(text);
+    return Boolean(needle) && hay.includes(needle);
+  };
 }
 
-function renderNoPriceInfo(lang) {
-  return lang === 'EN'
-    ? `The price is not available in the system. Please contact reception for a quote and availability.`
-    : `Cijena nije dostupna u sustavu. Molim kontaktirajte recepciju za ponudu i dostupnost.`;
+function renderNoPriceInfo(lang, assistant = null) {
+  return [t(lang, 'noPriceInfo'), assistantFallback(assistant, lang)].filter(Boolean).join(' ');
 }
 
-function applyPriceGuard(answer, { lang, hotelRec, recordsToUse }) {
+// ✅ stream verzija: ako kontekst nema cijena (trusted=false), tekst se pušta tek do zadnje
+// granice rečenice — cijena u rečenici koja još nije gotova nikad ne izađe van.
+// Ako se valuta pojavi, stream se zaustavlja i end() vraća renderNoPriceInfo (klijent dobije "replace").
+function createStreamingPriceGuard({ lang, trusted, emit, assistant = null }) {
+  let full = '';
+  let pending = '';
+  let blocked = false;
+
+  function lastBoundary(s) {
+    let idx = -1;
+    const re = /[.!?](\s)|\n/g;
+    let m;
+    while ((m = re.exec(s))) idx = m.index + m[0].length;
+    return idx;
+  }
+
+  return {
+    push(delta) {
+      if (blocked) return;
+      full += delta;
+      if (trusted) {
+        emit(delta);
+        return;
+      }
+      if (textContainsCurrency(full)) {
+        blocked = true;
+        return;
+      }
+      pending += delta;
+      const cut = lastBoundary(pending);
+      if (cut > 0) {
+        emit(pending.slice(0, cut));
+        pending = pending.slice(cut);
+      }
+    },
+
+    end() {
+      if (!blocked && !trusted && textContainsCurrency(full)) blocked = true;
+      if (!blocked && pending) emit(pending);
+      pending = '';
+      return { blocked, text: blocked ? renderNoPriceInfo(lang, assistant) : full.trim() };
+    },
+  };
+}
+
+function applyPriceGuard(answer, { lang, hotelRec, recordsToUse, retrievedChunks = [], availability = '', assistant = null }) {
   if (!answer) return answer;
   if (!textContainsCurrency(answer)) return answer;
 
   // ako u kontekstu nema valuta/cijena, a odgovor ih ima -> presijeci
-  const ok = contextContainsCurrency(hotelRec, recordsToUse);
-  if (!ok) return renderNoPriceInfo(lang);
+  const ok = contextContainsCurrency(hotelRec, recordsToUse, retrievedChunks, availability);
+  if (!ok) return renderNoPriceInfo(lang, assistant);
   return answer;
 }
 
 // -------------------------
 // GPT answer generation (STRICT)
 // -------------------------
-async function generateAnswer({ question, hotelSlug, lang, hotelRec, intentPick, recordsToUse, outputRule }) {
+function buildAnswerMessages({ question, standaloneQuestion = null, history = [], hotelSlug, lang, hotelRec, intentPick, recordsToUse, retrievedChunks = [], availability = '', outputRule, assistant = resolveAssistant(hotelRec), patterns = [] }) {
   const styleText = outputRule
     ? `OUTPUT RULE (Scope=${outputRule.scope}, Format=${outputRule.format}):
 STYLE: ${outputRule.style}
@@ -1252,57 +1165,541 @@ Opis: ${opisShort || '-'}
 AI_PROMPT (internal): ${aiPromptShort || '-'}`;
   });
 
-  const sys = `You are "AI Olly" — a hotel web assistant for website visitors.
+  // ✅ semantički chunkovi iz vector storea (knowledge base)
+  const kbBlocks = retrievedChunks.map((c, idx) => `# KB ${idx + 1} (${c.type}, score=${c.score})
+Naslov: ${c.title || '-'}
+${(c.text || '').slice(0, 1600)}`);
+
+  // ime, ton, duljina, teme i fallback kontakt po hotelu (HOTELI -> assistant.js)
+  const persona = assistantPrompt(assistant, lang, { patterns });
+
+  const sys = `${persona.persona}
 
 ABSOLUTE RULES (no exceptions):
-- You MUST answer hotel-specific facts ONLY using HOTEL CORE or RECORDS provided.
+- You MUST answer hotel-specific facts ONLY using HOTEL CORE, RECORDS or KB provided.
 - If a detail is not present there, you MUST say it's not available and suggest contacting reception.
 - You MUST NOT guess prices, policies, times, services, amenities, room features, phone numbers, addresses, or procedures.
 - This is WEB (website visitor). Do NOT handle in-room complaints or troubleshooting flows; if user reports an in-room issue, direct them to reception.
 - Do NOT repeat greetings unless the user greets first.
-- Keep answers short (1–4 sentences) unless user asks for details.
+${persona.rules}
 - If user asks to LIST things (amenities, beds, views, room types), you MUST output a clean bullet list. Do NOT describe in prose.
 - If multiple items match (e.g., multiple rooms with a view), list ALL relevant items you have in RECORDS.
-- Never output a price unless it exists verbatim in HOTEL CORE or RECORDS.
+- Never output a price unless it exists verbatim in HOTEL CORE, RECORDS, KB or AVAILABILITY.
 
 ${styleText}
 
 Language:
-- If lang=HR respond in Croatian.
-- If lang=EN respond in English.
+- Respond in ${LANG_NAMES[lang] || 'English'} (lang=${lang}), even if RECORDS are written in another language.
 
 Data usage:
-- Keep proper nouns/labels exactly as provided in RECORDS (do not invent or translate them).`;
+- Keep proper nouns/labels exactly as provided in RECORDS (do not invent or translate them).
+- KB entries are ranked by similarity score; ignore KB entries that are not relevant to the question.
+- AVAILABILITY (if present) is live availability and rates from the hotel booking system for the stay in the question.
+  Quote its totals exactly, repeat the dates and guests, and say that reception confirms the booking.
+
+Conversation:
+- "history" holds the previous turns of this chat; use it only to understand what the question refers to.
+- Hotel facts still come ONLY from HOTEL CORE, RECORDS or KB — never from earlier assistant answers.`;
 
   const userPayload = {
     lang,
     hotel_slug: hotelSlug,
     question,
+    standalone_question: (standaloneQuestion && standaloneQuestion !== question) ? standaloneQuestion : undefined,
+    history: history.length ? history.slice(-6) : undefined,
     picked_intent: intentPick?.intent || null,
     confidence: intentPick?.confidence ?? null,
     hotel_core: hotelBlock,
     records: contextBlocks,
+    kb: kbBlocks,
+    availability: availability ? `# AVAILABILITY\n${availability}` : undefined,
   };
 
+  return [
+    { role: 'system', content: sys },
+    { role: 'user', content: JSON.stringify(userPayload) },
+  ];
+}
+
+function toRateLimitError(e) {
+  if (!isOpenAIRateLimitError(e)) return e;
+  const err = new Error('OPENAI_RATE_LIMIT');
+  err._isRate = true;
+  return err;
+}
+
+const ANSWER_BLOCKS_JSON = String(ANSWER_BLOCKS || 'off').toLowerCase() === 'json';
+
+// JSON mode odgovor -> { answer, blocks } ; neispravan JSON -> cijeli tekst je answer
+function parseBlocksReply(content) {
   try {
-    const resp = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      temperature: 0,
-      messages: [
-        { role: 'system', content: sys },
-        { role: 'user', content: JSON.stringify(userPayload) },
-      ],
+    const parsed = JSON.parse(content);
+    if (typeof parsed?.answer === 'string' && parsed.answer.trim()) {
+      return { answer: parsed.answer.trim(), blocks: Array.isArray(parsed.blocks) ? parsed.blocks : [] };
+    }
+  } catch {}
+  return { answer: content, blocks: [] };
+}
+
+// vraća { answer, blocks } — blocks su sirovi (sanitizeBlocks u runWebAsk, gdje je kontekst)
+async function generateAnswer(args) {
+  try {
+    const messages = buildAnswerMessages(args);
+    if (ANSWER_BLOCKS_JSON) messages[0].content += `\n\nOutput format:\n${BLOCKS_PROMPT}`;
+
+    const resp = await llm.chat({ model: ANSWER_MODEL, messages, json: ANSWER_BLOCKS_JSON });
+    trackUsage(args.hotelSlug, resp.usage, { type: 'answer', model: resp.model });
+
+    const content = resp.content.trim();
+    return ANSWER_BLOCKS_JSON ? parseBlocksReply(content) : { answer: content, blocks: [] };
+  } catch (e) {
+    throw toRateLimitError(e);
+  }
+}
+
+// ✅ streaming varijanta (SSE) — isti prompt, tokeni idu u onDelta
+async function streamAnswer(args, { onDelta, signal } = {}) {
+  try {
+    const resp = await llm.stream({ model: ANSWER_MODEL, messages: buildAnswerMessages(args), signal, onDelta });
+    trackUsage(args.hotelSlug, resp.usage, { type: 'answer', model: resp.model });
+    return resp.content.trim();
+  } catch (e) {
+    throw toRateLimitError(e);
+  }
+}
+
+// -------------------------
+// /api/web-ask pipeline — isti tok za JSON i SSE (stream)
+// Vraća { status?, streamed, replaced, body } ; body = { ok, answer, blocks?, suggestions?, answerId, sessionId, meta }
+// -------------------------
+function readWebAskInput(req) {
+  return {
+    question: pickFirstNonEmpty(req.body?.question, req.body?.q, req.query?.question, req.query?.q),
+    hotelSlug: pickFirstNonEmpty(req.widget?.hotelSlug, req.query?.slug, req.body?.slug, HOTEL_SLUG_DEFAULT),
+    sessionId: pickFirstNonEmpty(req.body?.sessionId, req.body?.session_id, req.query?.sessionId),
+    lang: normalizeLang(pickFirstNonEmpty(req.body?.lang, req.query?.lang)),
+    ip: req.headers['x-forwarded-for']?.toString().split(',')[0]?.trim() || req.socket?.remoteAddress || 'unknown',
+  };
+}
+
+// rateLimit = rezultat checkRateLimit iz rute (headeri su već postavljeni)
+async function runWebAsk({ question, hotelSlug, sessionId, lang: langWanted = null }, { onDelta = null, signal, rateLimit = null } = {}) {
+  const started = Date.now();
+
+  if (!question) return { status: 400, body: { ok: false, error: 'Missing question' } };
+
+  // ✅ svaki odgovor ima ID (widget ga šalje natrag na /api/web-ask/feedback)
+  const answerId = newAnswerId();
+
+  // ✅ sesija: ID izdaje server, widget ga vraća kao sessionId
+  const { session } = await sessions.getOrCreate(sessionId, { hotelSlug });
+  const lastTurn = session.turns[session.turns.length - 1] || null;
+  const followUp = Boolean(lastTurn) && isFollowUpQuestion(question);
+
+  // ✅ jezik: eksplicitni `lang` iz widgeta > kratki follow-up ("a deluxe?") nasljeđuje prethodni > detekcija
+  const lang = langWanted
+    || ((followUp && tokenize(question).length <= 3 && lastTurn.lang) ? lastTurn.lang : detectLang(question));
+
+  // 7) STABILNOST: rate limit (IP / sesija / hotel) -> "pričekajte N s"
+  if (rateLimit?.limited) {
+    const ms = Date.now() - started;
+    return {
+      body: { ok: true, answer: renderWait(lang, retryAfterSeconds(rateLimit)), answerId, sessionId: session.id, meta: { hotelSlug, lang, ms, rate_limited: true, rateLimitScope: rateLimit.scope } },
+    };
+  }
+
+  // ✅ dnevni token budžet hotela potrošen -> samo heuristike i deterministički odgovori (bez GPT-a)
+  const budget = await tokenBudget.status(hotelSlug);
+  const llmAllowed = !budget.exhausted;
+
+  // ✅ budžet troška prekoračen -> routing bez GPT-a (heuristike); odgovor i dalje ide kroz GPT
+  const cost = await costBudget.status(hotelSlug);
+  const llmRouting = llmAllowed && !cost.exceeded;
+  const costMeta = cost.exceeded ? { exceeded: cost.exceeded, ...cost[cost.exceeded] } : undefined;
+
+  // svaki odgovor ide u history sesije
+  const reply = async (answer, meta, { streamed = false, replaced = false, blocks = [], suggestions = [] } = {}) => {
+    await sessions.appendTurn(session, { question, standalone: routingQuestion, answer, intent: meta.intent ?? null, lang });
+    const handoff = handoffOffer(answer, meta, lang);
+    const list = compactBlocks(blocks);
+    return {
+      streamed,
+      replaced,
+      body: {
+        ok: true,
+        answer,
+        blocks: list.length ? list : undefined,
+        suggestions: suggestions.length ? suggestions : undefined,
+        answerId,
+        sessionId: session.id,
+        meta: { ...meta, lang, followUp, routingQuestion: followUp ? routingQuestion : undefined, handoff, costBudget: costMeta },
+      },
+    };
+  };
+
+  // ✅ follow-up -> samostalno pitanje (za routing, deterministiku i retrieval)
+  const history = sessions.historyMessages(session);
+  const routingQuestion = followUp ? await rewriteFollowUp(question, session, { useLlm: llmRouting }) : question;
+
+  // ✅ gost eksplicitno traži čovjeka -> ponudi handoff (bez GPT-a)
+  if (isHumanHandoffRequest(question)) {
+    return reply(t(lang, 'handoff.requested'), {
+      hotelSlug,
+      deterministic: 'handoff_request',
+      ms: Date.now() - started,
+    });
+  }
+
+  // ✅ isto pitanje (hotel + jezik + normalizirani tekst) već je odgovoreno -> bez routera i GPT-a
+  // follow-up ovisi o historyju, booking / dostupnost o trenutnom stanju -> nikad iz cachea
+  const cacheable = Boolean(answerCache) && !followUp && !isBookingRequest(routingQuestion) && !(pms && isAvailabilityQuestion(routingQuestion));
+  const answerSource = cacheable ? await answerSourceSignature(hotelSlug) : null;
+  const hit = cacheable ? answerCache.get({ hotelSlug, lang, question: routingQuestion, source: answerSource }) : null;
+  if (hit) {
+    const { answer, blocks, suggestions, meta } = hit.value;
+    return reply(answer, {
+      ...meta,
+      hotelSlug,
+      cached: { match: hit.match, similarity: hit.similarity, cachedAt: hit.cachedAt },
+      ms: Date.now() - started,
+    }, { blocks, suggestions });
+  }
+
+  // 1) patterns + intent
+  const patterns = await getIntentPatternsForWeb();
+  const intentPick = await intentRouter.chooseIntent(routingQuestion, patterns, {
+    history,
+    previousIntent: followUp ? lastTurn?.intent : null,
+    heuristicOnly: !llmRouting,
+    onUsage: (usage, { model } = {}) => trackUsage(hotelSlug, usage, { type: 'router', model }),
+  });
+
+  // 2) load knowledge (cached filtered lists)
+  const { hotelRec, services, rooms, matched, fallback, all } = await fetchKnowledgeRows({
+    hotelSlug,
+    intent: intentPick.intent,
+    question: routingQuestion,
+  });
+
+  // ✅ asistent po hotelu: ime / ton / duljina / dopuštene teme / fallback kontakt
+  const assistant = resolveAssistant(hotelRec);
+
+  // ✅ 2–3 predložena sljedeća pitanja (samo iz podataka koje hotel ima)
+  const suggest = records => suggestFollowUps({
+    lang,
+    question: routingQuestion,
+    intent: intentPick.intent,
+    records,
+    patterns,
+    services,
+    rooms,
+    asked: session.turns.flatMap(x => [x.q, x.standalone]).filter(Boolean),
+  });
+
+  // ✅ gost želi rezervirati -> ponudi booking flow (widget: POST /api/booking/start s meta.booking.prefill)
+  if (isBookingRequest(routingQuestion)) {
+    return reply(t(lang, 'booking.offer'), {
+      hotelSlug,
+      intent: intentPick.intent,
+      deterministic: 'booking_request',
+      booking: {
+        offered: true,
+        prefill: bookingPrefill(routingQuestion, { rooms, room: findBestRoomMention(routingQuestion, rooms) }),
+      },
+      ms: Date.now() - started,
+    });
+  }
+
+  // ✅ hotel je ograničio teme (allowedTopics) -> intent izvan liste ne ide u pravila ni LLM
+  if (!isTopicAllowed(assistant, intentPick.intent, patterns)) {
+    return reply([t(lang, 'assistant.offTopic'), assistantFallback(assistant, lang)].filter(Boolean).join(' '), {
+      hotelSlug,
+      intent: intentPick.intent,
+      confidence: intentPick.confidence ?? null,
+      deterministic: 'topic_not_allowed',
+      ms: Date.now() - started,
+    });
+  }
+
+  // ✅ dostupnost / cijene (PMS): datumi iz pitanja -> quote -> AVAILABILITY kontekst za LLM
+  let availability = null;
+  const stay = pms ? extractStay(routingQuestion) : null;
+  if (stay && isAvailabilityQuestion(routingQuestion, stay)) {
+    if (!stay.checkIn) {
+      return reply(t(lang, 'pms.needDates'), {
+        hotelSlug,
+        intent: intentPick.intent,
+        deterministic: 'availability_dates',
+        availability: { adapter: pms.name, missing: 'dates', nights: stay.nightsAsked, month: stay.month },
+        ms: Date.now() - started,
+      });
+    }
+    availability = await quoteAvailability({ hotelSlug, stay, question: routingQuestion, rooms });
+  }
+
+  // 3) deterministička pravila (rules.js + AI_ANSWER_RULES iz Airtablea), prvo pravilo po prioritetu
+  // (pitanje s PMS ponudom ide u LLM — "deluxe vs superior za 3.-5.8." treba cijene, ne tablicu soba)
+  const ruleSet = await getAnswerRulesForHotel(hotelSlug);
+  const ruleHit = availability?.text ? null : ruleEngine.run(routingQuestion, ruleSet, { lang, hotelRec, rooms, services, assistant });
+  if (ruleHit) {
+    const ruleIds = new Set(ruleHit.usedRecords.map(r => String(r.id)));
+    const ms = Date.now() - started;
+    return reply(ruleHit.answer, {
+      hotelSlug,
+      intent: intentPick.intent,
+      confidence: intentPick.confidence ?? null,
+      scopeWanted: 'General',
+      usedRecords: ruleHit.usedRecords,
+      usedFallback: false,
+      usedLinked: false,
+      deterministic: ruleHit.rule.id,
+      rule: { id: ruleHit.rule.id, source: ruleHit.rule.source, priority: ruleHit.rule.priority },
+      totalWebRecordsForHotel: all.length,
+      ms,
+    }, { blocks: ruleHit.blocks, suggestions: suggest(all.filter(r => ruleIds.has(String(r.id)))) });
+  }
+
+  // 6) Ako intent postoji i pattern ima linked recorde -> koristi njih (PRIMARNO)
+  let recordsToUse = [];
+  let usedLinked = false;
+
+  if (intentPick.intent) {
+    const p = patterns.find(x => String(x.intent) === String(intentPick.intent));
+    const svcIds = asArray(p?.servicesLink);
+    const roomIds = asArray(p?.roomsLink);
+
+    // ✅ učitaj linked recorde direktno po ID-ju (ne ovisi o filteru po slug-u)
+    const [svcRows, roomRows] = await Promise.all([
+      db.findServicesByIds(svcIds, 30),
+      db.findRoomsByIds(roomIds, 30),
+    ]);
+
+    const linkedServices = svcRows.filter(r =>
+      r.active &&
+      allowForWeb(r.aiSource) &&
+      (!valuesToStrings(r.hotelSlugRaw).length || matchesHotelSlug(r.hotelSlugRaw, hotelSlug))
+    );
+
+    const linkedRooms = roomRows.filter(r =>
+      r.active &&
+      allowForWeb(r.aiSource) &&
+      (!valuesToStrings(r.hotelSlugRaw).length || matchesHotelSlug(r.hotelSlugRaw, hotelSlug))
+    );
+
+    const linked = [...linkedServices, ...linkedRooms];
+
+    if (linked.length) {
+      recordsToUse = linked;
+      usedLinked = true;
+    }
+  }
+
+  // 3) fallback na AI_INTENT tagging ako nema linked
+  if (!recordsToUse.length) {
+    recordsToUse = matched.length ? matched : fallback;
+  }
+
+  // 6) dodatni micro-fallback: ako i dalje prazno, probaj scoring iz ALL
+  if (!recordsToUse.length) {
+    const extra = pickFallbackRecords(routingQuestion, all, 3);
+    if (extra.length) recordsToUse = extra;
+  }
+
+  // ✅ token budžet potrošen -> nema GPT odgovora; widget nudi kontakt recepcije (hard stop)
+  if (!llmAllowed) {
+    return reply(renderNoInfo(lang, assistant), {
+      hotelSlug,
+      hardStop: 'token_budget',
+      intent: intentPick.intent,
+      confidence: intentPick.confidence ?? null,
+      tokenBudget: { limit: budget.limit, used: budget.used, resetAt: budget.resetAt },
+      ms: Date.now() - started,
     });
+  }
 
-    return resp.choices?.[0]?.message?.content?.trim() || '';
+  // ✅ semantički retrieval (vector store) — top-k chunkovi idu uz HOTEL CORE
+  const retrieval = await retrieveChunks({ question: routingQuestion, hotelSlug });
+  const scoreById = new Map(retrieval.chunks.filter(c => c.recordId).map(c => [String(c.recordId), c.score]));
+  const usedIds = new Set(recordsToUse.map(r => String(r.id)));
+  // chunk koji je već u RECORDS ne šaljemo dvaput
+  const retrievedChunks = retrieval.chunks.filter(c => !usedIds.has(String(c.recordId)));
+  const retrievalMeta = { backend: retrieval.backend, hits: retrieval.chunks.length, ms: retrieval.ms };
+
+  // 6) HARD STOP: hotel-specific bez podataka -> nema GPT-a (osim city pitanja)
+  if (isHotelSpecificQuestion(routingQuestion) && !recordsToUse.length && !retrievedChunks.length && !hotelRec && !availability?.text && !isCityQuestion(routingQuestion)) {
+    const ms = Date.now() - started;
+    return reply(renderNoInfo(lang, assistant), {
+      hotelSlug,
+      hardStop: 'no_info',
+      intent: intentPick.intent,
+      confidence: intentPick.confidence ?? null,
+      scopeWanted: 'General',
+      usedRecords: [],
+      usedFallback: false,
+      usedLinked,
+      retrieval: retrievalMeta,
+      totalWebRecordsForHotel: all.length,
+      ms,
+    });
+  }
+
+  // output scope + output rule
+  let scopeWanted = 'General';
+  if (intentPick?.intent) {
+    const p = patterns.find(x => String(x.intent) === String(intentPick.intent));
+    scopeWanted = (p?.outputScope || intentPick.outputScope || 'General');
+  }
+
+  let outputRule = await getOutputRule({ scopeWanted, aiSourceWanted: 'WEB' });
+  if (!outputRule && String(scopeWanted).toLowerCase() !== 'general') {
+    outputRule = await getOutputRule({ scopeWanted: 'General', aiSourceWanted: 'WEB' });
+  }
+
+  // 2) Generate answer (strict) — stream ako klijent sluša SSE
+  const answerArgs = {
+    question,
+    standaloneQuestion: routingQuestion,
+    history,
+    hotelSlug,
+    lang,
+    hotelRec,
+    intentPick,
+    recordsToUse,
+    retrievedChunks,
+    availability: availability?.text || '',
+    outputRule,
+    assistant,
+    patterns,
+  };
+
+  let answer = '';
+  let blocks = [];
+  let priceGuarded = false;
+  try {
+    if (onDelta) {
+      // ✅ price guard i na streamu: bez cijena u kontekstu tekst izlazi tek kad je rečenica provjerena
+      const guard = createStreamingPriceGuard({
+        lang,
+        trusted: contextContainsCurrency(hotelRec, recordsToUse, retrievedChunks, answerArgs.availability),
+        emit: onDelta,
+        assistant,
+      });
+      await streamAnswer(answerArgs, { onDelta: guard.push, signal });
+      ({ text: answer, blocked: priceGuarded } = guard.end());
+    } else {
+      const raw = await generateAnswer(answerArgs);
+      // ✅ anti-hallucination guard za cijene
+      answer = applyPriceGuard(raw.answer, { lang, hotelRec, recordsToUse, retrievedChunks, availability: answerArgs.availability, assistant });
+      priceGuarded = answer !== raw.answer;
+
+      // ✅ LLM blockovi: isti guard (cijena u blocku -> bez blockova) + samo linkovi i adresa iz konteksta
+      if (!priceGuarded && raw.blocks.length) {
+        blocks = sanitizeBlocks(raw.blocks, {
+          allowUrl: createContextUrlCheck(hotelRec, recordsToUse, retrievedChunks),
+          allowText: createContextTextCheck(hotelRec, recordsToUse, retrievedChunks),
+        });
+        if (textContainsCurrency(blocksText(blocks)) && !contextContainsCurrency(hotelRec, recordsToUse, retrievedChunks, answerArgs.availability)) blocks = [];
+      }
+    }
   } catch (e) {
-    if (isOpenAIRateLimitError(e)) {
-      const err = new Error('OPENAI_RATE_LIMIT');
-      err._isRate = true;
-      throw err;
+    if (e?._isRate || String(e?.message || '') === 'OPENAI_RATE_LIMIT' || isOpenAIRateLimitError(e)) {
+      const ms = Date.now() - started;
+      return {
+        body: { ok: true, answer: renderWait(lang), answerId, sessionId: session.id, meta: { hotelSlug, lang, ms, openai_rate_limited: true } },
+      };
     }
     throw e;
   }
+
+  const ms = Date.now() - started;
+  const suggestions = suggest(recordsToUse);
+  const answerMeta = {
+    intent: intentPick.intent,
+    confidence: intentPick.confidence ?? null,
+    scopeWanted,
+    usedRecords: describeUsedRecords(recordsToUse, retrievedChunks, scoreById),
+    usedFallback: (!matched.length && fallback.length) ? true : false,
+    usedLinked,
+    priceGuarded,
+  };
+
+  // odgovor s live dostupnošću (PMS) se ne cachea — cijene i zauzetost se mijenjaju mimo Airtablea
+  if (cacheable && answer && !availability) {
+    answerCache.set({ hotelSlug, lang, question: routingQuestion, source: answerSource }, { answer, blocks, suggestions, meta: answerMeta });
+  }
+
+  return reply(answer, {
+    hotelSlug,
+    ...answerMeta,
+    retrieval: retrievalMeta,
+    availability: availability?.meta,
+    totalWebRecordsForHotel: all.length,
+    ms,
+  }, { streamed: Boolean(onDelta), replaced: priceGuarded, blocks, suggestions });
+}
+
+// -------------------------
+// Conversation log entry (route + unanswered)
+// -------------------------
+const NO_INFO_TEXTS = SUPPORTED_LANGS.flatMap(l => [t(l, 'noInfo'), t(l, 'noPriceInfo')]);
+
+// noInfo / hard stop / eksplicitni zahtjev -> widget nudi formu za kontakt
+function handoffOffer(answer, meta, lang) {
+  const reason = meta.deterministic === 'handoff_request' ? 'requested'
+    : meta.hardStop ? 'hard_stop'
+      : NO_INFO_TEXTS.some(x => String(answer).includes(x)) ? 'no_info'
+        : null;
+  return reason ? { offered: true, reason, prompt: t(lang, 'handoff.offer') } : undefined;
+}
+
+function routeOf(meta = {}) {
+  if (meta.rate_limited) return 'rate_limited';
+  if (meta.openai_rate_limited) return 'openai_rate_limited';
+  if (meta.hardStop) return meta.hardStop;
+  if (meta.deterministic) return `deterministic:${meta.deterministic}`;
+  if (meta.cached) return 'cached';
+  return 'llm';
+}
+
+function logExchange(input, out, { streamed = false } = {}) {
+  const body = out?.body;
+  if (!body?.ok || !body.answer) return;
+  const meta = body.meta || {};
+  const route = routeOf(meta);
+  const usedRecords = (meta.usedRecords || []).filter(r => r?.id).map(r => ({ type: r.type, id: r.id, naziv: r.naziv }));
+
+  answers.remember(body.answerId, {
+    hotelSlug: input.hotelSlug,
+    sessionId: body.sessionId ?? null,
+    lang: meta.lang ?? null,
+    question: input.question,
+    route,
+    intent: meta.intent ?? null,
+    usedRecords,
+  });
+
+  conversationLog.record({
+    answerId: body.answerId,
+    hotelSlug: input.hotelSlug,
+    sessionId: body.sessionId ?? null,
+    lang: meta.lang ?? input.lang ?? null,
+    question: input.question,
+    routingQuestion: meta.routingQuestion,
+    answer: body.answer,
+    route,
+    intent: meta.intent ?? null,
+    confidence: meta.confidence ?? null,
+    usedRecords: usedRecords.map(r => r.id),
+    usedFallback: Boolean(meta.usedFallback),
+    usedLinked: Boolean(meta.usedLinked),
+    retrievalHits: meta.retrieval?.hits ?? 0,
+    priceGuarded: Boolean(meta.priceGuarded),
+    // ✅ "bez odgovora": hard stop ili renderer/guard vratio noInfo/noPriceInfo poruku
+    unanswered: route === 'no_info' || NO_INFO_TEXTS.some(x => body.answer.includes(x)),
+    followUp: Boolean(meta.followUp),
+    streamed,
+    ms: meta.ms ?? null,
+  });
 }
 
 // -------------------------
@@ -1322,6 +1719,8 @@ app.get('/api/debug', async (req, res) => {
       ok: true,
       time: nowIso(),
       build: BUILD,
+      dataSource: db.name,
+      llm: { provider: llm.name, routerModel: ROUTER_MODEL, answerModel: ANSWER_MODEL },
       hotelSlug,
       counts: {
         hotelRecordFound: Boolean(hotelRec),
@@ -1341,310 +1740,465 @@ app.get('/api/debug', async (req, res) => {
   }
 });
 
-app.post('/api/web-ask', async (req, res) => {
-  const started = Date.now();
+// -------------------------
+// Widget bootstrap: ime asistenta, pozdrav i jezici po hotelu (?slug=&lang=; bez lang -> Accept-Language)
+// -------------------------
+app.get('/api/widget/bootstrap', async (req, res) => {
+  try {
+    const { hotelSlug } = readWebAskInput(req);
+    const hotelRec = await getHotelRecord(hotelSlug);
+    if (!hotelRec) return res.status(404).json({ ok: false, error: 'Unknown hotel' });
 
+    const lang = normalizeLang(req.query?.lang) || normalizeLang(req.acceptsLanguages(...SUPPORTED_LANGS.map(l => l.toLowerCase()))) || 'EN';
+    res.json({
+      ok: true,
+      hotel: { slug: hotelRec.slug || hotelSlug, name: hotelRec.hotelNaziv || null },
+      lang,
+      languages: SUPPORTED_LANGS,
+      assistant: publicAssistant(resolveAssistant(hotelRec), lang),
+      features: { streaming: true, handoff: true, booking: true, availability: Boolean(pms) },
+    });
+  } catch (e) {
+    console.error('bootstrap error:', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// -------------------------
+// Admin API (cache) + Airtable webhook
+// -------------------------
+async function warmHotelCache(hotelSlug) {
+  const [hotelRec, services, rooms, intents, outputRules, answerRules] = await Promise.all([
+    getHotelRecord(hotelSlug),
+    getServicesForHotelWeb(hotelSlug),
+    getRoomsForHotelWeb(hotelSlug),
+    getIntentPatternsForWeb(),
+    loadOutputRules(),
+    getAnswerRulesForHotel(hotelSlug),
+  ]);
+  return {
+    hotelRecordFound: Boolean(hotelRec),
+    services: services.length,
+    rooms: rooms.length,
+    intents: intents.length,
+    outputRules: outputRules.length,
+    answerRules: answerRules.length,
+  };
+}
+
+app.use(createAdminRouter({
+  adminToken: ADMIN_TOKEN,
+  webhookSecret: AIRTABLE_WEBHOOK_SECRET,
+  cache,
+  tableNames: airtableTableNames(process.env),
+  warmUp: warmHotelCache,
+  defaultHotelSlug: HOTEL_SLUG_DEFAULT,
+  conversationLog,
+  feedbackStore,
+  tickets,
+  bookings,
+  widgetKeys,
+  answerCache,
+  usageLog,
+  costBudget,
+}));
+
+app.post('/api/web-ask', async (req, res) => {
   try {
-    const question = pickFirstNonEmpty(req.body?.question, req.body?.q);
-    const hotelSlug = pickFirstNonEmpty(req.query?.slug, req.body?.slug, HOTEL_SLUG_DEFAULT);
-    const lang = detectLang(question);
+    const input = readWebAskInput(req);
+    const rateLimit = await checkRateLimit(res, input);
+    const out = await runWebAsk(input, { rateLimit });
+    logExchange(input, out);
+    res.status(out.status || 200).json(out.body);
+  } catch (e) {
+    console.error('web-ask error:', e);
 
-    if (!question) return res.status(400).json({ ok: false, error: 'Missing question' });
+    // 7) ako je OpenAI “zakucao” zbog rate limit / overload -> poruka 20s
+    const { question, lang: langWanted } = readWebAskInput(req);
+    const lang = langWanted || detectLang(question);
+    if (isOpenAIRateLimitError(e)) {
+      return res.json({ ok: true, answer: renderWait(lang), answerId: newAnswerId(), meta: { openai_rate_limited: true } });
+    }
 
-    // 7) STABILNOST: local rate limit -> "pričekaj 20s"
-    const ip = req.headers['x-forwarded-for']?.toString().split(',')[0]?.trim() || req.socket?.remoteAddress || 'unknown';
-    if (shouldRateLimit(ip)) {
-      const ms = Date.now() - started;
-      return res.json({
-        ok: true,
-        answer: renderWait20s(lang),
-        meta: { hotelSlug, ms, rate_limited: true }
-      });
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// -------------------------
+// SSE: /api/web-ask/stream (POST za widget, GET za EventSource)
+// events: token {text} | replace {answer} | done {ok, answer, sessionId, meta} | error {ok:false, error}
+// -------------------------
+function sseSend(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function handleWebAskStream(req, res) {
+  const input = readWebAskInput(req);
+  if (!input.question) return res.status(400).json({ ok: false, error: 'Missing question' });
+  const rateLimit = await checkRateLimit(res, input);
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  // klijent zatvorio vezu -> prekini OpenAI stream
+  const abort = new AbortController();
+  res.on('close', () => abort.abort());
+
+  try {
+    const out = await runWebAsk(input, {
+      onDelta: text => sseSend(res, 'token', { text }),
+      signal: abort.signal,
+      rateLimit,
+    });
+
+    if (out.status && out.status !== 200) {
+      sseSend(res, 'error', out.body);
+    } else {
+      // deterministički odgovori (i poruke bez GPT-a) idu kao jedan event
+      if (!out.streamed) sseSend(res, 'token', { text: out.body.answer });
+      else if (out.replaced) sseSend(res, 'replace', { answer: out.body.answer });
+      sseSend(res, 'done', out.body);
+      logExchange(input, out, { streamed: true });
+    }
+  } catch (e) {
+    if (!abort.signal.aborted) {
+      console.error('web-ask stream error:', e);
+      if (isOpenAIRateLimitError(e)) {
+        const answer = renderWait(input.lang || detectLang(input.question));
+        sseSend(res, 'replace', { answer });
+        sseSend(res, 'done', { ok: true, answer, answerId: newAnswerId(), meta: { openai_rate_limited: true } });
+      } else {
+        sseSend(res, 'error', { ok: false, error: 'Server error' });
+      }
     }
+  } finally {
+    if (!res.writableEnded) res.end();
+  }
+}
+
+app.post('/api/web-ask/stream', handleWebAskStream);
+app.get('/api/web-ask/stream', handleWebAskStream);
+
+// -------------------------
+// Handoff: { slug, sessionId, answerId?, question?, email | phone, name?, message?, lang? }
+// -------------------------
+app.post('/api/handoff', async (req, res) => {
+  try {
+    const { hotelSlug, sessionId, ip, lang: langWanted } = readWebAskInput(req);
+    const contact = normalizeContact(req.body || {});
+    const answerId = pickFirstNonEmpty(req.body?.answerId);
+    const message = pickFirstNonEmpty(req.body?.message).slice(0, 2000);
 
-    // 1) patterns + intent
-    const patterns = await getIntentPatternsForWeb();
-    const intentPick = await chooseIntent(question, patterns);
+    if (!contact.email && !contact.phone) return res.status(400).json({ ok: false, error: 'Valid email or phone required' });
+    if ((await checkRateLimit(res, { ip, sessionId, hotelSlug })).limited) return res.status(429).json({ ok: false, error: 'Too many requests' });
 
-    // 2) load knowledge (cached filtered lists)
-    const { hotelRec, services, rooms, matched, fallback, all } = await fetchKnowledgeRows({
+    // transkript iz sesije (samo ako sesija pripada ovom hotelu)
+    const s = sessionId ? await sessions.store.get(sessionId) : null;
+    const session = s && s.hotelSlug === hotelSlug ? s : null;
+    const transcript = (session?.turns || []).map(turn => ({ q: turn.q, a: turn.a, ts: turn.ts }));
+    const lastTurn = transcript[transcript.length - 1] || null;
+
+    const ctx = isAnswerId(answerId) ? answers.get(answerId) : null;
+    const question = pickFirstNonEmpty(req.body?.question, ctx?.question, lastTurn?.q).slice(0, 2000);
+    if (!question && !message) return res.status(400).json({ ok: false, error: 'Missing question' });
+
+    const lang = langWanted || ctx?.lang || session?.turns?.at(-1)?.lang || detectLang(question || message);
+    const hotel = await getHotelRecord(hotelSlug);
+    const to = pickFirstNonEmpty(hotel?.email, HANDOFF_FALLBACK_EMAIL) || null;
+
+    const ticket = await tickets.create({
       hotelSlug,
-      intent: intentPick.intent,
-      question,
+      sessionId: session?.id || null,
+      answerId: ctx ? answerId : null,
+      lang,
+      contact,
+      question: question || message,
+      message: question ? message || null : null,
+      transcript,
+      notifiedTo: to,
     });
 
-    // ✅ 0) Deterministički: HOTEL core (kontakt / maps / check-in-out)
-    if (isContactCoreQuestion(question)) {
-      const answer = renderHotelCoreAnswer(hotelRec, lang);
-      const ms = Date.now() - started;
-      return res.json({
-        ok: true,
-        answer,
-        meta: {
-          hotelSlug,
-          deterministic: 'hotel_core',
-          ms,
-        },
-      });
+    let status;
+    try {
+      const sent = await handoffNotifier.send({ to, hotel, ...ticketMessage(ticket, hotel) });
+      status = sent.delivered === false ? 'logged' : 'sent';
+      await tickets.update(ticket.id, { status, notifiedVia: sent.via, notifiedAt: nowIso(), messageId: sent.messageId ?? null });
+    } catch (e) {
+      console.error(`handoff notify error (${ticket.id}):`, e);
+      await tickets.update(ticket.id, { status: 'failed', notifyError: String(e?.message || e) });
+      return res.status(502).json({ ok: false, error: 'Could not notify reception', ticketId: ticket.id });
     }
 
-    // 4) Deterministički: “vrste soba”
-    if (isRoomTypesQuestion(question)) {
-      const answer = renderRoomTypesAnswer(rooms, lang);
-      const ms = Date.now() - started;
-      return res.json({
-        ok: true,
-        answer,
-        meta: {
-          hotelSlug,
-          intent: intentPick.intent,
-          confidence: intentPick.confidence ?? null,
-          scopeWanted: 'General',
-          usedRecords: rooms.slice(0, 20).map(r => ({ type: r.type, naziv: r.naziv, id: r.id })),
-          usedFallback: false,
-          usedLinked: false,
-          deterministic: 'room_types',
-          totalWebRecordsForHotel: all.length,
-          ms,
-        },
-      });
-    }
+    // gostu ne tvrdimo da je recepcija obaviještena ako je ticket samo zapisan
+    res.json({ ok: true, ticketId: ticket.id, status, answer: t(lang, status === 'sent' ? 'handoff.created' : 'handoff.logged') });
+  } catch (e) {
+    console.error('handoff error:', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
 
-    // ✅ Deterministički: “Which rooms have UNESCO/Palace view?”
-    if (isRoomViewListQuestion(question)) {
-      const answer = renderRoomsByViewAnswer(rooms, question, lang);
-      const ms = Date.now() - started;
-      return res.json({
-        ok: true,
-        answer,
-        meta: {
-          hotelSlug,
-          deterministic: 'rooms_by_view',
-          usedRecords: rooms.slice(0, 20).map(r => ({ type: 'ROOM', naziv: r.naziv, id: r.id })),
-          totalWebRecordsForHotel: all.length,
-          ms,
-        },
-      });
-    }
+// widget polla status ticketa (bez kontakta i transkripta)
+app.get('/api/handoff/:ticketId', async (req, res) => {
+  try {
+    const id = String(req.params.ticketId || '');
+    if (!isTicketId(id)) return res.status(400).json({ ok: false, error: 'Invalid ticketId' });
+    const ticket = await tickets.get(id);
+    if (!ticket || !visibleToWidget(req, ticket.hotelSlug)) return res.status(404).json({ ok: false, error: 'Unknown ticketId' });
+    res.json({ ok: true, ticket: publicTicket(ticket) });
+  } catch (e) {
+    console.error('handoff status error:', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
 
-    // 4) Deterministički: amenities (general ili za određenu sobu)
-    if (isRoomAmenitiesQuestion(question)) {
-      const room = findBestRoomMention(question, rooms);
-      const answer = room
-        ? renderRoomAmenitiesForRoom(room, lang)
-        : renderRoomAmenitiesGeneral(rooms, lang);
+// -------------------------
+// Booking zahtjev: start -> step (dates, guests, room, name, contact) -> submit
+// Odgovor: { ok, booking, step, prompt, options? } — widget prikazuje prompt i šalje sljedeći korak
+// -------------------------
+async function quoteBookingStay(b) {
+  if (!pms || !b.stay || !b.guests) return null;
+  try {
+    return await pms.quote({ hotelSlug: b.hotelSlug, checkIn: b.stay.checkIn, checkOut: b.stay.checkOut, adults: b.guests.adults, children: b.guests.children });
+  } catch (e) {
+    console.error('booking pms quote error:', e);
+    return null;
+  }
+}
 
-      const ms = Date.now() - started;
-      return res.json({
-        ok: true,
-        answer,
-        meta: {
-          hotelSlug,
-          intent: intentPick.intent,
-          confidence: intentPick.confidence ?? null,
-          scopeWanted: 'General',
-          usedRecords: room ? [{ type: 'ROOM', naziv: room.naziv, id: room.id }] : rooms.slice(0, 10).map(r => ({ type: 'ROOM', naziv: r.naziv, id: r.id })),
-          usedFallback: false,
-          usedLinked: false,
-          deterministic: 'room_amenities',
-          totalWebRecordsForHotel: all.length,
-          ms,
-        },
-      });
-    }
+async function bookingView(b, lang) {
+  const step = nextBookingStep(b);
+  const out = { ok: true, booking: publicBooking(b), step, steps: BOOKING_STEPS };
+
+  if (step === 'room') {
+    const rooms = await getRoomsForHotelWeb(b.hotelSlug);
+    const quote = await quoteBookingStay(b);
+    const guests = b.guests.adults + b.guests.children;
+    out.options = rooms
+      .filter(r => !(Number(r.kapacitet) > 0 && guests > Number(r.kapacitet)))
+      .map(r => {
+        const q = quote?.rooms?.find(x => (x.roomId && String(x.roomId) === String(r.id)) || x.roomType === String(r.slug || ''));
+        return {
+          id: r.id,
+          naziv: r.naziv || r.tipSobe || r.slug,
+          kapacitet: r.kapacitet ?? null,
+          available: q ? q.available : null,
+          total: q?.available ? q.total : null,
+          currency: q?.available ? quote.currency : null,
+        };
+      })
+      .filter(o => o.available !== false);
+  }
 
-    // 4) Deterministički: bed types / twin vs king  ✅ FIX: više nema substring provjere "king"
-    if (isBedTypeQuestion(question)) {
-      const answer = renderBedTypesAnswer(rooms, lang);
-      const ms = Date.now() - started;
-      return res.json({
-        ok: true,
-        answer,
-        meta: {
-          hotelSlug,
-          intent: intentPick.intent,
-          confidence: intentPick.confidence ?? null,
-          scopeWanted: 'General',
-          usedRecords: rooms.slice(0, 20).map(r => ({ type: r.type, naziv: r.naziv, id: r.id })),
-          usedFallback: false,
-          usedLinked: false,
-          deterministic: 'bed_types',
-          totalWebRecordsForHotel: all.length,
-          ms,
-        },
-      });
-    }
+  out.prompt = step === 'confirm'
+    ? t(lang, 'booking.confirm', {
+      room: b.room.naziv,
+      checkIn: b.stay.checkIn,
+      checkOut: b.stay.checkOut,
+      nights: b.stay.nights,
+      adults: b.guests.adults,
+      children: b.guests.children,
+      name: b.guest.name,
+      contact: bookingContactText(b),
+    })
+    : t(lang, `booking.${step}`);
+  return out;
+}
 
-    // 5) Room difference handler (robustnije: pokušaj izdvojiti 2 segmenta)
-    if (isRoomDifferenceQuestion(question)) {
-      const [partA, partB] = splitIntoTwoRoomQueries(question);
+// korak -> patch (room treba SOBE + PMS quote); greška -> { error, vars }
+async function runBookingStep(b, step, value) {
+  const ctx = step === 'room'
+    ? { rooms: await getRoomsForHotelWeb(b.hotelSlug), quote: await quoteBookingStay(b) }
+    : {};
+  return applyBookingStep(b, step, value, ctx);
+}
 
-      const roomA = findBestRoomMention(partA, rooms);
-      const roomB = findBestRoomMention(partB, rooms);
+// draft iz :id (400 / 404 / 409 / 410 -> res), inače booking
+async function loadDraft(req, res) {
+  const id = String(req.params.bookingId || '');
+  if (!isBookingId(id)) return void res.status(400).json({ ok: false, error: 'Invalid bookingId' });
+  const b = await bookings.get(id);
+  if (!b || !visibleToWidget(req, b.hotelSlug)) return void res.status(404).json({ ok: false, error: 'Unknown bookingId' });
+  if (b.status !== 'draft') return void res.status(409).json({ ok: false, error: `Booking is ${b.status}`, booking: publicBooking(b) });
+  if (bookings.isExpired(b)) return void res.status(410).json({ ok: false, error: 'Booking draft expired' });
+  return b;
+}
 
-      // fallback: ako ne nađe iz segmenata, uzmi top2 po score
-      let finalA = roomA;
-      let finalB = roomB;
+// { slug, sessionId?, lang?, prefill?: { dates, guests, room } } — otvoreni draft iste sesije se nastavlja
+app.post('/api/booking/start', async (req, res) => {
+  try {
+    const { hotelSlug, sessionId, ip, lang: langWanted } = readWebAskInput(req);
+    if ((await checkRateLimit(res, { ip, sessionId, hotelSlug })).limited) return res.status(429).json({ ok: false, error: 'Too many requests' });
 
-      if (!finalA || !finalB) {
-        const qn = normalizeText(question);
-        const scored = (rooms || []).map(r => ({ r, s: roomMatchScore(qn, r) })).sort((a, b) => b.s - a.s);
-        if (!finalA && scored[0]?.s >= 3) finalA = scored[0].r;
-        if (!finalB && scored[1]?.s >= 3) finalB = scored[1].r;
-      }
+    const s = sessionId ? await sessions.store.get(sessionId) : null;
+    const session = s && s.hotelSlug === hotelSlug ? s : null;
+    const lang = langWanted || session?.turns?.at(-1)?.lang || 'EN';
 
-      const answer = renderRoomDifference(finalA, finalB, lang);
-      const ms = Date.now() - started;
-      return res.json({
-        ok: true,
-        answer,
-        meta: {
-          hotelSlug,
-          intent: intentPick.intent,
-          confidence: intentPick.confidence ?? null,
-          scopeWanted: 'General',
-          usedRecords: [finalA, finalB].filter(Boolean).map(r => ({ type: 'ROOM', naziv: r.naziv, id: r.id })),
-          usedFallback: false,
-          usedLinked: false,
-          deterministic: 'room_difference',
-          totalWebRecordsForHotel: all.length,
-          ms,
-        },
-      });
-    }
+    const open = await bookings.findOpen({ hotelSlug, sessionId: session?.id });
+    if (open) return res.json({ ...(await bookingView(open, langWanted || open.lang)), resumed: true });
 
-    // 6) Ako intent postoji i pattern ima linked recorde -> koristi njih (PRIMARNO)
-    let recordsToUse = [];
-    let usedLinked = false;
-
-    if (intentPick.intent) {
-      const p = patterns.find(x => String(x.intent) === String(intentPick.intent));
-      const svcIds = asArray(p?.servicesLink);
-      const roomIds = asArray(p?.roomsLink);
-
-      // ✅ učitaj linked recorde direktno po ID-ju (ne ovisi o filteru po slug-u)
-      const [svcRecs, roomRecs] = await Promise.all([
-        airtableFindByIds(TABLE_SERVICES, svcIds, 30),
-        airtableFindByIds(TABLE_ROOMS, roomIds, 30),
-      ]);
-
-      const linkedServices = svcRecs.map(mapServiceRecord).filter(r =>
-        r.active &&
-        allowForWeb(r.aiSource) &&
-        (!valuesToStrings(r.hotelSlugRaw).length || matchesHotelSlug(r.hotelSlugRaw, hotelSlug))
-      );
-
-      const linkedRooms = roomRecs.map(mapRoomRecord).filter(r =>
-        r.active &&
-        allowForWeb(r.aiSource) &&
-        (!valuesToStrings(r.hotelSlugRaw).length || matchesHotelSlug(r.hotelSlugRaw, hotelSlug))
-      );
-
-      const linked = [...linkedServices, ...linkedRooms];
-
-      if (linked.length) {
-        recordsToUse = linked;
-        usedLinked = true;
-      }
-    }
+    let b = await bookings.create({ hotelSlug, sessionId: session?.id || null, lang });
 
-    // 3) fallback na AI_INTENT tagging ako nema linked
-    if (!recordsToUse.length) {
-      recordsToUse = matched.length ? matched : fallback;
+    // prefill iz chata (meta.booking.prefill) — što ne prođe validaciju, gost unosi u koraku
+    const prefill = req.body?.prefill || {};
+    for (const step of ['dates', 'guests', 'room']) {
+      if (prefill[step] == null) continue;
+      const out = await runBookingStep(b, step, prefill[step]);
+      if (out.ok) b = await bookings.update(b.id, out.patch);
     }
 
-    // 6) dodatni micro-fallback: ako i dalje prazno, probaj scoring iz ALL
-    if (!recordsToUse.length) {
-      const extra = pickFallbackRecords(question, all, 3);
-      if (extra.length) recordsToUse = extra;
-    }
+    res.json({ ...(await bookingView(b, lang)), resumed: false });
+  } catch (e) {
+    console.error('booking start error:', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
 
-    // 6) HARD STOP: hotel-specific bez podataka -> nema GPT-a (osim city pitanja)
-    if (isHotelSpecificQuestion(question) && !recordsToUse.length && !hotelRec && !isCityQuestion(question)) {
-      const ms = Date.now() - started;
-      return res.json({
-        ok: true,
-        answer: renderNoInfo(lang),
-        meta: {
-          hotelSlug,
-          intent: intentPick.intent,
-          confidence: intentPick.confidence ?? null,
-          scopeWanted: 'General',
-          usedRecords: [],
-          usedFallback: false,
-          usedLinked,
-          totalWebRecordsForHotel: all.length,
-          ms,
-        },
-      });
-    }
+// nastavak (widget čuva bookingId) ili status nakon slanja
+app.get('/api/booking/:bookingId', async (req, res) => {
+  try {
+    const id = String(req.params.bookingId || '');
+    if (!isBookingId(id)) return res.status(400).json({ ok: false, error: 'Invalid bookingId' });
+    const b = await bookings.get(id);
+    if (!b || !visibleToWidget(req, b.hotelSlug)) return res.status(404).json({ ok: false, error: 'Unknown bookingId' });
+    const lang = readWebAskInput(req).lang || b.lang;
+    if (b.status !== 'draft') return res.json({ ok: true, booking: publicBooking(b), step: null });
+    if (bookings.isExpired(b)) return res.status(410).json({ ok: false, error: 'Booking draft expired' });
+    res.json(await bookingView(b, lang));
+  } catch (e) {
+    console.error('booking get error:', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
 
-    // output scope + output rule
-    let scopeWanted = 'General';
-    if (intentPick?.intent) {
-      const p = patterns.find(x => String(x.intent) === String(intentPick.intent));
-      scopeWanted = (p?.outputScope || intentPick.outputScope || 'General');
+// { step?, value, lang? } — bez step = trenutni korak; raniji korak = ispravak
+app.post('/api/booking/:bookingId/step', async (req, res) => {
+  try {
+    const { ip, lang: langWanted } = readWebAskInput(req);
+    if ((await checkRateLimit(res, { ip })).limited) return res.status(429).json({ ok: false, error: 'Too many requests' });
+    const b = await loadDraft(req, res);
+    if (!b) return;
+
+    const lang = langWanted || b.lang;
+    const step = pickFirstNonEmpty(req.body?.step) || nextBookingStep(b);
+    if (!BOOKING_STEPS.includes(step) || step === 'confirm') return res.status(400).json({ ok: false, error: `Invalid step "${step}"` });
+    const value = req.body?.value;
+    if (value == null || value === '') return res.status(400).json({ ok: false, error: 'Missing value', field: step });
+
+    const out = await runBookingStep(b, step, value);
+    if (!out.ok) {
+      return res.status(400).json({ ok: false, error: t(lang, `booking.err.${out.error}`, out.vars), code: out.error, field: step });
     }
 
-    let outputRule = await getOutputRule({ scopeWanted, aiSourceWanted: 'WEB' });
-    if (!outputRule && String(scopeWanted).toLowerCase() !== 'general') {
-      outputRule = await getOutputRule({ scopeWanted: 'General', aiSourceWanted: 'WEB' });
+    const updated = await bookings.update(b.id, out.patch);
+    res.json(await bookingView(updated, lang));
+  } catch (e) {
+    console.error('booking step error:', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
+
+// confirm -> recepcija (hotel email / HANDOFF_FALLBACK_EMAIL); failed se može ponovno poslati
+app.post('/api/booking/:bookingId/submit', async (req, res) => {
+  try {
+    const { ip, lang: langWanted } = readWebAskInput(req);
+    if ((await checkRateLimit(res, { ip })).limited) return res.status(429).json({ ok: false, error: 'Too many requests' });
+
+    const id = String(req.params.bookingId || '');
+    const found = isBookingId(id) ? await bookings.get(id) : null;
+    // ponovni pokušaj samo iz 'failed'; sve ostalo mora biti draft (sending / sent / logged -> 409)
+    const from = found?.status === 'failed' && visibleToWidget(req, found.hotelSlug) ? 'failed' : 'draft';
+    const b = from === 'failed' ? found : await loadDraft(req, res);
+    if (!b) return;
+
+    const lang = langWanted || b.lang;
+    const step = nextBookingStep(b);
+    if (step !== 'confirm') return res.status(400).json({ ok: false, error: 'Booking is incomplete', field: step });
+
+    // draft / failed -> sending prije bilo kakvog awaita notifiera (dvostruki klik = jedan zahtjev recepciji)
+    const claimed = await bookings.transition(b.id, from, { status: 'sending', submittedAt: nowIso() });
+    if (!claimed) {
+      const current = await bookings.get(b.id);
+      return res.status(409).json({ ok: false, error: `Booking is ${current?.status}`, booking: current ? publicBooking(current) : null });
     }
 
-    // 2) Generate answer (strict)
-    let answer = '';
+    const hotel = await getHotelRecord(b.hotelSlug);
+    const to = pickFirstNonEmpty(hotel?.email, HANDOFF_FALLBACK_EMAIL) || null;
+    const submitted = await bookings.update(b.id, { notifiedTo: to });
+
+    let status;
     try {
-      answer = await generateAnswer({
-        question,
-        hotelSlug,
-        lang,
-        hotelRec,
-        intentPick,
-        recordsToUse,
-        outputRule,
-      });
+      const sent = await bookingNotifier.send({ to, hotel, ...bookingMessage(submitted, hotel) });
+      status = sent.delivered === false ? 'logged' : 'sent';
+      await bookings.update(b.id, { status, notifiedVia: sent.via, notifiedAt: nowIso(), messageId: sent.messageId ?? null, notifyError: null });
     } catch (e) {
-      if (e?._isRate || String(e?.message || '') === 'OPENAI_RATE_LIMIT' || isOpenAIRateLimitError(e)) {
-        const ms = Date.now() - started;
-        return res.json({
-          ok: true,
-          answer: renderWait20s(lang),
-          meta: { hotelSlug, ms, openai_rate_limited: true }
-        });
-      }
-      throw e;
+      console.error(`booking notify error (${b.id}):`, e);
+      await bookings.update(b.id, { status: 'failed', notifyError: String(e?.message || e) });
+      return res.status(502).json({ ok: false, error: 'Could not notify reception', bookingId: b.id });
     }
 
-    // ✅ anti-hallucination guard za cijene
-    answer = applyPriceGuard(answer, { lang, hotelRec, recordsToUse });
-
-    const ms = Date.now() - started;
+    res.json({ ok: true, bookingId: b.id, status, answer: t(lang, status === 'sent' ? 'booking.sent' : 'booking.logged') });
+  } catch (e) {
+    console.error('booking submit error:', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
 
-    res.json({
-      ok: true,
-      answer,
-      meta: {
-        hotelSlug,
-        intent: intentPick.intent,
-        confidence: intentPick.confidence ?? null,
-        scopeWanted,
-        usedRecords: recordsToUse.map(r => ({ type: r.type, naziv: r.naziv, id: r.id })),
-        usedFallback: (!matched.length && fallback.length) ? true : false,
-        usedLinked,
-        totalWebRecordsForHotel: all.length,
-        ms,
-      },
-    });
+app.post('/api/booking/:bookingId/cancel', async (req, res) => {
+  try {
+    const b = await loadDraft(req, res);
+    if (!b) return;
+    await bookings.update(b.id, { status: 'cancelled', cancelledAt: nowIso() });
+    res.json({ ok: true, bookingId: b.id, status: 'cancelled', answer: t(readWebAskInput(req).lang || b.lang, 'booking.cancelled') });
   } catch (e) {
-    console.error('web-ask error:', e);
+    console.error('booking cancel error:', e);
+    res.status(500).json({ ok: false, error: 'Server error' });
+  }
+});
 
-    // 7) ako je OpenAI “zakucao” zbog rate limit / overload -> poruka 20s
-    const question = pickFirstNonEmpty(req.body?.question, req.body?.q);
-    const lang = detectLang(question);
-    if (isOpenAIRateLimitError(e)) {
-      return res.json({ ok: true, answer: renderWait20s(lang), meta: { openai_rate_limited: true } });
+// -------------------------
+// Feedback: { answerId, rating: up|down, comment? }
+// -------------------------
+app.post('/api/web-ask/feedback', async (req, res) => {
+  try {
+    const answerId = pickFirstNonEmpty(req.body?.answerId, req.body?.answer_id);
+    const rating = normalizeRating(req.body?.rating ?? req.body?.vote);
+    const comment = pickFirstNonEmpty(req.body?.comment);
+    const ip = readWebAskInput(req).ip;
+
+    if (!isAnswerId(answerId)) return res.status(400).json({ ok: false, error: 'Missing or invalid answerId' });
+    if (!rating) return res.status(400).json({ ok: false, error: 'rating must be "up" or "down"' });
+    if ((await checkRateLimit(res, { ip })).limited) return res.status(429).json({ ok: false, error: 'Too many requests' });
+
+    // kontekst: memorija (zadnja 24h) -> conversation log (stariji odgovori)
+    let ctx = answers.get(answerId);
+    if (!ctx && conversationLog.enabled) {
+      const [e] = await conversationLog.read({ answerId });
+      if (e) ctx = { ...e, usedRecords: (e.usedRecords || []).map(id => ({ id })) };
     }
+    if (!ctx || !visibleToWidget(req, ctx.hotelSlug)) return res.status(404).json({ ok: false, error: 'Unknown answerId' });
+
+    await feedbackStore.record({
+      answerId,
+      hotelSlug: ctx.hotelSlug,
+      sessionId: ctx.sessionId ?? null,
+      lang: ctx.lang ?? null,
+      rating,
+      comment,
+      question: ctx.question,
+      route: ctx.route,
+      intent: ctx.intent ?? null,
+      usedRecords: ctx.usedRecords || [],
+    });
 
+    res.json({ ok: true, answerId, rating });
+  } catch (e) {
+    console.error('feedback error:', e);
     res.status(500).json({ ok: false, error: 'Server error' });
   }
 });
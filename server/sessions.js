@@ -0,0 +1,129 @@
+// sessions.js — razgovorne sesije za web widget (multi-turn)
+//
+// Store interface (pluggable):
+//   get(id) -> session | null      set(id, session, ttlMs)      delete(id)      prune()      size()
+// Default je in-memory store s TTL-om i capom na broj sesija (LRU eviction).
+import crypto from 'node:crypto';
+
+const SESSION_ID_RE = /^ses_[A-Za-z0-9-]{8,64}$/;
+
+// -------------------------
+// In-memory store (LRU po zadnjem pristupu)
+// -------------------------
+export function createMemorySessionStore({ maxSessions = 5000 } = {}) {
+  const map = new Map(); // id -> { session, expiresAt }
+
+  function evictOverflow() {
+    while (map.size > maxSessions) {
+      const oldest = map.keys().next().value;
+      map.delete(oldest);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async get(id) {
+      const hit = map.get(id);
+      if (!hit) return null;
+      if (hit.expiresAt <= Date.now()) {
+        map.delete(id);
+        return null;
+      }
+      // touch -> na kraj (LRU)
+      map.delete(id);
+      map.set(id, hit);
+      return hit.session;
+    },
+
+    async set(id, session, ttlMs) {
+      map.delete(id);
+      map.set(id, { session, expiresAt: Date.now() + ttlMs });
+      evictOverflow();
+    },
+
+    async delete(id) {
+      map.delete(id);
+    },
+
+    async prune() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [id, hit] of map) {
+        if (hit.expiresAt <= now) {
+          map.delete(id);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+
+    size: () => map.size,
+  };
+}
+
+// -------------------------
+// Session manager
+// -------------------------
+export function createSessionManager({
+  store = createMemorySessionStore(),
+  ttlMs = 30 * 60 * 1000,
+  maxTurns = 6,
+  maxChars = 600,
+} = {}) {
+  const clip = s => {
+    const t = String(s || '').trim();
+    return t.length > maxChars ? `${t.slice(0, maxChars)}…` : t;
+  };
+
+  function newSession(hotelSlug) {
+    const now = Date.now();
+    return { id: `ses_${crypto.randomUUID()}`, hotelSlug, createdAt: now, updatedAt: now, turns: [] };
+  }
+
+  // ✅ ID izdaje server; nepoznat / istekao / tuđi hotel -> nova sesija
+  async function getOrCreate(sessionId, { hotelSlug }) {
+    const id = String(sessionId || '').trim();
+    if (SESSION_ID_RE.test(id)) {
+      const s = await store.get(id);
+      if (s && s.hotelSlug === hotelSlug) return { session: s, isNew: false };
+    }
+    const s = newSession(hotelSlug);
+    await store.set(s.id, s, ttlMs);
+    return { session: s, isNew: true };
+  }
+
+  // turn = jedno pitanje + odgovor; čuvamo zadnjih `maxTurns`
+  async function appendTurn(session, { question, standalone = null, answer, intent = null, lang = null }) {
+    if (!session) return;
+    session.turns.push({
+      q: clip(question),
+      standalone: standalone && standalone !== question ? clip(standalone) : null,
+      a: clip(answer),
+      intent: intent || null,
+      lang: lang || null,
+      ts: Date.now(),
+    });
+    if (session.turns.length > maxTurns) session.turns = session.turns.slice(-maxTurns);
+    session.updatedAt = Date.now();
+    await store.set(session.id, session, ttlMs);
+  }
+
+  // history za LLM (chat format, najstarije prvo)
+  function historyMessages(session) {
+    const out = [];
+    for (const t of session?.turns || []) {
+      out.push({ role: 'user', content: t.q });
+      out.push({ role: 'assistant', content: t.a });
+    }
+    return out;
+  }
+
+  return { store, ttlMs, getOrCreate, appendTurn, historyMessages };
+}
+
+export function createSessionStoreFromEnv(kind = 'memory', { maxSessions } = {}) {
+  const k = String(kind || 'memory').toLowerCase();
+  if (k === 'memory') return createMemorySessionStore({ maxSessions });
+  throw new Error(`Unknown SESSION_STORE "${kind}"`);
+}
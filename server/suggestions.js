@@ -0,0 +1,117 @@
+// suggestions.js — predložena sljedeća pitanja (2–3) uz odgovor na /api/web-ask
+//
+// Izvori (redom):
+//   1) polja korištenih recorda: soba s `kreveti` / `pogled` / `roomAmenities` / `kvadratura`,
+//      dvije sobe -> usporedba, usluga s `radnoVrijeme` -> radno vrijeme
+//   2) povezani intenti iz AI_INTENT_PATTERNS ("Related intents"), samo ako hotel za taj intent ima
+//      recorde (servicesLink / roomsLink / AI_INTENT); tekst je "Suggestion <LANG>" povezanog intenta
+//      (pitanje koje vodi NA taj intent, npr. parking -> "Is there parking at the hotel?")
+//   3) vrste soba, ako hotel ima SOBE
+// Prijedlog nikad ne vodi na podatak koji hotel nema; tema koju gost upravo pita i već postavljena
+// pitanja se preskaču. Tekstovi su u jeziku odgovora (i18n `suggest.*`, "Suggestion <LANG>").
+import { asArray, normalizeText } from './utils.js';
+import { t } from './i18n.js';
+
+export const MAX_SUGGESTIONS = 3;
+
+// tema -> okidači u pitanju (početak riječi; normalizeText)
+const TOPIC_KEYWORDS = {
+  beds: ['bed', 'king', 'twin', 'krevet', 'bett', 'letto', 'cama'],
+  view: ['view', 'pogled', 'aussicht', 'vista', 'vue'],
+  amenities: ['amenit', 'sadržaj', 'oprem', 'ausstattung', 'dotazion', 'équipement', 'equipement', 'comodidad'],
+  size: ['size', 'how big', 'square', 'm2', 'kvadrat', 'velik', 'groß', 'grande', 'taille', 'tamaño', 'tamano'],
+  compare: ['difference', 'compare', 'vs', 'versus', 'razlik', 'uspored', 'unterschied', 'differenz', 'vergleich', 'differenza', 'différence', 'diferencia'],
+  hours: ['hour', 'what time', 'when', 'open', 'vrijeme', 'kada', 'sati', 'uhr', 'wann', 'orari', 'quando', 'heure', 'horaire', 'quand', 'hora', 'cuándo', 'cuando'],
+  roomTypes: ['room type', 'types of rooms', 'vrste soba', 'tipovi soba', 'zimmertyp', 'tipi di camer', 'types de chambre', 'tipos de habitaci'],
+};
+
+function askedTopics(question) {
+  const q = ` ${normalizeText(question)} `;
+  return new Set(Object.keys(TOPIC_KEYWORDS).filter(k => TOPIC_KEYWORDS[k].some(w => q.includes(` ${normalizeText(w)}`))));
+}
+
+const roomName = r => r.naziv || r.tipSobe || r.slug || '';
+const hasValue = v => (Array.isArray(v) ? v.some(x => String(x ?? '').trim()) : v != null && String(v).trim() !== '');
+
+// -------------------------
+// Kandidati iz polja recorda
+// -------------------------
+function fromRecords(records, lang) {
+  const out = [];
+  const rooms = records.filter(r => r.type === 'ROOM' && roomName(r));
+  const services = records.filter(r => r.type !== 'ROOM' && r.naziv);
+
+  for (const r of rooms.slice(0, 2)) {
+    const name = roomName(r);
+    if (hasValue(r.kreveti)) out.push({ topic: 'beds', text: t(lang, 'suggest.beds', { name }) });
+    if (hasValue(r.pogled)) out.push({ topic: 'view', text: t(lang, 'suggest.view', { name }) });
+    if (hasValue(r.roomAmenities)) out.push({ topic: 'amenities', text: t(lang, 'suggest.amenities', { name }) });
+    if (hasValue(r.kvadratura)) out.push({ topic: 'size', text: t(lang, 'suggest.size', { name }) });
+  }
+  if (rooms.length >= 2) {
+    out.splice(1, 0, { topic: 'compare', text: t(lang, 'suggest.compare', { a: roomName(rooms[0]), b: roomName(rooms[1]) }) });
+  }
+
+  for (const s of services.slice(0, 2)) {
+    if (hasValue(s.radnoVrijeme)) out.push({ topic: 'hours', text: t(lang, 'suggest.hours', { name: s.naziv }) });
+  }
+  return out;
+}
+
+// -------------------------
+// Povezani intenti (AI_INTENT_PATTERNS)
+// -------------------------
+function intentHasData(pattern, { services = [], rooms = [] }) {
+  const ids = new Set([...services, ...rooms].map(r => String(r.id)));
+  if ([...asArray(pattern.servicesLink), ...asArray(pattern.roomsLink)].some(id => ids.has(String(id)))) return true;
+  return [...services, ...rooms].some(r => asArray(r.aiIntent).map(String).includes(String(pattern.intent)));
+}
+
+// "Related intents" može biti linked record (ID) ili tekst s imenom intenta
+function relatedPatterns(intent, patterns) {
+  const current = patterns.find(p => String(p.intent) === String(intent));
+  if (!current) return [];
+  return asArray(current.related)
+    .flatMap(v => String(v).split(/[,;\n]/))
+    .map(v => v.trim())
+    .filter(Boolean)
+    .map(v => patterns.find(p => String(p.id) === v || String(p.intent) === v))
+    .filter(p => p && p !== current);
+}
+
+function fromRelatedIntents(intent, patterns, lang, data) {
+  if (!intent) return [];
+  return relatedPatterns(intent, patterns)
+    .filter(p => intentHasData(p, data))
+    .map(p => ({ topic: `intent:${p.intent}`, text: String(p[`suggest${lang}`] || '').trim() }))
+    .filter(s => s.text);
+}
+
+// -------------------------
+// Public
+// -------------------------
+// ctx: { lang, question, intent, records, patterns, services, rooms, asked: [prethodna pitanja] }
+export function suggestFollowUps({ lang = 'EN', question = '', intent = null, records = [], patterns = [], services = [], rooms = [], asked = [] }) {
+  const skipTopics = askedTopics(question);
+  if (intent) skipTopics.add(`intent:${intent}`);
+  const seen = new Set([question, ...asked].map(normalizeText));
+
+  // najviše 2 iz recorda, pa povezani intenti (inače bi sobe s puno polja uvijek popunile sve)
+  const fromRecs = fromRecords(records, lang).filter(c => !skipTopics.has(c.topic));
+  const candidates = [
+    ...fromRecs.slice(0, 2),
+    ...fromRelatedIntents(intent, patterns, lang, { services, rooms }),
+    ...fromRecs.slice(2),
+    ...(rooms.length ? [{ topic: 'roomTypes', text: t(lang, 'suggest.roomTypes') }] : []),
+  ];
+
+  const out = [];
+  for (const c of candidates) {
+    const key = normalizeText(c.text);
+    if (!key || skipTopics.has(c.topic) || seen.has(key)) continue;
+    seen.add(key);
+    out.push(c.text);
+    if (out.length >= MAX_SUGGESTIONS) break;
+  }
+  return out;
+}
@@ -0,0 +1,231 @@
+// usage.js — OpenAI potrošnja po pozivu (tokeni + procijenjeni trošak) + budžet troška po hotelu
+//
+// Jedna linija (data/usage.jsonl) = jedan OpenAI poziv:
+//   { ts, hotelSlug, type: router | rewrite | answer, model, promptTokens, completionTokens, totalTokens, costUsd }
+// Cijene su USD po 1M tokena (input / output); OPENAI_PRICES="gpt-4o=2.5/10,llama3=0/0" nadjačava / dodaje modele
+// (lokalni modeli preko LLM_PROVIDER=local nemaju default cijenu).
+// Model iz odgovora ("gpt-4o-2024-08-06") traži se po najduljem prefiksu; nepoznat model -> costUsd null.
+//
+// Budžet troška (dnevni / mjesečni, UTC) prebacuje hotel na heuristički routing (bez GPT routera i rewritea);
+// odgovori i dalje idu kroz GPT — za potpuni stop vidi TOKEN_BUDGET_* (ratelimit.js).
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import readline from 'node:readline';
+
+export const USAGE_CALL_TYPES = ['router', 'rewrite', 'answer'];
+
+// USD / 1M tokena
+export const DEFAULT_MODEL_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  stub: { input: 0, output: 0 },
+};
+
+// "gpt-4o=2.5/10,llama3=0/0" -> { 'gpt-4o': { input: 2.5, output: 10 }, llama3: { input: 0, output: 0 } }
+export function parseModelPrices(s) {
+  const out = {};
+  for (const part of String(s || '').split(',')) {
+    const m = part.trim().match(/^([^=\s]+)\s*=\s*([\d.]+)\s*\/\s*([\d.]+)$/);
+    if (m && Number.isFinite(Number(m[2])) && Number.isFinite(Number(m[3]))) {
+      out[m[1].toLowerCase()] = { input: Number(m[2]), output: Number(m[3]) };
+    }
+  }
+  return out;
+}
+
+// "antique-split=5/100,other=0/20" -> { 'antique-split': { daily: 5, monthly: 100 }, other: { daily: 0, monthly: 20 } }
+export function parseCostBudgetByHotel(s) {
+  const out = {};
+  for (const part of String(s || '').split(',')) {
+    const m = part.trim().match(/^([^=\s]+)\s*=\s*([\d.]*)\s*(?:\/\s*([\d.]*))?$/);
+    if (!m) continue;
+    const daily = Number(m[2] || 0);
+    const monthly = Number(m[3] || 0);
+    if (Number.isFinite(daily) && Number.isFinite(monthly)) out[m[1]] = { daily, monthly };
+  }
+  return out;
+}
+
+// točan model ili najdulji prefiks ("gpt-4o-mini-2024-07-18" -> gpt-4o-mini, ne gpt-4o)
+export function priceFor(model, prices = DEFAULT_MODEL_PRICES) {
+  const m = String(model || '').toLowerCase();
+  if (!m) return null;
+  if (prices[m]) return prices[m];
+  const key = Object.keys(prices)
+    .filter(k => m.startsWith(`${k}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+export function estimateCostUsd(model, usage, prices = DEFAULT_MODEL_PRICES) {
+  const p = priceFor(model, prices);
+  if (!p) return null;
+  const cost = ((Number(usage?.prompt_tokens) || 0) * p.input + (Number(usage?.completion_tokens) || 0) * p.output) / 1_000_000;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// -------------------------
+// Store (append-only JSONL, kao conversation log)
+// -------------------------
+export function createUsageLog({ file, enabled = true, prices = DEFAULT_MODEL_PRICES } = {}) {
+  let queue = Promise.resolve();
+  let dirReady = null;
+  const unpriced = new Set();
+
+  // vraća upisani entry (s costUsd); greška loga nikad ne ruši request
+  function record({ hotelSlug, type, model, usage }) {
+    const entry = {
+      ts: new Date().toISOString(),
+      hotelSlug: hotelSlug || null,
+      type,
+      model: model || null,
+      promptTokens: Number(usage?.prompt_tokens) || 0,
+      completionTokens: Number(usage?.completion_tokens) || 0,
+      totalTokens: Number(usage?.total_tokens) || 0,
+      costUsd: estimateCostUsd(model, usage, prices),
+    };
+    if (entry.costUsd == null && model && !unpriced.has(model)) {
+      unpriced.add(model);
+      console.warn(`⚠️ No price for model "${model}" — set OPENAI_PRICES="${model}=<input>/<output>" (USD per 1M tokens)`);
+    }
+    if (!enabled) return entry;
+
+    const line = JSON.stringify(entry);
+    queue = queue
+      .then(async () => {
+        dirReady ??= fsp.mkdir(path.dirname(file), { recursive: true });
+        await dirReady;
+        await fsp.appendFile(file, `${line}\n`, 'utf8');
+      })
+      .catch(e => console.error('usage log write error:', e?.message || e));
+    return entry;
+  }
+
+  async function read({ hotelSlug = null, sinceMs = 0 } = {}) {
+    await queue;
+    if (!fs.existsSync(file)) return [];
+
+    const out = [];
+    const rl = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      let e;
+      try {
+        e = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (hotelSlug && e.hotelSlug !== hotelSlug) continue;
+      if (sinceMs && Date.parse(e.ts) < sinceMs) continue;
+      out.push(e);
+    }
+    return out;
+  }
+
+  return { file, enabled, record, read };
+}
+
+// -------------------------
+// Report: po hotelu ukupno + po tipu poziva, modelu, danu i mjesecu (UTC)
+// -------------------------
+const roundUsd = n => Math.round(n * 1e6) / 1e6;
+
+function addTo(map, key, e) {
+  const cur = map.get(key) || { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0 };
+  cur.calls += 1;
+  cur.promptTokens += Number(e.promptTokens) || 0;
+  cur.completionTokens += Number(e.completionTokens) || 0;
+  cur.totalTokens += Number(e.totalTokens) || 0;
+  if (e.costUsd == null) cur.unpricedCalls += 1;
+  else cur.costUsd += Number(e.costUsd) || 0;
+  map.set(key, cur);
+}
+
+const finish = t => ({ ...t, costUsd: roundUsd(t.costUsd) });
+const rows = (map, keyName) => [...map.entries()]
+  .sort((a, b) => String(a[0]).localeCompare(String(b[0])))
+  .map(([k, v]) => ({ [keyName]: k, ...finish(v) }));
+
+export function summarizeUsage(entries) {
+  const byHotel = new Map();
+  for (const e of entries) {
+    const k = e.hotelSlug || '-';
+    if (!byHotel.has(k)) byHotel.set(k, { total: new Map(), type: new Map(), model: new Map(), day: new Map(), month: new Map() });
+    const h = byHotel.get(k);
+    const ts = String(e.ts || '');
+    addTo(h.total, 'all', e);
+    addTo(h.type, e.type || '-', e);
+    addTo(h.model, e.model || '-', e);
+    addTo(h.day, ts.slice(0, 10), e);
+    addTo(h.month, ts.slice(0, 7), e);
+  }
+
+  return [...byHotel.entries()].map(([hotelSlug, h]) => ({
+    hotelSlug,
+    totals: finish(h.total.get('all')),
+    byType: Object.fromEntries([...h.type].map(([k, v]) => [k, finish(v)])),
+    byModel: Object.fromEntries([...h.model].map(([k, v]) => [k, finish(v)])),
+    daily: rows(h.day, 'date'),
+    monthly: rows(h.month, 'month'),
+  })).sort((a, b) => b.totals.costUsd - a.totals.costUsd || b.totals.totalTokens - a.totals.totalTokens);
+}
+
+// -------------------------
+// Budžet troška po hotelu (dnevni + mjesečni, UTC); brojač u rate limit storeu (memory / redis) u mikro-USD
+// -------------------------
+const msUntil = next => next - Date.now();
+const nextUtcDay = (d = new Date()) => Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+const nextUtcMonth = (d = new Date()) => Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+
+export function createCostBudget({ store, dailyUsd = 0, monthlyUsd = 0, byHotel = {} }) {
+  const limitsFor = hotelSlug => ({
+    daily: byHotel[hotelSlug]?.daily ?? dailyUsd,
+    monthly: byHotel[hotelSlug]?.monthly ?? monthlyUsd,
+  });
+
+  const periods = () => {
+    const iso = new Date().toISOString();
+    return [
+      { period: 'daily', id: iso.slice(0, 10), resetAt: nextUtcDay() },
+      { period: 'monthly', id: iso.slice(0, 7), resetAt: nextUtcMonth() },
+    ];
+  };
+
+  async function add(hotelSlug, costUsd) {
+    const micro = Math.round((Number(costUsd) || 0) * 1e6);
+    if (!hotelSlug || micro <= 0) return;
+    try {
+      for (const p of periods()) {
+        await store.hit(`cost:${p.period}:${hotelSlug}:${p.id}`, { by: micro, windowMs: msUntil(p.resetAt) + 60 * 60 * 1000 });
+      }
+    } catch (e) {
+      console.error('cost budget store error:', e?.message || e);
+    }
+  }
+
+  // exceeded = 'daily' | 'monthly' | null ; store nedostupan -> 0 potrošeno (fail open)
+  async function status(hotelSlug) {
+    const limits = limitsFor(hotelSlug);
+    const out = { exceeded: null };
+    for (const p of periods()) {
+      let used = 0;
+      try {
+        used = ((await store.get(`cost:${p.period}:${hotelSlug}:${p.id}`))?.count || 0) / 1e6;
+      } catch (e) {
+        console.error('cost budget store error:', e?.message || e);
+      }
+      const limit = limits[p.period] || null;
+      out[p.period] = { limitUsd: limit, usedUsd: roundUsd(used), resetAt: new Date(p.resetAt).toISOString() };
+      if (limit && used >= limit && !out.exceeded) out.exceeded = p.period;
+    }
+    return out;
+  }
+
+  return { add, status, limitsFor };
+}
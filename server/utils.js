@@ -0,0 +1,31 @@
+// utils.js — sitni helperi koje dijele server i data-source adapteri
+
+export function pickFirstNonEmpty(...vals) {
+  for (const v of vals) {
+    if (typeof v === 'string' && v.trim()) return v.trim();
+  }
+  return '';
+}
+
+export function asArray(v) {
+  if (!v) return [];
+  if (Array.isArray(v)) return v;
+  return [v];
+}
+
+export function isEmptyArray(v) {
+  return Array.isArray(v) && v.length === 0;
+}
+
+export function fieldHasAny(fieldsValue, allowed) {
+  const arr = asArray(fieldsValue).map(String);
+  const allowedSet = new Set(allowed.map(String));
+  return arr.some(v => allowedSet.has(v));
+}
+
+export function normalizeText(s) {
+  return String(s || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
@@ -0,0 +1,190 @@
+// widget_keys.js — javni widget ključevi po hotelu + allowlista origina (multi-tenant)
+//
+// Ključ (wk_...) je javan (stoji u HTML-u stranice hotela) — veže request na JEDAN hotelSlug,
+// a Origin provjera veže ga na domene tog hotela. Bez ključa / s tuđim ključem -> 401 / 403.
+// Ključevi i origini žive u data/widget_keys.json i mijenjaju se kroz admin API
+// (create / rotate s grace periodom / revoke) — bez redeploya; datoteka se ponovno čita kad joj se promijeni mtime.
+//
+// WIDGET_KEYS: off (default, ?slug= kao do sada) | optional (ključ se provjerava ako je poslan) | required
+// Ključ: header X-Widget-Key, body.key ili ?key= (EventSource ne može slati headere).
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { asArray, pickFirstNonEmpty } from './utils.js';
+
+export const WIDGET_KEY_MODES = ['off', 'optional', 'required'];
+const WIDGET_KEY_RE = /^wk_[A-Za-z0-9_-]{16,64}$/;
+export const isWidgetKey = key => WIDGET_KEY_RE.test(String(key || ''));
+
+const RELOAD_CHECK_MS = 5_000;
+
+// "https://Hotel.com/" -> "https://hotel.com" ; neispravno -> null
+export function normalizeOrigin(v) {
+  try {
+    const u = new URL(String(v || '').trim());
+    if (!['http:', 'https:'].includes(u.protocol)) return null;
+    return u.origin.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+export function createWidgetKeyStore({ file }) {
+  let state = null; // { keys: Map key -> record, origins: { [hotelSlug]: string[] } }
+  let mtimeMs = null;
+  let checkedAt = 0;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (state && Date.now() - checkedAt < RELOAD_CHECK_MS) return state;
+    checkedAt = Date.now();
+    try {
+      const st = await fs.stat(file);
+      if (state && st.mtimeMs === mtimeMs) return state;
+      const parsed = JSON.parse(await fs.readFile(file, 'utf8'));
+      state = { keys: new Map(asArray(parsed.keys).map(k => [k.key, k])), origins: parsed.origins || {} };
+      mtimeMs = st.mtimeMs;
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      state ||= { keys: new Map(), origins: {} };
+    }
+    return state;
+  }
+
+  // tmp + rename (kao ticketi / booking)
+  function persist() {
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ updatedAt: new Date().toISOString(), keys: [...state.keys.values()], origins: state.origins }, null, 2));
+      await fs.rename(tmp, file);
+      mtimeMs = (await fs.stat(file)).mtimeMs;
+    });
+    return writing;
+  }
+
+  // aktivan = nije opozvan i (nakon rotacije) grace period još traje
+  const statusOf = k => (k.revokedAt ? 'revoked' : k.expiresAt && Date.parse(k.expiresAt) <= Date.now() ? 'expired' : 'active');
+
+  async function create({ hotelSlug, label = null, rotatedFrom = null }) {
+    await load();
+    const rec = {
+      key: `wk_${crypto.randomBytes(18).toString('base64url')}`,
+      hotelSlug,
+      label,
+      createdAt: new Date().toISOString(),
+      rotatedFrom,
+      expiresAt: null,
+      revokedAt: null,
+    };
+    state.keys.set(rec.key, rec);
+    await persist();
+    return rec;
+  }
+
+  async function get(key) {
+    await load();
+    return state.keys.get(String(key)) || null;
+  }
+
+  // novi ključ za isti hotel; stari radi još graceMs (widget na stranici se stigne zamijeniti)
+  async function rotate(key, { graceMs = 24 * 60 * 60 * 1000 } = {}) {
+    const old = await get(key);
+    if (!old || statusOf(old) !== 'active') return null;
+    const next = await create({ hotelSlug: old.hotelSlug, label: old.label, rotatedFrom: old.key });
+    old.expiresAt = new Date(Date.now() + Math.max(0, graceMs)).toISOString();
+    old.rotatedTo = next.key;
+    await persist();
+    return { key: next, previous: old };
+  }
+
+  async function revoke(key) {
+    const rec = await get(key);
+    if (!rec) return null;
+    rec.revokedAt ||= new Date().toISOString();
+    await persist();
+    return rec;
+  }
+
+  async function list({ hotelSlug = null } = {}) {
+    await load();
+    return [...state.keys.values()]
+      .filter(k => !hotelSlug || k.hotelSlug === hotelSlug)
+      .map(k => ({ ...k, status: statusOf(k) }))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  async function getOrigins(hotelSlug) {
+    await load();
+    return asArray(state.origins[hotelSlug]);
+  }
+
+  async function setOrigins(hotelSlug, origins) {
+    await load();
+    const list = [...new Set(asArray(origins).map(normalizeOrigin).filter(Boolean))];
+    if (list.length) state.origins[hotelSlug] = list;
+    else delete state.origins[hotelSlug];
+    await persist();
+    return list;
+  }
+
+  // CORS preflight nema ključ -> dopušten je origin bilo kojeg hotela (per-hotel provjera je u middlewareu)
+  async function isKnownOrigin(origin) {
+    await load();
+    const o = normalizeOrigin(origin);
+    return Boolean(o) && Object.values(state.origins).some(list => asArray(list).includes(o));
+  }
+
+  async function hasOrigins() {
+    await load();
+    return Object.keys(state.origins).length > 0;
+  }
+
+  return { file, create, get, rotate, revoke, list, getOrigins, setOrigins, isKnownOrigin, hasOrigins, statusOf };
+}
+
+function widgetError(res, status, code, error, extra = {}) {
+  return res.status(status).json({ ok: false, error, code, ...extra });
+}
+
+// Express middleware: req.widget = { key, hotelSlug } ; ?slug= / body.slug mora odgovarati hotelu ključa
+export function createWidgetAuth({ store, mode = 'off' }) {
+  const m = String(mode || 'off').toLowerCase();
+  if (!WIDGET_KEY_MODES.includes(m)) throw new Error(`Unknown WIDGET_KEYS "${mode}"`);
+
+  async function middleware(req, res, next) {
+    if (m === 'off') return next();
+    try {
+      const key = pickFirstNonEmpty(req.get('x-widget-key'), req.body?.key, req.query?.key);
+      if (!key) {
+        if (m === 'optional') return next();
+        return widgetError(res, 401, 'widget_key_missing', 'Missing widget key (X-Widget-Key header or ?key=)');
+      }
+
+      const rec = isWidgetKey(key) ? await store.get(key) : null;
+      if (!rec) return widgetError(res, 401, 'widget_key_invalid', 'Invalid widget key');
+      const status = store.statusOf(rec);
+      if (status !== 'active') return widgetError(res, 401, `widget_key_${status}`, `Widget key ${status}`);
+
+      const slug = pickFirstNonEmpty(req.query?.slug, req.body?.slug);
+      if (slug && slug !== rec.hotelSlug) {
+        return widgetError(res, 403, 'widget_key_hotel_mismatch', `Widget key is not valid for hotel "${slug}"`);
+      }
+
+      // Origin šalje browser; bez Origin headera (server-to-server) vrijedi samo ključ
+      const origin = req.get('origin');
+      const origins = await store.getOrigins(rec.hotelSlug);
+      if (origin && origins.length && !origins.includes(normalizeOrigin(origin))) {
+        return widgetError(res, 403, 'widget_origin_not_allowed', 'Origin not allowed for this widget key', { origin });
+      }
+
+      req.widget = { key: rec.key, hotelSlug: rec.hotelSlug };
+      return next();
+    } catch (e) {
+      console.error('widget key error:', e);
+      return widgetError(res, 500, 'widget_key_error', 'Server error');
+    }
+  }
+
+  return { mode: m, middleware };
+}
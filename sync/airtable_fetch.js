@@ -0,0 +1,174 @@
+// airtable_fetch.js — čitanje Airtable tablica za vector sync
+// SERVICES, SOBE, HOTELI + Split Knowledge Base (POI, ROUTES, ROOM GUIDE, INFO)
+// Nazivi stupaca (naslov, hotel slug, jezik, grad, AI_SOURCE, Active) dolaze iz config/field_mapping.json,
+// istog kao server (datasource/airtable.js); KB tablice dijele spec `knowledge`.
+import 'dotenv/config';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Airtable from 'airtable';
+import { asArray, pickFirstNonEmpty } from '../server/utils.js';
+import { createRecordMapper, loadFieldMapping, resolveTableFields } from '../server/datasource/field_mapping.js';
+import { airtableKnowledgeTables, airtableTableNames, DEFAULT_FIELD_MAPPING_FILE } from '../server/datasource/index.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const {
+  AIRTABLE_API_KEY,
+  AIRTABLE_BASE_ID,
+  FIELD_MAPPING_FILE = DEFAULT_FIELD_MAPPING_FILE,
+
+  // polje tipa "Last modified time" (ako ga tablica nema -> content hash)
+  SYNC_LAST_MODIFIED_FIELD = 'Last Modified',
+  SYNC_DEFAULT_LANG = 'ANY',
+  SYNC_DEFAULT_CITY = 'split',
+} = process.env;
+
+// ✅ izvori: core tablice moraju postojati, KB tablice su opcionalne
+// mapping = tablica u field_mapping.json; titleField / slugField = mapirana polja za naslov i hotel slug
+const TABLES = airtableTableNames(process.env);
+export const SOURCES = [
+  { table: TABLES.hotels, type: 'hotel', required: true, mapping: 'hotels', titleField: 'hotelNaziv', slugField: 'slug' },
+  { table: TABLES.services, type: 'service', required: true, mapping: 'services', titleField: 'naziv', slugField: 'hotelSlugRaw' },
+  { table: TABLES.rooms, type: 'room', required: true, mapping: 'rooms', titleField: 'naziv', slugField: 'hotelSlugRaw' },
+  ...Object.entries(airtableKnowledgeTables(process.env)).map(([type, table]) => (
+    { table, type, required: false, mapping: 'knowledge', titleField: 'title', slugField: 'hotelSlugRaw' }
+  )),
+];
+
+// mapirana polja koja su metadata — njihovi stupci ne idu u tekst dokumenta (slug hotela u HOTELI ostaje)
+const META_FIELD_NAMES = ['hotelSlugRaw', 'aiSource', 'aiIntent', 'aiPrompt', 'active', 'lang', 'grad'];
+const LAST_MODIFIED_FIELDS = [SYNC_LAST_MODIFIED_FIELD, 'Last Modified', 'Last modified', 'LastModified', 'lastModifiedTime'];
+
+function metaColumns(mapping, table, hotelSlug) {
+  const fields = resolveTableFields(mapping, table, hotelSlug);
+  return new Set([
+    ...META_FIELD_NAMES.flatMap(name => fields[name]?.from || []),
+    ...LAST_MODIFIED_FIELDS,
+  ]);
+}
+
+const AIRTABLE_REC_ID = /^rec[A-Za-z0-9]{14}$/;
+
+let base = null;
+function getBase() {
+  if (base) return base;
+  if (!AIRTABLE_API_KEY || !AIRTABLE_BASE_ID) {
+    throw new Error('Missing env vars: AIRTABLE_API_KEY, AIRTABLE_BASE_ID');
+  }
+  Airtable.configure({ apiKey: AIRTABLE_API_KEY });
+  base = Airtable.base(AIRTABLE_BASE_ID);
+  return base;
+}
+
+// -------------------------
+// Helpers
+// -------------------------
+function getLastModified(f) {
+  const v = LAST_MODIFIED_FIELDS.map(k => f[k]).find(x => x != null);
+  return v ? String(v) : null;
+}
+
+// vrijednost polja -> tekst (linked record ID-evi i attachmenti se preskaču)
+function fieldValueToText(v) {
+  if (v == null) return '';
+  if (typeof v === 'string') return AIRTABLE_REC_ID.test(v.trim()) ? '' : v.trim();
+  if (typeof v === 'number' || typeof v === 'boolean') return String(v);
+  if (Array.isArray(v)) return v.map(fieldValueToText).filter(Boolean).join(', ');
+  return '';
+}
+
+function buildDocumentText(title, fields, meta) {
+  const lines = [];
+  if (title) lines.push(`# ${title}`);
+  for (const [name, value] of Object.entries(fields)) {
+    if (meta.has(name)) continue;
+    const text = fieldValueToText(value);
+    if (!text) continue;
+    lines.push(text.includes('\n') ? `${name}:\n${text}` : `${name}: ${text}`);
+  }
+  return lines.join('\n');
+}
+
+function hashText(s) {
+  return crypto.createHash('sha256').update(String(s)).digest('hex').slice(0, 32);
+}
+
+// -------------------------
+// Record -> document
+// -------------------------
+// mapper = createRecordMapper(mapping); hotel se zna tek iz recorda -> re-map s njegovim overrideom (kao linked recordi u serveru)
+export function recordToDocument(rec, source, { mapping, mapper = createRecordMapper(mapping) }) {
+  const f = rec?.fields || {};
+  const slugOf = r => asArray(r[source.slugField]).map(x => String(x).trim()).filter(Boolean)[0] || '';
+
+  let row = mapper.map(source.mapping, rec);
+  const slugRaw = slugOf(row);
+  if (mapper.hasOverrides(slugRaw)) row = mapper.map(source.mapping, rec, { hotelSlug: slugRaw });
+
+  const title = pickFirstNonEmpty(row[source.titleField]);
+  const text = buildDocumentText(title, f, metaColumns(mapping, source.mapping, slugRaw));
+  const aiSource = asArray(row.aiSource).map(String);
+  const lang = pickFirstNonEmpty(row.lang);
+
+  return {
+    key: `${source.table}:${rec.id}`,
+    recordId: rec.id,
+    table: source.table,
+    type: source.type,
+    hotelSlug: slugRaw,
+    lang: (lang || SYNC_DEFAULT_LANG).toUpperCase(),
+    city: pickFirstNonEmpty(row.grad, SYNC_DEFAULT_CITY).toLowerCase(),
+    web: !aiSource.length || aiSource.includes('WEB'),
+    active: row.active !== false,
+    title,
+    text,
+    lastModified: getLastModified(f),
+    contentHash: hashText(text),
+  };
+}
+
+async function selectAll(tableName) {
+  const records = [];
+  await getBase()(tableName).select({ pageSize: 100 }).eachPage((pageRecords, fetchNextPage) => {
+    records.push(...pageRecords);
+    fetchNextPage();
+  });
+  return records;
+}
+
+function isTableNotFound(e) {
+  const status = e?.statusCode || e?.status;
+  return status === 404 || e?.error === 'NOT_FOUND' || e?.error === 'TABLE_NOT_FOUND';
+}
+
+/**
+ * Dohvati sve izvore i pretvori ih u dokumente.
+ * Tablice koje se nisu mogle pročitati vraćaju se u `skippedTables` —
+ * runner za njih NE smije brisati dokumente (inače bi ispraznio store).
+ */
+export async function fetchAllDocuments({ sources = SOURCES, mappingFile = path.resolve(ROOT, FIELD_MAPPING_FILE) } = {}) {
+  const mapping = await loadFieldMapping(mappingFile);
+  const mapper = createRecordMapper(mapping);
+  const docs = [];
+  const skippedTables = [];
+
+  for (const source of sources) {
+    let recs;
+    try {
+      recs = await selectAll(source.table);
+    } catch (e) {
+      if (source.required || !isTableNotFound(e)) throw e;
+      console.warn(`⚠️  Table "${source.table}" not found — skipping (${source.type})`);
+      skippedTables.push(source.table);
+      continue;
+    }
+
+    for (const rec of recs) {
+      const doc = recordToDocument(rec, source, { mapping, mapper });
+      if (doc.text) docs.push(doc);
+    }
+  }
+
+  return { docs, skippedTables };
+}
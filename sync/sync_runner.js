@@ -0,0 +1,219 @@
+// sync_runner.js — inkrementalni sync Airtable -> vector store
+// Usage: node sync/sync_runner.js [--full] [--dry-run] [--export <file>]
+//   --full           ponovno uploadaj sve aktivne recorde (ignorira lastModified)
+//   --dry-run        samo ispiši plan, ništa ne mijenjaj
+//   --export <file>  zapiši dokumente u lokalni indeks (RETRIEVAL_BACKEND=local), bez uploada
+import 'dotenv/config';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { fetchAllDocuments } from './airtable_fetch.js';
+import { createVectorUploader } from './vector_upload.js';
+import { resolveVectorStoreId } from './vector_store_config.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const {
+  OPENAI_API_KEY,
+  VECTOR_STORE_ID,
+  SYNC_STATE_FILE = 'data/sync_state.json',
+  SYNC_CONCURRENCY = '3',
+  LOCAL_INDEX_FILE = 'data/local_index.json',
+} = process.env;
+
+const nowIso = () => new Date().toISOString();
+
+// -------------------------
+// State (key -> { fileId, lastModified, contentHash })
+// -------------------------
+export async function loadState(file = path.resolve(ROOT, SYNC_STATE_FILE)) {
+  try {
+    const raw = await fs.readFile(file, 'utf8');
+    const parsed = JSON.parse(raw);
+    return { vectorStoreId: parsed.vectorStoreId || null, updatedAt: parsed.updatedAt || null, docs: parsed.docs || {} };
+  } catch (e) {
+    if (e.code === 'ENOENT') return { vectorStoreId: null, updatedAt: null, docs: {} };
+    throw e;
+  }
+}
+
+// checkpointi iz paralelnih uploada dijele isti .tmp — zapisi serijalizirani (kao ticket store),
+// snapshot se uzima u trenutku poziva pa zadnji poziv pobjeđuje
+let saving = Promise.resolve();
+
+export function saveState(state, file = path.resolve(ROOT, SYNC_STATE_FILE)) {
+  const json = JSON.stringify({ ...state, updatedAt: nowIso() }, null, 2);
+  saving = saving.catch(() => {}).then(async () => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    await fs.writeFile(tmp, json);
+    await fs.rename(tmp, file);
+  });
+  return saving;
+}
+
+// -------------------------
+// Plan
+// -------------------------
+function docChanged(doc, prev) {
+  if (!prev?.fileId) return true;
+  // ✅ primarno Airtable lastModifiedTime; ako ga tablica nema -> hash sadržaja
+  if (doc.lastModified && prev.lastModified) return doc.lastModified !== prev.lastModified;
+  return doc.contentHash !== prev.contentHash;
+}
+
+export function planSync(docs, state, { full = false, skippedTables = [] } = {}) {
+  const skipped = new Set(skippedTables);
+  const upserts = [];
+  const deletes = [];
+  let unchanged = 0;
+
+  const activeKeys = new Set();
+  for (const doc of docs) {
+    if (!doc.active) continue;
+    activeKeys.add(doc.key);
+    if (full || docChanged(doc, state.docs[doc.key])) upserts.push(doc);
+    else unchanged += 1;
+  }
+
+  // obrisani ili neaktivni recordi (osim tablica koje nismo uspjeli pročitati)
+  for (const [key, prev] of Object.entries(state.docs)) {
+    if (activeKeys.has(key)) continue;
+    if (skipped.has(prev.table)) continue;
+    deletes.push({ key, ...prev });
+  }
+
+  return { upserts, deletes, unchanged };
+}
+
+async function runPool(items, limit, worker) {
+  let i = 0;
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (i < items.length) {
+      const item = items[i++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// -------------------------
+// Run
+// -------------------------
+export async function runSync({ full = false, dryRun = false, vectorStoreId = null, log = console.log } = {}) {
+  vectorStoreId = vectorStoreId || await resolveVectorStoreId(VECTOR_STORE_ID);
+  if (!vectorStoreId) throw new Error('Missing VECTOR_STORE_ID (run: npm run vector-store)');
+
+  const started = Date.now();
+  const state = await loadState();
+
+  // state vrijedi samo za store za koji je napravljen
+  const storeChanged = state.vectorStoreId && state.vectorStoreId !== vectorStoreId;
+  if (storeChanged) {
+    log(`ℹ️  Vector store changed (${state.vectorStoreId} -> ${vectorStoreId}), running full sync`);
+    state.docs = {};
+  }
+  state.vectorStoreId = vectorStoreId;
+
+  const { docs, skippedTables } = await fetchAllDocuments();
+  const plan = planSync(docs, state, { full, skippedTables });
+
+  log(`📦 ${docs.length} records fetched — upload: ${plan.upserts.length}, delete: ${plan.deletes.length}, unchanged: ${plan.unchanged}`);
+
+  if (dryRun) {
+    for (const d of plan.upserts) log(`  + ${d.key} (${d.type}, ${d.hotelSlug || '-'}) ${d.title}`);
+    for (const d of plan.deletes) log(`  - ${d.key} (${d.type}, ${d.hotelSlug || '-'})`);
+    return { ...plan, failed: 0, dryRun: true, ms: Date.now() - started };
+  }
+
+  const uploader = createVectorUploader({ apiKey: OPENAI_API_KEY, vectorStoreId });
+  const failures = [];
+  let done = 0;
+
+  const checkpoint = async () => {
+    done += 1;
+    if (done % 20 === 0) await saveState(state);
+  };
+
+  await runPool(plan.upserts, Number(SYNC_CONCURRENCY) || 3, async (doc) => {
+    const prev = state.docs[doc.key];
+    try {
+      // prvo novi file, tek onda brisanje starog (nema rupe u odgovorima)
+      const fileId = await uploader.upload(doc);
+      state.docs[doc.key] = {
+        fileId,
+        table: doc.table,
+        type: doc.type,
+        hotelSlug: doc.hotelSlug,
+        lastModified: doc.lastModified,
+        contentHash: doc.contentHash,
+        syncedAt: nowIso(),
+      };
+      if (prev?.fileId) await uploader.remove(prev.fileId);
+      log(`  + ${doc.key} ${doc.title}`);
+    } catch (e) {
+      failures.push({ key: doc.key, error: e?.message || String(e) });
+      console.error(`  ✗ ${doc.key}:`, e?.message || e);
+    }
+    await checkpoint();
+  });
+
+  await runPool(plan.deletes, Number(SYNC_CONCURRENCY) || 3, async (d) => {
+    try {
+      await uploader.remove(d.fileId);
+      delete state.docs[d.key];
+      log(`  - ${d.key}`);
+    } catch (e) {
+      failures.push({ key: d.key, error: e?.message || String(e) });
+      console.error(`  ✗ ${d.key}:`, e?.message || e);
+    }
+    await checkpoint();
+  });
+
+  await saveState(state);
+
+  const ms = Date.now() - started;
+  log(`✅ Sync done in ${ms}ms (failed: ${failures.length})`);
+  return { ...plan, failed: failures.length, failures, ms };
+}
+
+// ✅ lokalni indeks za server (RETRIEVAL_BACKEND=local) — isti dokumenti, bez OpenAI-a
+export async function exportLocalIndex(file = path.resolve(ROOT, LOCAL_INDEX_FILE), { log = console.log } = {}) {
+  const { docs } = await fetchAllDocuments();
+  const active = docs.filter(d => d.active);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ exportedAt: nowIso(), docs: active }, null, 2));
+  log(`✅ Exported ${active.length} docs to ${path.relative(ROOT, file)}`);
+  return { exported: active.length };
+}
+
+// -------------------------
+// CLI
+// -------------------------
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const argv = process.argv.slice(2);
+  const args = new Set(argv);
+
+  if (args.has('--export')) {
+    const target = argv[argv.indexOf('--export') + 1];
+    const file = target && !target.startsWith('--') ? path.resolve(process.cwd(), target) : undefined;
+    exportLocalIndex(file)
+      .then(() => process.exit(0))
+      .catch(e => {
+        console.error('❗ Export failed:', e);
+        process.exit(1);
+      });
+  } else {
+    if (!OPENAI_API_KEY && !args.has('--dry-run')) {
+      console.error('❗ Missing env vars: OPENAI_API_KEY');
+      process.exit(1);
+    }
+
+    runSync({ full: args.has('--full'), dryRun: args.has('--dry-run') })
+      .then(r => process.exit(r.failed ? 1 : 0))
+      .catch(e => {
+        console.error('❗ Sync failed:', e);
+        process.exit(1);
+      });
+  }
+}
@@ -0,0 +1,36 @@
+// vector_store_config.js — lokalni config s ID-em aktivnog vector storea
+// Piše ga scripts/create_vector_store.js, čitaju ga server i sync runner.
+// VECTOR_STORE_ID iz env-a uvijek ima prednost.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const { VECTOR_STORE_CONFIG = 'data/vector_store.json' } = process.env;
+
+export const VECTOR_STORE_CONFIG_PATH = path.resolve(ROOT, VECTOR_STORE_CONFIG);
+
+export async function readVectorStoreConfig(file = VECTOR_STORE_CONFIG_PATH) {
+  try {
+    const raw = await fs.readFile(file, 'utf8');
+    const parsed = JSON.parse(raw);
+    return parsed && parsed.id ? parsed : null;
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+export async function writeVectorStoreConfig(config, file = VECTOR_STORE_CONFIG_PATH) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ ...config, updatedAt: new Date().toISOString() }, null, 2));
+  await fs.rename(tmp, file);
+}
+
+export async function resolveVectorStoreId(envId = process.env.VECTOR_STORE_ID) {
+  if (envId) return envId;
+  const cfg = await readVectorStoreConfig();
+  return cfg?.id || '';
+}
@@ -0,0 +1,84 @@
+// vector_upload.js — upload / brisanje dokumenata u OpenAI vector storeu
+import OpenAI, { toFile } from 'openai';
+
+const MAX_ATTEMPTS = 3;
+
+function isRetryable(e) {
+  const status = e?.status || e?.response?.status;
+  return status === 429 || (status >= 500 && status < 600) || e?.code === 'ECONNRESET';
+}
+
+async function withRetry(fn) {
+  let lastErr = null;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      lastErr = e;
+      if (!isRetryable(e) || attempt === MAX_ATTEMPTS) break;
+      await new Promise(r => setTimeout(r, 1000 * 2 ** (attempt - 1)));
+    }
+  }
+  throw lastErr;
+}
+
+// ✅ atributi po kojima server filtrira (max 16 ključeva, string max 512)
+export function docToAttributes(doc) {
+  return {
+    record_id: doc.recordId,
+    table: String(doc.table).slice(0, 512),
+    type: doc.type,
+    hotel_slug: doc.hotelSlug || '',
+    lang: doc.lang || 'ANY',
+    city: doc.city || '',
+    web: Boolean(doc.web),
+    title: String(doc.title || '').slice(0, 512),
+    content_hash: doc.contentHash,
+    last_modified: doc.lastModified || '',
+  };
+}
+
+export function docToFilename(doc) {
+  return `${doc.type}_${doc.recordId}.md`;
+}
+
+export function createVectorUploader({ apiKey, vectorStoreId, openai = null }) {
+  if (!vectorStoreId) throw new Error('Missing vectorStoreId');
+  const client = openai || new OpenAI({ apiKey });
+
+  // upload novog filea + attach na store (čeka da indeksiranje završi)
+  async function upload(doc) {
+    const file = await withRetry(async () => client.files.create({
+      file: await toFile(Buffer.from(doc.text, 'utf8'), docToFilename(doc), { type: 'text/markdown' }),
+      purpose: 'assistants',
+    }));
+
+    try {
+      const vsFile = await withRetry(() => client.vectorStores.files.createAndPoll(vectorStoreId, {
+        file_id: file.id,
+        attributes: docToAttributes(doc),
+      }));
+      if (vsFile.status !== 'completed') {
+        throw new Error(`Vector store file ${file.id} ended with status=${vsFile.status}`);
+      }
+    } catch (e) {
+      // ne ostavljaj siroče u Files
+      await client.files.delete(file.id).catch(() => {});
+      throw e;
+    }
+
+    return file.id;
+  }
+
+  // makni iz storea i obriši sam file (404 = već obrisano)
+  async function remove(fileId) {
+    if (!fileId) return;
+    const ignore404 = e => {
+      if ((e?.status || e?.response?.status) !== 404) throw e;
+    };
+    await withRetry(() => client.vectorStores.files.delete(fileId, { vector_store_id: vectorStoreId })).catch(ignore404);
+    await withRetry(() => client.files.delete(fileId)).catch(ignore404);
+  }
+
+  return { vectorStoreId, upload, remove };
+}